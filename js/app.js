@@ -6,7 +6,26 @@ import { FileHandler } from './utils/file-handler.js';
 import { Storage } from './utils/storage.js';
 import { Sidebar } from './ui/sidebar.js';
 import { ChatView } from './ui/chat-view.js';
-import { exportConversations, generateFilename } from './utils/export.js';
+import { SettingsDialog } from './ui/settings-dialog.js';
+import { ExportDialog } from './ui/export-dialog.js';
+import { FolderTree } from './ui/folder-tree.js';
+import { TagDialog } from './ui/tag-dialog.js';
+import { escapeHtml } from './ui/markdown.js';
+import { Settings } from './utils/settings.js';
+import { resolveConversation } from './utils/merge.js';
+import { createDerivedConversation } from './utils/message-selection.js';
+import { messagesToMarkdown } from './utils/export-markdown.js';
+import { SearchIndex, buildSearchRecord, SEARCH_RECORD_VERSION } from './utils/search-index.js';
+import { parseSearchQuery, findCandidates, needsMessages, matchGroup } from './utils/search-query.js';
+import { getFacetInfo } from './utils/facets.js';
+import {
+    createLabel, isEmptyLabel, createFolder, findFolderPath, getFolderPath, countTags
+} from './utils/organization.js';
+
+// Search results whose messages are loaded so the sidebar can show snippets
+const SNIPPET_RESULTS = 100;
+// Conversations whose messages are read at a time while matching a search
+const SEARCH_CHUNK_SIZE = 50;
 
 /**
  * Application State Manager
@@ -16,28 +35,402 @@ class AppState {
         this.conversations = [];
         this.currentConversationId = null;
         this.listeners = {};
+        this.assets = new Map();
+        this.assetUrls = new Map();
+        this.pendingImport = null;
+        this.messageLoads = new Map();
+        this.searchIndex = new SearchIndex();
+        this.searchIndexLoad = null;
+        this.searchIndexLoading = false;
+        // Incremented by every search, so a newer query stops an older one
+        this.searchGeneration = 0;
+        // User tags and folders, kept apart from the conversations
+        this.folders = [];
+        this.labels = new Map();
     }
 
     /**
-     * Add conversations to state
-     * @param {Array} conversations - Array of conversation objects
-     * @param {boolean} persist - Whether to save to storage (default: true)
+     * Load the messages of conversations that were loaded from storage as headers only
+     * The messages are attached to the conversation objects themselves.
+     * @param {Array} conversations - Conversations or headers
+     * @returns {Promise<Array>} - The same conversations, with their messages
      */
-    async addConversations(conversations, persist = true) {
-        // Merge new conversations, avoiding duplicates by ID
-        const existingIds = new Set(this.conversations.map(c => c.id));
-        const newConversations = conversations.filter(c => !existingIds.has(c.id));
+    async ensureMessages(conversations) {
+        await Promise.all(conversations.filter(conv => !conv.messages).map(conv => {
+            if (!this.messageLoads.has(conv.id)) {
+                this.messageLoads.set(conv.id, Storage.loadMessages(conv.id).then(messages => {
+                    conv.messages = messages;
+                    this.messageLoads.delete(conv.id);
+                }));
+            }
+            return this.messageLoads.get(conv.id);
+        }));
+        return conversations;
+    }
 
-        this.conversations = [...this.conversations, ...newConversations];
+    /**
+     * Load the stored search index
+     * Conversations saved before the index existed are indexed once, and their
+     * records saved. Emits 'search-index-updated' when done.
+     * @returns {Promise<void>}
+     */
+    loadSearchIndex() {
+        if (!this.searchIndexLoad) {
+            this.searchIndexLoading = true;
+            this.searchIndexLoad = (async () => {
+                try {
+                    const records = await Storage.loadSearchRecords();
+                    // Conversations imported while loading are already indexed, and records
+                    // from an older version are rebuilt below
+                    this.searchIndex.addRecords(records.filter(record =>
+                        record.version === SEARCH_RECORD_VERSION && !this.searchIndex.has(record.conversationId)));
+
+                    const missing = [];
+                    const unindexed = this.conversations.filter(conv =>
+                        !this.searchIndex.has(conv.id) && !this.pendingImport?.addedIds.has(conv.id));
+                    for (const conv of unindexed) {
+                        // Messages are read for indexing only, not kept in memory
+                        const messages = conv.messages || await Storage.loadMessages(conv.id);
+                        missing.push(buildSearchRecord({ ...conv, messages }));
+                    }
+                    if (missing.length > 0) {
+                        this.searchIndex.addRecords(missing);
+                        await Storage.saveSearchRecords(missing);
+                    }
+                } catch (error) {
+                    console.error('Error loading search index:', error);
+                } finally {
+                    this.searchIndexLoading = false;
+                    this.emit('search-index-updated');
+                }
+            })();
+        }
+        return this.searchIndexLoad;
+    }
+
+    /**
+     * Index conversations, replacing their earlier records
+     * @param {Array} conversations - Conversations with their messages
+     * @param {boolean} persist - Whether to save the records to storage
+     * @param {Map} prebuilt - Conversation ID to { conversation, record } built during import
+     * @returns {Promise<void>}
+     */
+    async updateSearchIndex(conversations, persist, prebuilt = new Map()) {
+        if (conversations.length === 0) {
+            return;
+        }
+
+        const records = conversations.map(conv => {
+            const entry = prebuilt.get(conv.id);
+            // A merged conversation no longer matches the record built for the imported one
+            return entry?.conversation === conv ? entry.record : buildSearchRecord(conv);
+        });
+        this.searchIndex.addRecords(records);
+        this.emit('search-index-updated');
 
-        // Save to storage only if persist is true
         if (persist) {
-            await Storage.saveConversations(this.conversations);
+            await Storage.saveSearchRecords(records);
         }
+    }
 
-        this.emit('conversations-updated', this.conversations);
+    /**
+     * Get the models and code blocks of a conversation for the sidebar facets
+     * @param {Object} conversation - Conversation or header
+     * @returns {{models: Array<string>, hasCode: boolean}|null} - null until it is indexed or its messages load
+     */
+    getFacetInfo(conversation) {
+        if (this.searchIndex.has(conversation.id)) {
+            return {
+                models: this.searchIndex.getModels(conversation.id),
+                hasCode: this.searchIndex.hasCode(conversation.id)
+            };
+        }
+        return conversation.messages ? getFacetInfo(conversation) : null;
+    }
+
+    /**
+     * Load the stored tags and folders
+     * Emits 'organization-updated' when done.
+     * @returns {Promise<void>}
+     */
+    async loadOrganization() {
+        const [folders, labels] = await Promise.all([Storage.loadFolders(), Storage.loadLabels()]);
+        this.folders = folders;
+        this.labels = new Map(labels.map(label => [label.conversationId, label]));
+        this.emit('organization-updated');
+    }
+
+    /**
+     * Get the tags and folder of a conversation
+     * @param {string} conversationId
+     * @returns {{conversationId: string, tags: Array<string>, folderId: string|null}}
+     */
+    getLabel(conversationId) {
+        return this.labels.get(conversationId) || createLabel(conversationId);
+    }
 
-        return newConversations.length;
+    /**
+     * Get the tags of a conversation
+     * @param {string} conversationId
+     * @returns {Array<string>}
+     */
+    getTags(conversationId) {
+        return this.getLabel(conversationId).tags;
+    }
+
+    /**
+     * Get all folders
+     * @returns {Array}
+     */
+    getFolders() {
+        return this.folders;
+    }
+
+    /**
+     * Get the folders and tags for the tag dialog
+     * @returns {{folders: Array, tags: Map<string, number>, getLabel: Function}}
+     */
+    getOrganization() {
+        return {
+            folders: this.folders,
+            tags: countTags(this.conversations, id => this.getTags(id)),
+            getLabel: id => this.getLabel(id)
+        };
+    }
+
+    /**
+     * Change the labels of conversations and save them
+     * @param {Array<string>} conversationIds
+     * @param {Function} update - (label) => changed label; must not modify the label it is given
+     * @param {boolean} persist - Whether to save the labels to storage
+     * @returns {Promise<void>}
+     */
+    async updateLabels(conversationIds, update, persist = true) {
+        const labels = conversationIds.map(id => update(this.getLabel(id)));
+        labels.forEach(label => {
+            if (isEmptyLabel(label)) {
+                this.labels.delete(label.conversationId);
+            } else {
+                this.labels.set(label.conversationId, label);
+            }
+        });
+        this.emit('organization-updated');
+
+        if (persist) {
+            await Storage.saveLabels(labels);
+        }
+    }
+
+    /**
+     * Add tags to conversations
+     * @param {Array<string>} conversationIds
+     * @param {Array<string>} tags - Normalized tags
+     * @returns {Promise<void>}
+     */
+    async addTags(conversationIds, tags) {
+        await this.updateLabels(conversationIds, label =>
+            ({ ...label, tags: Array.from(new Set([...label.tags, ...tags])) }));
+    }
+
+    /**
+     * Remove tags from conversations
+     * @param {Array<string>} conversationIds
+     * @param {Array<string>} tags
+     * @returns {Promise<void>}
+     */
+    async removeTags(conversationIds, tags) {
+        await this.updateLabels(conversationIds, label =>
+            ({ ...label, tags: label.tags.filter(tag => !tags.includes(tag)) }));
+    }
+
+    /**
+     * Move conversations to a folder
+     * @param {Array<string>} conversationIds
+     * @param {string|null} folderId - Folder, or null to take them out of their folder
+     * @returns {Promise<void>}
+     */
+    async moveToFolder(conversationIds, folderId) {
+        await this.updateLabels(conversationIds, label => ({ ...label, folderId }));
+    }
+
+    /**
+     * Create a folder
+     * @param {string} name
+     * @param {string|null} parentId - Parent folder, or null for the top level
+     * @returns {Promise<Object>} - The new folder
+     */
+    async createFolder(name, parentId = null) {
+        const folder = createFolder(name, parentId);
+        this.folders = [...this.folders, folder];
+        this.emit('organization-updated');
+        await Storage.saveFolders([folder]);
+        return folder;
+    }
+
+    /**
+     * Rename a folder
+     * @param {string} folderId
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async renameFolder(folderId, name) {
+        const folder = this.folders.find(candidate => candidate.id === folderId);
+        if (!folder || !name.trim()) {
+            return;
+        }
+        const renamed = { ...folder, name: name.trim() };
+        this.folders = this.folders.map(candidate => candidate === folder ? renamed : candidate);
+        this.emit('organization-updated');
+        await Storage.saveFolders([renamed]);
+    }
+
+    /**
+     * Delete a folder
+     * Its subfolders and conversations move to its parent, so nothing is lost.
+     * @param {string} folderId
+     * @returns {Promise<void>}
+     */
+    async deleteFolder(folderId) {
+        const folder = this.folders.find(candidate => candidate.id === folderId);
+        if (!folder) {
+            return;
+        }
+
+        const children = this.folders
+            .filter(candidate => candidate.parentId === folderId)
+            .map(candidate => ({ ...candidate, parentId: folder.parentId }));
+        const byId = new Map(children.map(child => [child.id, child]));
+        this.folders = this.folders
+            .filter(candidate => candidate !== folder)
+            .map(candidate => byId.get(candidate.id) || candidate);
+        await Storage.saveFolders(children, [folderId]);
+
+        const moved = Array.from(this.labels.values())
+            .filter(label => label.folderId === folderId)
+            .map(label => label.conversationId);
+        await this.updateLabels(moved, label => ({ ...label, folderId: folder.parentId }));
+    }
+
+    /**
+     * Apply the tags and folders of imported conversations
+     * Tags are added to the ones a conversation already has; a folder path
+     * replaces its folder, creating the folders that don't exist yet.
+     * @param {Array<{conversationId: string, tags: Array<string>, folder: Array<string>}>} entries
+     * @param {boolean} persist - Whether to save to storage
+     * @returns {Promise<void>}
+     */
+    async restoreOrganization(entries, persist) {
+        if (entries.length === 0) {
+            return;
+        }
+
+        const created = [];
+        const folderIds = new Map(entries.map(entry => {
+            if (entry.folder.length === 0) {
+                return [entry.conversationId, undefined];
+            }
+            let { folderId, missing } = findFolderPath(this.folders, entry.folder);
+            missing.forEach(name => {
+                const folder = createFolder(name, folderId);
+                this.folders = [...this.folders, folder];
+                created.push(folder);
+                folderId = folder.id;
+            });
+            return [entry.conversationId, folderId];
+        }));
+        const tags = new Map(entries.map(entry => [entry.conversationId, entry.tags]));
+
+        if (persist && created.length > 0) {
+            await Storage.saveFolders(created);
+        }
+        await this.updateLabels(entries.map(entry => entry.conversationId), label => ({
+            ...label,
+            tags: Array.from(new Set([...label.tags, ...tags.get(label.conversationId)])),
+            folderId: folderIds.get(label.conversationId) ?? label.folderId
+        }), persist);
+    }
+
+    /**
+     * Get the tags and folder path of a conversation for the normalized export
+     * @param {string} conversationId
+     * @returns {{tags: Array<string>, folder: Array<string>}}
+     */
+    getExportLabels(conversationId) {
+        const label = this.getLabel(conversationId);
+        return { tags: label.tags, folder: getFolderPath(this.folders, label.folderId) };
+    }
+
+    /**
+     * Count the conversations directly in each folder
+     * Conversations in a folder that no longer exists count as unfiled.
+     * @returns {Map<string|null, number>} - Folder ID, or null for none, to conversation count
+     */
+    countFolderConversations() {
+        const folderIds = new Set(this.folders.map(folder => folder.id));
+        const counts = new Map();
+        this.conversations.forEach(conv => {
+            const folderId = this.getLabel(conv.id).folderId;
+            const key = folderIds.has(folderId) ? folderId : null;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return counts;
+    }
+
+    /**
+     * Search the titles and messages of all conversations
+     * Words and filters are answered by the index. Phrases, regular expressions and
+     * role filters without words also need the messages of the candidates, which are
+     * read a chunk at a time for matching only and not kept in memory.
+     * @param {string} query - Search query, see parseSearchQuery()
+     * @returns {Promise<Array|null>} - Best match per conversation as { conversationId, messageId, score },
+     *     highest score first, or null while the index loads or once a newer search has started
+     */
+    async search(query) {
+        if (this.searchIndexLoading) {
+            return null;
+        }
+
+        const generation = ++this.searchGeneration;
+        const byId = new Map(this.conversations.map(conv => [conv.id, conv]));
+        const results = new Map();
+
+        for (const group of parseSearchQuery(query).groups) {
+            let candidates = findCandidates(group, this.searchIndex, this.conversations, id => this.getTags(id));
+
+            if (needsMessages(group)) {
+                const matched = [];
+                for (let start = 0; start < candidates.length; start += SEARCH_CHUNK_SIZE) {
+                    const chunk = candidates.slice(start, start + SEARCH_CHUNK_SIZE);
+                    const conversations = await Promise.all(chunk.map(async candidate => {
+                        const conv = byId.get(candidate.conversationId);
+                        return conv.messages ? conv : { ...conv, messages: await Storage.loadMessages(conv.id) };
+                    }));
+                    if (generation !== this.searchGeneration) {
+                        return null;
+                    }
+
+                    chunk.forEach((candidate, index) => {
+                        const messageId = matchGroup(group, conversations[index], candidate.messageId,
+                            this.getTags(candidate.conversationId));
+                        if (messageId !== null) {
+                            matched.push({ ...candidate, messageId });
+                        }
+                    });
+                }
+                candidates = matched;
+            }
+
+            // A conversation matched by several OR groups keeps its best match
+            candidates.forEach(candidate => {
+                const current = results.get(candidate.conversationId);
+                if (!current || candidate.score > current.score) {
+                    results.set(candidate.conversationId, candidate);
+                }
+            });
+        }
+
+        return Array.from(results.values()).sort((a, b) =>
+            b.score - a.score || byId.get(b.conversationId).updated - byId.get(a.conversationId).updated);
     }
 
     /**
@@ -49,6 +442,211 @@ class AppState {
         this.emit('conversations-updated', this.conversations);
     }
 
+    /**
+     * Start an import whose conversations arrive in batches
+     * Conversations that are already loaded are resolved with the import strategy
+     * chosen in the settings ('merge', 'replace' or 'keep').
+     * @param {boolean} replace - Replace the current conversations (URL imports)
+     */
+    beginImport(replace = false) {
+        const previous = this.conversations;
+        if (replace) {
+            this.replaceConversations([]);
+        }
+
+        this.pendingImport = {
+            previous,
+            strategy: Settings.get('importStrategy'),
+            indexById: new Map(this.conversations.map((c, index) => [c.id, index])),
+            addedIds: new Set(),
+            updatedIds: new Set(),
+            seenIds: new Set(),
+            assets: [],
+            // Search records built by the import reader, by conversation ID
+            searchRecords: new Map(),
+            // Tags and folder paths of exported conversations, restored when the import completes
+            organization: [],
+            // Batches are applied one after another
+            queue: Promise.resolve()
+        };
+    }
+
+    /**
+     * Show a batch of imported conversations without persisting them yet
+     * Assets are kept in memory until the import finishes. Existing conversations
+     * are replaced by new objects so the previous list can be restored on rollback.
+     * @param {Array} conversations - Array of conversation objects
+     * @param {Array} assets - Array of { id, conversationIds, name, type, blob }
+     * @param {Array} searchRecords - Search records of the conversations, in the same order
+     * @returns {Promise<void>} - Resolves once the batch is applied
+     */
+    addImportBatch(conversations, assets = [], searchRecords = []) {
+        const pending = this.pendingImport;
+        if (!pending) {
+            return Promise.resolve();
+        }
+
+        searchRecords.forEach((record, index) => {
+            pending.searchRecords.set(record.conversationId, { conversation: conversations[index], record });
+        });
+
+        pending.queue = pending.queue
+            .then(() => this.applyImportBatch(pending, conversations, assets))
+            .catch(error => console.error('Error applying import batch:', error));
+        return pending.queue;
+    }
+
+    /**
+     * Merge a batch into the conversation list
+     * @param {Object} pending - Import state from beginImport
+     * @param {Array} conversations - Array of conversation objects
+     * @param {Array} assets - Array of { id, conversationIds, name, type, blob }
+     * @returns {Promise<void>}
+     */
+    async applyImportBatch(pending, conversations, assets) {
+        // Tags and folders are stored apart from the conversations
+        conversations.forEach(incoming => {
+            const { tags = [], folder = [] } = incoming;
+            delete incoming.tags;
+            delete incoming.folder;
+            if (tags.length > 0 || folder.length > 0) {
+                pending.organization.push({ conversationId: incoming.id, tags, folder });
+            }
+        });
+
+        // Conversations loaded as headers need their messages to be merged
+        if (pending.strategy !== 'keep') {
+            const existing = conversations
+                .map(incoming => this.conversations[pending.indexById.get(incoming.id)])
+                .filter(Boolean);
+            await this.ensureMessages(existing);
+        }
+
+        assets.forEach(asset => this.assets.set(asset.id, asset));
+        pending.assets.push(...assets);
+
+        const updated = [...this.conversations];
+        let changed = false;
+
+        conversations.forEach(incoming => {
+            pending.seenIds.add(incoming.id);
+            const index = pending.indexById.get(incoming.id);
+
+            if (index === undefined) {
+                pending.indexById.set(incoming.id, updated.length);
+                pending.addedIds.add(incoming.id);
+                updated.push(incoming);
+                changed = true;
+                return;
+            }
+
+            const { conversation, status } = resolveConversation(updated[index], incoming, pending.strategy);
+            if (status === 'updated') {
+                updated[index] = conversation;
+                changed = true;
+                // Duplicates within the import still count as added
+                if (!pending.addedIds.has(incoming.id)) {
+                    pending.updatedIds.add(incoming.id);
+                }
+            }
+        });
+
+        if (changed) {
+            this.conversations = updated;
+            this.emit('conversations-updated', this.conversations);
+        }
+    }
+
+    /**
+     * Finish the current import
+     * Completed imports are saved in one go; cancelled or failed ones are rolled back.
+     * @param {boolean} completed - Whether every batch arrived
+     * @param {boolean} persist - Whether to save to storage
+     * @returns {Promise<{added: number, updated: number, unchanged: number}>} - Conversations
+     *     added, changed and left as they were by the import
+     */
+    async finishImport(completed, persist = true) {
+        const pending = this.pendingImport;
+        this.pendingImport = null;
+        const summary = { added: 0, updated: 0, unchanged: 0 };
+        if (!pending) {
+            return summary;
+        }
+        await pending.queue;
+
+        if (!completed) {
+            pending.assets.forEach(asset => this.assets.delete(asset.id));
+            this.replaceConversations(pending.previous);
+            if (pending.addedIds.has(this.currentConversationId)) {
+                this.selectConversation(null);
+            } else if (pending.updatedIds.has(this.currentConversationId)) {
+                this.selectConversation(this.currentConversationId);
+            }
+            return summary;
+        }
+
+        // Only added and changed conversations are written and reindexed
+        const changed = this.conversations.filter(conv =>
+            pending.addedIds.has(conv.id) || pending.updatedIds.has(conv.id));
+
+        if (persist) {
+            await Storage.saveAssets(pending.assets);
+            await Storage.saveConversations(changed);
+            // Persisted assets are loaded from storage on demand
+            pending.assets.forEach(asset => this.assets.delete(asset.id));
+        }
+        await this.updateSearchIndex(changed, persist, pending.searchRecords);
+        await this.restoreOrganization(pending.organization, persist);
+
+        // Show the new version of the open conversation
+        if (pending.updatedIds.has(this.currentConversationId)) {
+            this.selectConversation(this.currentConversationId);
+        }
+
+        summary.added = pending.addedIds.size;
+        summary.updated = pending.updatedIds.size;
+        summary.unchanged = pending.seenIds.size - summary.added - summary.updated;
+        return summary;
+    }
+
+    /**
+     * Add a conversation and save it, replacing one with the same ID
+     * @param {Object} conversation - Normalized conversation object
+     * @returns {Promise<void>}
+     * @throws {Error} If the conversation could not be written to storage
+     */
+    async saveConversation(conversation) {
+        const index = this.conversations.findIndex(c => c.id === conversation.id);
+        this.conversations = index === -1
+            ? [...this.conversations, conversation]
+            : this.conversations.map((c, i) => i === index ? conversation : c);
+        this.emit('conversations-updated', this.conversations);
+        if (!await Storage.saveConversations([conversation])) {
+            throw new Error('The browser storage could not be written');
+        }
+        await this.updateSearchIndex([conversation], true);
+    }
+
+    /**
+     * Get an object URL for an asset, loading it from storage if needed
+     * @param {string} id - Asset ID
+     * @returns {Promise<{url: string, type: string, name: string}|null>}
+     */
+    async getAsset(id) {
+        if (this.assetUrls.has(id)) {
+            return this.assetUrls.get(id);
+        }
+
+        const asset = this.assets.get(id) || await Storage.loadAsset(id);
+        if (!asset) {
+            return null;
+        }
+
+        const resolved = { url: URL.createObjectURL(asset.blob), type: asset.type, name: asset.name };
+        this.assetUrls.set(id, resolved);
+        return resolved;
+    }
+
     /**
      * Select a conversation
      * @param {string} id - Conversation ID
@@ -106,7 +704,22 @@ class App {
         this.state = new AppState();
         this.fileHandler = new FileHandler();
         this.sidebar = new Sidebar(document.getElementById('sidebar-content'));
+        this.sidebar.setFacetResolver((conversation) => this.state.getFacetInfo(conversation));
+        this.sidebar.setLabelResolver((conversationId) => this.state.getLabel(conversationId));
+        this.folderTree = new FolderTree(document.getElementById('folder-tree'));
+        this.tagDialog = new TagDialog(document.getElementById('tag-modal'));
+        this.tagDialog.setOrganizationResolver(() => this.state.getOrganization());
         this.chatView = new ChatView(document.getElementById('chat-content'));
+        this.chatView.setAssetResolver((id) => this.state.getAsset(id));
+        this.settingsDialog = new SettingsDialog(document.getElementById('settings-modal'));
+        this.settingsDialog.onChange(() => this.chatView.updateContinueButton());
+        this.exportDialog = new ExportDialog(document.getElementById('export-modal'));
+        this.exportDialog.setAssetResolver((id) => this.state.getAsset(id));
+        this.exportDialog.setLabelResolver((id) => this.state.getExportLabels(id));
+        // Message to show once the selected conversation renders
+        this.pendingMessageId = null;
+        // Incremented by every search, so only the latest one updates the sidebar
+        this.searchRun = 0;
 
         this.init();
     }
@@ -115,6 +728,9 @@ class App {
         // Wire up event handlers
         this.setupEventHandlers();
 
+        // Tags and folders are kept even for conversations imported from a URL
+        await this.state.loadOrganization();
+
         // Check for URL parameter
         const urlParams = new URLSearchParams(window.location.search);
         const importUrl = urlParams.get('url');
@@ -128,38 +744,44 @@ class App {
             }
         } else {
             // Load conversations from storage only if no URL parameter
-            const savedConversations = await Storage.loadConversations();
+            // Messages are loaded when a conversation is opened
+            const savedConversations = await Storage.loadConversationHeaders();
             if (savedConversations.length > 0) {
                 this.state.conversations = savedConversations;
                 this.sidebar.render(savedConversations);
+                this.folderTree.render(this.state.getFolders(), this.state.countFolderConversations());
             }
+            // Titles are searched until the index has loaded
+            this.state.loadSearchIndex();
         }
     }
 
     setupEventHandlers() {
-        // Listen for file drops
-        document.addEventListener('conversations-loaded', async (e) => {
-            const { conversations, source, fromUrl } = e.detail;
-
-            if (fromUrl) {
-                // Replace conversations without persisting to storage
-                this.state.replaceConversations(conversations);
-                console.log(`Loaded ${conversations.length} conversation(s) from URL (not persisted)`);
-            } else {
-                // Add conversations and persist to storage
-                const newCount = await this.state.addConversations(conversations);
+        // Listen for imports; conversations arrive in batches and are saved once at the end
+        document.addEventListener('import-started', (e) => {
+            this.state.beginImport(e.detail.fromUrl);
+        });
 
-                if (newCount > 0) {
-                    console.log(`Added ${newCount} new conversation(s) from ${source}`);
-                } else {
-                    console.log('All conversations from this file were already loaded');
-                }
+        document.addEventListener('conversations-loaded', (e) => {
+            const { conversations, assets = [], searchRecords = [] } = e.detail;
+            this.state.addImportBatch(conversations, assets, searchRecords);
+        });
+
+        this.fileHandler.onImportFinished(async ({ source, fromUrl, completed }) => {
+            const summary = await this.state.finishImport(completed, !fromUrl);
+
+            if (!completed) {
+                console.log(`Import of ${source} did not complete; changes were discarded`);
+            } else {
+                console.log(`Imported ${source}: ${summary.added} added, ${summary.updated} updated, ${summary.unchanged} unchanged${fromUrl ? ' (not persisted)' : ''}`);
             }
+            return summary;
         });
 
         // Listen for state changes
         this.state.on('conversations-updated', (conversations) => {
             this.sidebar.render(conversations);
+            this.folderTree.render(this.state.getFolders(), this.state.countFolderConversations());
 
             // Auto-select first conversation if none selected
             if (!this.state.currentConversationId && conversations.length > 0) {
@@ -173,7 +795,15 @@ class App {
             }
         });
 
-        this.state.on('conversation-selected', (conversation) => {
+        this.state.on('conversation-selected', async (conversation) => {
+            if (conversation) {
+                await this.state.ensureMessages([conversation]);
+                // Another conversation was selected while the messages loaded
+                if (this.state.currentConversationId !== conversation.id) {
+                    return;
+                }
+            }
+
             // Pass search query to chat view for highlighting
             const searchInput = document.getElementById('search-input');
             if (searchInput) {
@@ -181,26 +811,74 @@ class App {
             }
             this.chatView.render(conversation);
 
-            // Show/hide export current button
+            // Opened from a search snippet
+            if (conversation && this.pendingMessageId) {
+                this.chatView.showMessage(this.pendingMessageId);
+            }
+            this.pendingMessageId = null;
+
+            // Show/hide export current and select messages buttons
             const exportCurrentBtn = document.getElementById('export-current-btn');
             if (exportCurrentBtn) {
                 exportCurrentBtn.style.display = conversation ? 'block' : 'none';
             }
+            const selectMessagesBtn = document.getElementById('select-messages-btn');
+            if (selectMessagesBtn) {
+                selectMessagesBtn.style.display = conversation ? 'block' : 'none';
+            }
+        });
+
+        // Message selection in the chat view
+        this.chatView.onMessageSelectionChange((messages, selectionMode) => {
+            this.updateMessageSelectionBar(messages, selectionMode);
         });
 
+        this.chatView.onOpenConversation((conversationId) => {
+            if (this.state.getConversations().some(conv => conv.id === conversationId)) {
+                this.state.selectConversation(conversationId);
+            } else {
+                this.fileHandler.showToast('The original conversation is no longer in the library', 'warning');
+            }
+        });
+
+        this.setupMessageSelectionHandlers();
+
         // Listen for sidebar selection
         this.sidebar.onSelect((conversationId) => {
             this.state.selectConversation(conversationId);
         });
 
+        // Search with the full-text index
+        this.sidebar.onSearch((query) => this.runSearch(query));
+
+        this.state.on('search-index-updated', () => {
+            if (this.sidebar.searchQuery.trim()) {
+                this.runSearch(this.sidebar.searchQuery);
+            } else {
+                // Models and code blocks are now known for the facets
+                this.sidebar.render(this.state.getConversations());
+            }
+        });
+
+        this.setupOrganizationHandlers();
+
+        this.sidebar.onOpenMessage((conversationId, messageId) => {
+            this.pendingMessageId = messageId;
+            this.state.selectConversation(conversationId);
+        });
+
         // Listen for selection changes
         this.sidebar.onSelectionChange((selectedIds) => {
             const exportSelectedBtn = document.getElementById('export-selected-btn');
+            const tagSelectedBtn = document.getElementById('tag-selected-btn');
             const selectionControls = document.getElementById('selection-controls');
 
             if (exportSelectedBtn) {
                 exportSelectedBtn.style.display = selectedIds.length > 0 ? 'block' : 'none';
             }
+            if (tagSelectedBtn) {
+                tagSelectedBtn.disabled = selectedIds.length === 0;
+            }
             if (selectionControls) {
                 selectionControls.style.display = this.state.getConversations().length > 0 ? 'flex' : 'none';
             }
@@ -212,9 +890,7 @@ class App {
             exportCurrentBtn.addEventListener('click', () => {
                 const conversation = this.state.getCurrentConversation();
                 if (conversation) {
-                    const filename = generateFilename(conversation);
-                    exportConversations(conversation, filename);
-                    console.log(`Exported conversation: ${conversation.title}`);
+                    this.openExportDialog([conversation]);
                 }
             });
         }
@@ -227,9 +903,7 @@ class App {
                 if (selectedIds.length > 0) {
                     const selectedConversations = this.state.getConversations()
                         .filter(conv => selectedIds.includes(conv.id));
-                    const filename = generateFilename(selectedConversations);
-                    exportConversations(selectedConversations, filename);
-                    console.log(`Exported ${selectedConversations.length} selected conversation(s)`);
+                    this.openExportDialog(selectedConversations);
                 }
             });
         }
@@ -240,9 +914,7 @@ class App {
             exportAllBtn.addEventListener('click', () => {
                 const conversations = this.state.getConversations();
                 if (conversations.length > 0) {
-                    const filename = generateFilename(conversations);
-                    exportConversations(conversations, filename);
-                    console.log(`Exported ${conversations.length} conversation(s)`);
+                    this.openExportDialog(conversations);
                 }
             });
         }
@@ -263,6 +935,155 @@ class App {
             });
         }
     }
+
+    /**
+     * Wire up the folder tree, the tag dialog and tag changes
+     */
+    setupOrganizationHandlers() {
+        this.state.on('organization-updated', () => {
+            this.folderTree.render(this.state.getFolders(), this.state.countFolderConversations());
+            // A deleted folder may have been chosen, and tags change what tag: finds
+            this.sidebar.setFolderScope(this.folderTree.getScope());
+            if (this.sidebar.searchQuery.trim()) {
+                this.runSearch(this.sidebar.searchQuery);
+            }
+            this.tagDialog.refresh();
+        });
+
+        this.folderTree.onSelect((scope) => this.sidebar.setFolderScope(scope));
+        this.folderTree.onCreate((name, parentId) => this.state.createFolder(name, parentId));
+        this.folderTree.onRename((folderId, name) => this.state.renameFolder(folderId, name));
+        this.folderTree.onDelete((folderId) => this.state.deleteFolder(folderId));
+        this.folderTree.onDrop((conversationIds, folderId) => this.state.moveToFolder(conversationIds, folderId));
+
+        this.tagDialog.onAddTags((conversationIds, tags) => this.state.addTags(conversationIds, tags));
+        this.tagDialog.onRemoveTags((conversationIds, tags) => this.state.removeTags(conversationIds, tags));
+        this.tagDialog.onMove((conversationIds, folderId) => this.state.moveToFolder(conversationIds, folderId));
+
+        const tagSelectedBtn = document.getElementById('tag-selected-btn');
+        if (tagSelectedBtn) {
+            tagSelectedBtn.addEventListener('click', () => {
+                this.tagDialog.open(this.sidebar.getSelectedIds());
+            });
+        }
+    }
+
+    /**
+     * Search conversations and show the results in the sidebar
+     * The top results get their messages loaded so their snippets can be shown.
+     * Until the index has loaded, the sidebar matches titles itself.
+     * @param {string} query - Search query
+     * @returns {Promise<void>}
+     */
+    async runSearch(query) {
+        const run = ++this.searchRun;
+        const results = query.trim() ? await this.state.search(query) : null;
+        // A newer search has taken over the sidebar
+        if (run !== this.searchRun) {
+            return;
+        }
+        this.sidebar.setSearchResults(query, results);
+        if (!results) {
+            return;
+        }
+
+        const byId = new Map(this.state.getConversations().map(conv => [conv.id, conv]));
+        const unloaded = results.slice(0, SNIPPET_RESULTS)
+            .map(result => byId.get(result.conversationId))
+            .filter(conv => conv && !conv.messages);
+        if (unloaded.length > 0) {
+            await this.state.ensureMessages(unloaded);
+            if (run === this.searchRun) {
+                this.sidebar.setSearchResults(query, results);
+            }
+        }
+    }
+
+    /**
+     * Load the messages of conversations and open the export dialog for them
+     * @param {Array} conversations - Conversations to export
+     */
+    async openExportDialog(conversations) {
+        await this.state.ensureMessages(conversations);
+        this.exportDialog.open(conversations);
+    }
+
+    /**
+     * Wire up the message selection toolbar above the chat view
+     */
+    setupMessageSelectionHandlers() {
+        const on = (id, handler) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        };
+
+        on('select-messages-btn', () => this.chatView.setSelectionMode(!this.chatView.selectionMode));
+        on('close-selection-btn', () => this.chatView.setSelectionMode(false));
+        on('select-all-messages-btn', () => this.chatView.setAllMessagesSelected(true));
+        on('select-no-messages-btn', () => this.chatView.setAllMessagesSelected(false));
+
+        on('copy-messages-btn', async () => {
+            const messages = this.chatView.getSelectedMessages();
+            try {
+                await navigator.clipboard.writeText(messagesToMarkdown(messages));
+                this.fileHandler.showToast(`Copied ${messages.length} message(s)`, 'success');
+            } catch (error) {
+                console.error('Error copying messages:', error);
+                this.fileHandler.showToast(`Could not copy messages: ${escapeHtml(error.message)}`, 'danger');
+            }
+        });
+
+        on('export-messages-btn', () => {
+            const conversation = this.state.getCurrentConversation();
+            const messages = this.chatView.getSelectedMessages();
+            if (conversation && messages.length > 0) {
+                this.exportDialog.open(createDerivedConversation(conversation, messages));
+            }
+        });
+
+        on('save-messages-btn', async () => {
+            const conversation = this.state.getCurrentConversation();
+            const messages = this.chatView.getSelectedMessages();
+            if (!conversation || messages.length === 0) {
+                return;
+            }
+
+            const derived = createDerivedConversation(conversation, messages);
+            try {
+                await this.state.saveConversation(derived);
+                this.state.selectConversation(derived.id);
+                this.fileHandler.showToast(`Saved "${escapeHtml(derived.title)}"`, 'success');
+            } catch (error) {
+                this.fileHandler.showToast(`Could not save messages: ${escapeHtml(error.message)}`, 'danger');
+            }
+        });
+    }
+
+    /**
+     * Show the selection toolbar while selecting messages
+     * @param {Array} messages - Selected messages
+     * @param {boolean} selectionMode - Whether selection mode is on
+     */
+    updateMessageSelectionBar(messages, selectionMode) {
+        const bar = document.getElementById('message-selection-bar');
+        const selectMessagesBtn = document.getElementById('select-messages-btn');
+        if (selectMessagesBtn) {
+            selectMessagesBtn.classList.toggle('active', selectionMode);
+        }
+        if (!bar) {
+            return;
+        }
+
+        bar.style.display = selectionMode ? 'flex' : 'none';
+        bar.querySelector('.message-selection-count').textContent = messages.length > 0
+            ? `${messages.length} message(s) selected. Shift-click to select a range.`
+            : 'Select messages to export, copy or save. Shift-click to select a range.';
+        ['copy-messages-btn', 'export-messages-btn', 'save-messages-btn'].forEach(id => {
+            bar.querySelector(`#${id}`).disabled = messages.length === 0;
+        });
+    }
 }
 
 // Initialize app when DOM is ready
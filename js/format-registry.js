@@ -0,0 +1,144 @@
+/**
+ * Registry of conversation formats
+ * Each format describes how to recognize and parse one exported record, plus how
+ * to present it (badge, platform name, continue URL). Built-in formats are
+ * registered by parsers.js; other scripts can add their own with registerFormat().
+ */
+
+const formats = new Map();
+
+/**
+ * Register a conversation format, replacing any format with the same id
+ * Formats are tried in registration order when detecting a record.
+ * @param {Object} format - Format definition
+ * @param {string} format.id - Format identifier stored on parsed conversations
+ * @param {string} [format.name] - Platform display name
+ * @param {Object} [format.badge] - Badge shown in the UI: { label, className }
+ * @param {Function} format.detect - (item) => boolean, true if the record belongs to this format
+ * @param {Function} [format.parse] - (item, index) => conversation or array of conversations
+ * @param {Function} [format.parseMany] - (items) => array of conversations, for formats whose
+ *     conversations span several records (e.g. event logs); used instead of parse
+ * @param {Function} [format.getUrl] - (conversation) => URL to continue the conversation, or null
+ * @param {string} [format.moduleUrl] - Absolute URL of the module that registers this format,
+ *     loaded by the import worker so the format is available off the main thread
+ * @param {boolean} [format.prepend] - Try this format before the ones already registered
+ */
+export function registerFormat(format) {
+    if (!format || !format.id || typeof format.detect !== 'function') {
+        throw new Error('Format must have an id and a detect function');
+    }
+    if (typeof format.parse !== 'function' && typeof format.parseMany !== 'function') {
+        throw new Error(`Format "${format.id}" must have a parse or parseMany function`);
+    }
+
+    if (format.prepend && !formats.has(format.id)) {
+        const existing = Array.from(formats.entries());
+        formats.clear();
+        formats.set(format.id, format);
+        existing.forEach(([id, entry]) => formats.set(id, entry));
+    } else {
+        formats.set(format.id, format);
+    }
+}
+
+/**
+ * Get a registered format
+ * @param {string} id - Format identifier
+ * @returns {Object|null}
+ */
+export function getFormat(id) {
+    return formats.get(id) || null;
+}
+
+/**
+ * Get all registered formats in detection order
+ * @returns {Array<Object>}
+ */
+export function getFormats() {
+    return Array.from(formats.values());
+}
+
+/**
+ * Get the module URLs of formats registered by other scripts
+ * @returns {Array<string>}
+ */
+export function getFormatModules() {
+    return Array.from(new Set(getFormats().map(format => format.moduleUrl).filter(Boolean)));
+}
+
+/**
+ * Detect the format of a single exported record
+ * @param {*} item - One element of the parsed file
+ * @returns {string|null} - Format id, or null if no format recognizes it
+ */
+export function detectFormat(item) {
+    if (!item || typeof item !== 'object') {
+        return null;
+    }
+
+    for (const format of formats.values()) {
+        try {
+            if (format.detect(item)) {
+                return format.id;
+            }
+        } catch (error) {
+            console.warn(`Format "${format.id}" failed to inspect a record:`, error);
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the platform display name for a format
+ * @param {string} id - Format identifier
+ * @returns {string}
+ */
+export function getPlatformName(id) {
+    return formats.get(id)?.name || 'Unknown Platform';
+}
+
+/**
+ * Get format badge HTML
+ * @param {string} id - Format identifier
+ * @returns {string}
+ */
+export function getFormatBadge(id) {
+    const badge = formats.get(id)?.badge;
+    if (!badge) {
+        return '<span class="badge bg-secondary">Unknown</span>';
+    }
+    return `<span class="badge ${escapeBadgeText(badge.className || 'bg-secondary')}">${escapeBadgeText(badge.label)}</span>`;
+}
+
+/**
+ * Generate a URL to continue the conversation on the respective platform
+ * @param {Object} conversation - Normalized conversation object
+ * @returns {string|null} - Platform URL or null if not supported
+ */
+export function getPlatformUrl(conversation) {
+    if (!conversation || !conversation.id || !conversation.format) {
+        return null;
+    }
+
+    // Excerpts continue in the conversation they were taken from
+    const source = conversation.derivedFrom
+        ? { ...conversation, id: conversation.derivedFrom.conversationId }
+        : conversation;
+
+    const format = formats.get(conversation.format);
+    return format?.getUrl ? format.getUrl(source) || null : null;
+}
+
+/**
+ * Escape badge text and class names
+ * Kept local so the registry has no DOM dependencies
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeBadgeText(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -1,214 +1,1565 @@
 /**
- * Conversation format parsers for OpenAI and Claude exports
+ * Conversation format parsers for OpenAI, Claude, Z.ai, Open WebUI, LibreChat, Gemini, agent session and API log exports
  */
 
+import { registerFormat, detectFormat, getFormat } from './format-registry.js';
+import { validateConversation, hashString } from './utils/conversation-schema.js';
+import { Settings } from './utils/settings.js';
+import { normalizeTags, normalizeFolderPath } from './utils/organization.js';
+import { partsToText } from './utils/message-text.js';
+
+// Gap between Gemini activities that starts a new conversation
+const GEMINI_SESSION_GAP_MS = 30 * 60 * 1000;
+
+// Model IDs served by Z.ai (GLM family and its dated internal names)
+const ZAI_MODEL_PATTERN = /^(glm|0\d{3}-\d+b)|^z1-/i;
+
+// LibreChat feedback ratings
+const LIBRECHAT_RATINGS = { thumbsUp: 1, thumbsDown: -1 };
+
 /**
- * Detect the format of a conversation JSON
- * @param {Array} data - Parsed JSON data
- * @returns {string} - 'openai', 'claude', 'zai', 'normalized', or 'unknown'
+ * Convert a Unix timestamp in seconds to a Date
+ * Missing values give an invalid Date so validation can repair them, rather than 1970
+ * @param {number|null|undefined} seconds
+ * @returns {Date}
  */
-export function detectFormat(data) {
-    if (!Array.isArray(data) || data.length === 0) {
-        throw new Error('Invalid conversation format: expected non-empty array');
-    }
+function fromUnixTime(seconds) {
+    return seconds === null || seconds === undefined || seconds === '' ? new Date(NaN) : new Date(seconds * 1000);
+}
 
-    const first = data[0];
+/**
+ * Parse OpenAI conversation format
+ * Keeps every branch of the node tree; current_node marks the active branch
+ * @param {Object} conv - OpenAI conversation
+ * @returns {Object} - Normalized conversation
+ */
+export function parseOpenAI(conv) {
+    const nodes = Object.entries(conv.mapping || {}).map(([nodeId, node]) => {
+        let message = null;
 
-    // Normalized format (exported from this app)
-    // Check for presence of keys, not just truthy values
-    if (first.id && first.messages && first.format && first.created && first.updated) {
-        return 'normalized';
-    }
+        // Only include messages that exist, aren't hidden and have content
+        if (node.message) {
+            const isHidden = node.message.metadata?.is_visually_hidden_from_conversation;
+            const parts = parseOpenAIContent(node.message.content);
 
-    // OpenAI format has mapping and current_node
-    if (first.mapping && first.current_node) {
-        return 'openai';
-    }
+            // Uploaded files that aren't already shown as images
+            (node.message.metadata?.attachments || []).forEach(attachment => {
+                if (attachment.id && !parts.some(part => part.assetId === attachment.id)) {
+                    parts.push({
+                        type: 'file',
+                        assetId: attachment.id,
+                        name: attachment.name,
+                        mimeType: attachment.mime_type
+                    });
+                }
+            });
 
-    // Claude format has chat_messages and uuid
-    if (first.chat_messages && first.uuid) {
-        return 'claude';
-    }
+            if (!isHidden && parts.length > 0) {
+                message = {
+                    id: node.message.id,
+                    role: node.message.author?.role,
+                    content: partsToText(parts),
+                    parts,
+                    timestamp: fromUnixTime(node.message.create_time),
+                    metadata: {
+                        model: node.message.metadata?.model_slug,
+                        status: node.message.status
+                    }
+                };
+            }
+        }
 
-    // Z.ai format has chat.history.messages and chat.history.currentId
-    if (first.chat && first.chat.history && first.chat.history.messages && first.chat.history.currentId) {
-        return 'zai';
-    }
+        return { id: nodeId, parentId: node.parent, message };
+    });
+
+    attachExecutionOutputs(nodes);
+
+    const { messages, currentId } = buildMessageTree(nodes, conv.current_node);
 
-    throw new Error('Unknown conversation format');
+    return {
+        id: conv.conversation_id || conv.id,
+        title: conv.title || 'Untitled Conversation',
+        created: fromUnixTime(conv.create_time),
+        updated: fromUnixTime(conv.update_time),
+        format: 'openai',
+        currentId,
+        messages
+    };
 }
 
 /**
- * Parse OpenAI conversation format
- * Extracts the current conversation path by walking from current_node backwards
- * @param {Array} data - OpenAI conversation array
- * @returns {Array} - Array of normalized conversations
+ * Convert an OpenAI message content object into typed parts
+ * @param {Object} content - OpenAI message content
+ * @returns {Array} - Array of typed parts (empty if nothing displayable)
  */
-export function parseOpenAI(data) {
-    return data.map(conv => {
-        const messages = [];
-        let nodeId = conv.current_node;
-
-        // Walk backwards from current_node to root
-        while (nodeId) {
-            const node = conv.mapping[nodeId];
-            if (!node) break;
-
-            // Only include messages that exist and aren't hidden
-            if (node.message) {
-                const isHidden = node.message.metadata?.is_visually_hidden_from_conversation;
-                const hasContent = node.message.content?.parts?.[0];
-
-                if (!isHidden && hasContent) {
-                    messages.unshift({
-                        id: node.message.id,
-                        role: node.message.author.role,
-                        content: node.message.content.parts.join('\n'),
-                        timestamp: new Date(node.message.create_time * 1000),
-                        metadata: {
-                            model: node.message.metadata?.model_slug,
-                            status: node.message.status
-                        }
-                    });
+function parseOpenAIContent(content) {
+    if (!content) {
+        return [];
+    }
+
+    switch (content.content_type) {
+        case 'text': {
+            const text = (content.parts || []).filter(part => typeof part === 'string').join('\n');
+            return text ? [{ type: 'text', text }] : [];
+        }
+        case 'multimodal_text':
+            return (content.parts || []).map(part => {
+                if (typeof part === 'string') {
+                    return part ? { type: 'text', text: part } : null;
+                }
+                if (part?.content_type === 'image_asset_pointer') {
+                    return {
+                        type: 'image',
+                        assetPointer: part.asset_pointer,
+                        assetId: toAssetId(part.asset_pointer),
+                        width: part.width,
+                        height: part.height
+                    };
                 }
+                return part?.text ? { type: 'text', text: part.text } : null;
+            }).filter(Boolean);
+        case 'code':
+            return content.text ? [{
+                type: 'code',
+                language: content.language && content.language !== 'unknown' ? content.language : undefined,
+                code: content.text
+            }] : [];
+        case 'execution_output':
+            return content.text ? [{ type: 'execution_output', text: content.text }] : [];
+        case 'tether_quote':
+            return content.text ? [{
+                type: 'quote',
+                text: content.text,
+                url: content.url,
+                title: content.title,
+                domain: content.domain
+            }] : [];
+        case 'tether_browsing_display':
+            return content.result ? [{ type: 'browsing', text: content.result, summary: content.summary }] : [];
+        case 'system_error':
+            return [{ type: 'tool_result', name: content.name, content: content.text || '', isError: true, sources: [] }];
+        default:
+            // Fall back to any readable text for content types we don't know yet
+            if (typeof content.text === 'string' && content.text) {
+                return [{ type: 'text', text: content.text }];
             }
+            if (Array.isArray(content.parts)) {
+                const text = content.parts.filter(part => typeof part === 'string').join('\n');
+                return text ? [{ type: 'text', text }] : [];
+            }
+            return [];
+    }
+}
 
-            nodeId = node.parent;
+/**
+ * Strip the scheme from an OpenAI asset pointer
+ * e.g. "file-service://file-abc123" -> "file-abc123"
+ * @param {string} assetPointer - Asset pointer URI
+ * @returns {string|undefined}
+ */
+function toAssetId(assetPointer) {
+    return assetPointer ? assetPointer.replace(/^[a-z-]+:\/\//i, '') : undefined;
+}
+
+/**
+ * Fold Code Interpreter output into the code part that produced it
+ * The output node is dropped so its children link to the code message.
+ * @param {Array} nodes - Array of { id, parentId, message }
+ */
+function attachExecutionOutputs(nodes) {
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+
+    nodes.forEach(node => {
+        const part = node.message?.parts[0];
+        if (!part || part.type !== 'execution_output' || node.message.parts.length > 1) {
+            return;
         }
 
-        return {
-            id: conv.conversation_id || conv.id,
-            title: conv.title || 'Untitled Conversation',
-            created: new Date(conv.create_time * 1000),
-            updated: new Date(conv.update_time * 1000),
-            format: 'openai',
-            messages
-        };
+        let parent = nodesById.get(node.parentId);
+        while (parent && !parent.message) {
+            parent = nodesById.get(parent.parentId);
+        }
+
+        const codePart = parent?.message.parts?.[parent.message.parts.length - 1];
+        if (codePart?.type === 'code' && codePart.output === undefined) {
+            codePart.output = part.text;
+            parent.message.content = partsToText(parent.message.parts);
+            node.message = null;
+        }
     });
 }
 
 /**
  * Parse Claude conversation format
  * Transforms linear chat_messages array to normalized format
- * @param {Array} data - Claude conversation array
- * @returns {Array} - Array of normalized conversations
+ * @param {Object} conv - Claude conversation
+ * @returns {Object} - Normalized conversation
  */
-export function parseClaude(data) {
-    return data.map(conv => {
-        const messages = conv.chat_messages.map(msg => ({
+export function parseClaude(conv) {
+    const messages = conv.chat_messages.map(msg => {
+        // Older exports only carry a plain text field
+        const items = Array.isArray(msg.content) ? msg.content : [{ type: 'text', text: msg.text || '' }];
+        const parts = [...parseClaudeFiles(msg), ...parseClaudeContent(items)];
+
+        return {
             id: msg.uuid,
             role: msg.sender === 'human' ? 'user' : 'assistant',
-            content: msg.content
-                .filter(c => c.type === 'text')
-                .map(c => c.text)
-                .join('\n'),
+            content: partsToText(parts),
+            parts,
             timestamp: new Date(msg.created_at),
             metadata: {
                 attachments: msg.attachments,
                 files: msg.files
             }
+        };
+    });
+
+    return {
+        id: conv.uuid,
+        title: conv.name || 'Untitled Conversation',
+        created: new Date(conv.created_at),
+        updated: new Date(conv.updated_at),
+        format: 'claude',
+        summary: conv.summary,
+        messages
+    };
+}
+
+/**
+ * Convert the files uploaded with a Claude message into file parts
+ * @param {Object} msg - Claude chat message
+ * @returns {Array} - Array of file parts
+ */
+function parseClaudeFiles(msg) {
+    const files = msg.files_v2 || msg.files || [];
+    return files
+        .filter(file => file.file_uuid || file.file_name)
+        .map(file => ({
+            type: 'file',
+            assetId: file.file_uuid || file.file_name,
+            name: file.file_name
         }));
+}
 
-        return {
-            id: conv.uuid,
-            title: conv.name || 'Untitled Conversation',
-            created: new Date(conv.created_at),
-            updated: new Date(conv.updated_at),
-            format: 'claude',
-            summary: conv.summary,
-            messages
-        };
+/**
+ * Convert Claude content blocks into typed message parts
+ * Artifacts are tool_use blocks named "artifacts" and become their own part type
+ * @param {Array} items - Claude content blocks
+ * @returns {Array} - Array of typed parts
+ */
+function parseClaudeContent(items) {
+    const parts = [];
+
+    items.forEach(item => {
+        switch (item.type) {
+            case 'text': {
+                const citations = (item.citations || [])
+                    .map(citation => ({
+                        url: citation.url || citation.details?.url,
+                        title: citation.title || citation.details?.title
+                    }))
+                    .filter(citation => citation.url);
+                parts.push(citations.length > 0
+                    ? { type: 'text', text: item.text || '', citations }
+                    : { type: 'text', text: item.text || '' });
+                break;
+            }
+            case 'thinking':
+                parts.push({ type: 'thinking', text: item.thinking || '' });
+                break;
+            case 'image':
+                // Inline base64 images (API requests and agent sessions)
+                if (item.source?.type === 'base64') {
+                    parts.push({ type: 'image', src: `data:${item.source.media_type};base64,${item.source.data}` });
+                } else if (item.source?.url) {
+                    parts.push({ type: 'image', src: item.source.url });
+                }
+                break;
+            case 'tool_use':
+                if (item.name === 'artifacts' && item.input) {
+                    parts.push({
+                        type: 'artifact',
+                        id: item.input.id,
+                        title: item.input.title,
+                        artifactType: item.input.type,
+                        language: item.input.language,
+                        command: item.input.command,
+                        content: item.input.content ?? item.input.new_str ?? ''
+                    });
+                } else {
+                    parts.push({ type: 'tool_use', id: item.id, name: item.name, input: item.input });
+                }
+                break;
+            case 'tool_result': {
+                const blocks = Array.isArray(item.content) ? item.content : [{ type: 'text', text: String(item.content ?? '') }];
+                const sources = blocks
+                    .filter(block => block.type === 'knowledge' && block.url)
+                    .map(block => ({ url: block.url, title: block.title }));
+                parts.push({
+                    type: 'tool_result',
+                    toolUseId: item.tool_use_id,
+                    name: item.name,
+                    content: blocks
+                        .filter(block => block.type === 'text')
+                        .map(block => block.text)
+                        .join('\n'),
+                    isError: Boolean(item.is_error),
+                    sources
+                });
+                break;
+            }
+            default:
+                // Keep any readable text from block types we don't know yet
+                if (typeof item.text === 'string') {
+                    parts.push({ type: 'text', text: item.text });
+                }
+        }
     });
+
+    return parts;
 }
 
 /**
  * Parse Z.ai conversation format
- * Extracts the current conversation path by walking from currentId backwards
- * @param {Array} data - Z.ai conversation array
- * @returns {Array} - Array of normalized conversations
+ * Keeps every branch of the message tree; currentId marks the active branch
+ * @param {Object} conv - Z.ai conversation
+ * @returns {Object} - Normalized conversation
  */
-export function parseZai(data) {
-    return data.map(conv => {
-        const messages = [];
-        let nodeId = conv.chat.history.currentId;
-        const messageMap = conv.chat.history.messages;
+export function parseZai(conv) {
+    const messageMap = conv.chat.history.messages;
+
+    const nodes = Object.entries(messageMap).map(([nodeId, node]) => ({
+        id: nodeId,
+        parentId: node.parentId,
+        message: {
+            id: node.id || nodeId,
+            role: node.role,
+            content: node.content || '',
+            timestamp: fromUnixTime(node.timestamp),
+            metadata: {
+                model: node.model || node.modelName,
+                models: node.models,
+                done: node.done,
+                status: node.status,
+                usage: node.usage
+            }
+        }
+    }));
+
+    const { messages, currentId } = buildMessageTree(nodes, conv.chat.history.currentId);
+
+    return {
+        id: conv.id,
+        title: conv.title || conv.chat?.title || 'Untitled Conversation',
+        created: fromUnixTime(conv.created_at ?? (conv.chat?.timestamp && conv.chat.timestamp / 1000)),
+        updated: fromUnixTime(conv.updated_at),
+        format: 'zai',
+        currentId,
+        messages
+    };
+}
+
+/**
+ * Check whether a record is an Open WebUI chat (or a fork of it, such as Z.ai)
+ * Newer exports keep a message tree in chat.history, older ones a linear chat.messages list
+ * @param {Object} item - Exported record
+ * @returns {boolean}
+ */
+function isOpenWebUIChat(item) {
+    const chat = item.chat;
+    return Boolean(chat && typeof chat === 'object' &&
+        ((chat.history?.messages && typeof chat.history.messages === 'object') || Array.isArray(chat.messages)));
+}
+
+/**
+ * Check whether an Open WebUI-style chat can be read as Z.ai
+ * Z.ai runs its GLM models on an Open WebUI fork, so a chat tree with an active
+ * branch is Z.ai unless the rest of the file says otherwise, see settleOpenWebUIPlatform()
+ * @param {Object} item - Exported record
+ * @returns {boolean}
+ */
+function isZaiChat(item) {
+    return Boolean(item.chat?.history?.messages && typeof item.chat.history.messages === 'object' &&
+        item.chat.history.currentId);
+}
+
+/**
+ * Get the models named by an Open WebUI-style chat
+ * @param {Object} item - Exported record
+ * @returns {Array<string>}
+ */
+function getOpenWebUIModels(item) {
+    const chat = item.chat || {};
+    const messages = chat.history?.messages && typeof chat.history.messages === 'object'
+        ? Object.values(chat.history.messages)
+        : Array.isArray(chat.messages) ? chat.messages : [];
+    return [
+        ...(Array.isArray(chat.models) ? chat.models : []),
+        ...messages.flatMap(message => [message?.model, message?.modelName, ...(message?.models || [])])
+    ].filter(model => typeof model === 'string' && model);
+}
+
+/**
+ * Check whether a model name is one of Z.ai's
+ * Self-hosted GLM models carry a tag or a provider prefix (glm4:9b, zai-org/GLM-4.6), Z.ai's don't.
+ * @param {string} model
+ * @returns {boolean}
+ */
+function isZaiModel(model) {
+    return ZAI_MODEL_PATTERN.test(model) && !/[:/]/.test(model);
+}
+
+/**
+ * Decide once per file whether its Open WebUI-style chats come from Z.ai
+ * Records are detected one at a time, which would split one export wherever chats
+ * differ. The file is read as Open WebUI only when something marks it as such: more
+ * of its chats use other models than Z.ai's, or it has older linear chats, which
+ * Z.ai doesn't export, and no Z.ai models. Otherwise every chat tree is Z.ai.
+ * @param {Map} groups - Format id to its { item, index } entries; updated in place
+ */
+function settleOpenWebUIPlatform(groups) {
+    const zai = groups.get('zai') || [];
+    const openWebUI = groups.get('openwebui') || [];
+    if (zai.length === 0 && openWebUI.length === 0) {
+        return;
+    }
+
+    let zaiModels = 0;
+    let otherModels = 0;
+    [...zai, ...openWebUI].forEach(({ item }) => {
+        const models = getOpenWebUIModels(item);
+        if (models.some(isZaiModel)) {
+            zaiModels++;
+        } else if (models.length > 0) {
+            otherModels++;
+        }
+    });
+    const linear = openWebUI.filter(({ item }) => !item.chat.history?.messages);
+    const isOpenWebUI = otherModels > zaiModels || (zaiModels === 0 && linear.length > 0);
+
+    const byIndex = (a, b) => a.index - b.index;
+    if (isOpenWebUI) {
+        groups.set('openwebui', [...openWebUI, ...zai].sort(byIndex));
+        groups.delete('zai');
+    } else if (zai.length > 0 || zaiModels > 0) {
+        // Linear chats can't be read as Z.ai, so they stay Open WebUI
+        const trees = openWebUI.filter(entry => !linear.includes(entry));
+        groups.set('zai', [...zai, ...trees].sort(byIndex));
+        if (linear.length > 0) {
+            groups.set('openwebui', linear);
+        } else {
+            groups.delete('openwebui');
+        }
+    }
+}
+
+/**
+ * Parse an Open WebUI chat export
+ * Keeps every branch of chat.history; files become message parts and web
+ * sources become citations
+ * @param {Object} conv - Open WebUI chat
+ * @returns {Object} - Normalized conversation
+ */
+export function parseOpenWebUI(conv) {
+    const chat = conv.chat;
+    let messageMap = chat.history?.messages;
+
+    // Older exports only have a linear list; chain it where parent links are missing
+    if (!messageMap) {
+        const ids = chat.messages.map((message, index) => message.id || `${conv.id}-${index}`);
+        messageMap = {};
+        chat.messages.forEach((message, index) => {
+            messageMap[ids[index]] = { ...message, id: ids[index], parentId: message.parentId ?? ids[index - 1] ?? null };
+        });
+    }
 
-        // Walk backwards from currentId to root
-        while (nodeId) {
-            const node = messageMap[nodeId];
-            if (!node) break;
+    const nodes = Object.entries(messageMap).map(([nodeId, node]) => {
+        const content = node.content || '';
+        const citations = parseOpenWebUISources(node.sources || node.citations);
+        const fileParts = parseOpenWebUIFiles(node.files);
+        const textPart = citations.length > 0 ? { type: 'text', text: content, citations } : { type: 'text', text: content };
+        const rating = Number(node.annotation?.rating);
 
-            // Add message to the beginning of the array
-            messages.unshift({
-                id: node.id,
+        return {
+            id: nodeId,
+            parentId: node.parentId,
+            message: {
+                id: node.id || nodeId,
                 role: node.role,
-                content: node.content || '',
-                timestamp: new Date(node.timestamp * 1000),
+                content,
+                parts: fileParts.length > 0 || citations.length > 0 ? [...fileParts, textPart] : undefined,
+                timestamp: fromUnixTime(node.timestamp),
                 metadata: {
-                    model: node.model || node.modelName,
+                    model: node.model,
+                    modelName: node.modelName,
                     models: node.models,
                     done: node.done,
-                    status: node.status,
-                    usage: node.usage
+                    usage: node.usage || node.info?.usage,
+                    rating: rating ? Math.sign(rating) : undefined,
+                    feedback: node.annotation?.comment || node.annotation?.reason || undefined
                 }
-            });
+            }
+        };
+    });
+
+    const { messages, currentId } = buildMessageTree(nodes, chat.history?.currentId);
+
+    return {
+        id: conv.id,
+        title: conv.title || chat.title || 'Untitled Conversation',
+        created: fromUnixTime(conv.created_at ?? (chat.timestamp && chat.timestamp / 1000)),
+        updated: fromUnixTime(conv.updated_at),
+        format: 'openwebui',
+        currentId,
+        messages
+    };
+}
+
+/**
+ * Convert the files attached to an Open WebUI message into image and file parts
+ * Inline (data URL) images are shown directly; uploads stored on the server show
+ * as placeholders
+ * @param {Array} files - Open WebUI message files
+ * @returns {Array} - Array of parts
+ */
+function parseOpenWebUIFiles(files) {
+    if (!Array.isArray(files)) {
+        return [];
+    }
+
+    return files.map(file => {
+        const name = file.name || file.file?.meta?.name || file.file?.filename;
+        if (file.type === 'image') {
+            return typeof file.url === 'string' && file.url.startsWith('data:')
+                ? { type: 'image', src: file.url, name }
+                : { type: 'image', assetId: file.id || file.url, name };
+        }
+        return { type: 'file', assetId: file.id || file.file?.id || name, name, mimeType: file.file?.meta?.content_type };
+    }).filter(part => part.src || part.assetId);
+}
+
+/**
+ * Convert Open WebUI retrieval sources into citations
+ * @param {Array} sources - Open WebUI message sources
+ * @returns {Array} - Array of { url, title }
+ */
+function parseOpenWebUISources(sources) {
+    if (!Array.isArray(sources)) {
+        return [];
+    }
+
+    const citations = [];
+    sources.forEach(source => {
+        const entries = Array.isArray(source.metadata) && source.metadata.length > 0 ? source.metadata : [source.source || {}];
+        entries.forEach(entry => {
+            const url = [entry?.source, entry?.url, source.source?.url].find(value => typeof value === 'string' && /^https?:\/\//.test(value));
+            if (url && !citations.some(citation => citation.url === url)) {
+                citations.push({ url, title: entry?.title || entry?.name || source.source?.name });
+            }
+        });
+    });
+    return citations;
+}
+
+/**
+ * Check whether a record is a LibreChat conversation export
+ * @param {Object} item - Exported record
+ * @returns {boolean}
+ */
+function isLibreChatExport(item) {
+    const messages = item.messagesTree || item.messages;
+    return Boolean(item.conversationId && Array.isArray(messages) &&
+        (messages.length === 0 || messages[0]?.messageId !== undefined));
+}
+
+/**
+ * Parse a LibreChat conversation export
+ * Recursive exports nest replies in `children` (messagesTree); flat exports link
+ * them with parentMessageId. Every branch is kept and the most recent one is active.
+ * @param {Object} conv - LibreChat export
+ * @returns {Object} - Normalized conversation
+ */
+export function parseLibreChat(conv) {
+    const records = [];
+    const collect = (message) => {
+        records.push(message);
+        (message.children || []).forEach(collect);
+    };
+    (conv.messagesTree || conv.messages).forEach(collect);
+
+    let created = Infinity;
+    let updated = -Infinity;
+
+    const nodes = records.map(msg => {
+        const parts = [...parseLibreChatFiles(msg.files), ...parseLibreChatContent(msg.content)];
+        const timestamp = new Date(msg.createdAt);
+        if (!isNaN(timestamp.getTime())) {
+            const edited = new Date(msg.updatedAt).getTime();
+            created = Math.min(created, timestamp.getTime());
+            updated = Math.max(updated, isNaN(edited) ? timestamp.getTime() : edited);
+        }
 
+        const hasContentParts = Array.isArray(msg.content) && msg.content.length > 0;
+        if (!hasContentParts && parts.length > 0) {
+            parts.push({ type: 'text', text: msg.text || '' });
+        }
+
+        return {
+            id: msg.messageId,
+            parentId: msg.parentMessageId,
+            message: {
+                id: msg.messageId,
+                role: msg.isCreatedByUser ? 'user' : 'assistant',
+                content: hasContentParts ? partsToText(parts) : msg.text || '',
+                parts: parts.length > 0 ? parts : undefined,
+                timestamp,
+                metadata: {
+                    model: msg.model,
+                    sender: msg.sender,
+                    endpoint: msg.endpoint,
+                    tokenCount: msg.tokenCount,
+                    error: msg.error || undefined,
+                    unfinished: msg.unfinished || undefined,
+                    rating: LIBRECHAT_RATINGS[msg.feedback?.rating],
+                    feedback: msg.feedback?.text || msg.feedback?.tag?.label || undefined
+                }
+            }
+        };
+    });
+
+    const { messages, currentId } = buildMessageTree(nodes, null);
+
+    return {
+        id: conv.conversationId,
+        title: conv.title || 'Untitled Conversation',
+        created: new Date(conv.createdAt || (created !== Infinity ? created : NaN)),
+        updated: new Date(conv.updatedAt || (updated !== -Infinity ? updated : NaN)),
+        format: 'librechat',
+        currentId,
+        messages
+    };
+}
+
+/**
+ * Convert the files attached to a LibreChat message into image and file parts
+ * @param {Array} files - LibreChat message files
+ * @returns {Array} - Array of parts
+ */
+function parseLibreChatFiles(files) {
+    if (!Array.isArray(files)) {
+        return [];
+    }
+
+    return files
+        .filter(file => file.file_id || file.filename)
+        .map(file => String(file.type || '').startsWith('image/')
+            ? { type: 'image', assetId: file.file_id || file.filename, name: file.filename, width: file.width, height: file.height }
+            : { type: 'file', assetId: file.file_id || file.filename, name: file.filename, mimeType: file.type });
+}
+
+/**
+ * Convert LibreChat content parts (agents and assistants endpoints) into typed parts
+ * @param {Array} content - LibreChat content parts
+ * @returns {Array} - Array of typed parts
+ */
+function parseLibreChatContent(content) {
+    if (!Array.isArray(content)) {
+        return [];
+    }
+
+    const parts = [];
+    content.forEach(item => {
+        switch (item?.type) {
+            case 'text': {
+                const text = typeof item.text === 'string' ? item.text : item.text?.value;
+                parts.push({ type: 'text', text: text || '' });
+                break;
+            }
+            case 'think':
+                parts.push({ type: 'thinking', text: typeof item.think === 'string' ? item.think : item.think?.value || '' });
+                break;
+            case 'tool_call': {
+                const call = item.tool_call || {};
+                const name = call.name || call.function?.name || call.type;
+                parts.push({ type: 'tool_use', id: call.id, name, input: parseToolArguments(call.args ?? call.function?.arguments) });
+                const output = call.output ?? call.function?.output;
+                if (output !== undefined && output !== null) {
+                    parts.push({ type: 'tool_result', toolUseId: call.id, name, content: String(output), isError: false, sources: [] });
+                }
+                break;
+            }
+            case 'image_file':
+                if (item.image_file?.file_id) {
+                    parts.push({ type: 'image', assetId: item.image_file.file_id, name: item.image_file.filename });
+                }
+                break;
+            default:
+                break;
+        }
+    });
+    return parts;
+}
+
+/**
+ * Link parsed messages into a conversation tree
+ * Nodes without a message (hidden, empty or structural) are collapsed so that
+ * each message points at its nearest kept ancestor. Siblings are ordered by
+ * timestamp and messages are returned in depth-first order.
+ * @param {Array} nodes - Array of { id, parentId, message } where message may be null
+ * @param {string} currentNodeId - Node id on the active branch
+ * @returns {{messages: Array, currentId: string|null}}
+ */
+function buildMessageTree(nodes, currentNodeId) {
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+
+    // Walk up from a node until one that produced a message is found
+    const resolveMessageId = (nodeId) => {
+        const visited = new Set();
+        while (nodeId && !visited.has(nodeId)) {
+            visited.add(nodeId);
+            const node = nodesById.get(nodeId);
+            if (!node) return null;
+            if (node.message) return node.message.id;
             nodeId = node.parentId;
         }
+        return null;
+    };
+
+    const kept = nodes.filter(node => node.message);
+    const childrenByParent = new Map();
+
+    kept.forEach(node => {
+        const parentId = resolveMessageId(node.parentId);
+        node.message.parentId = parentId;
+        if (!childrenByParent.has(parentId)) {
+            childrenByParent.set(parentId, []);
+        }
+        childrenByParent.get(parentId).push(node.message);
+    });
+
+    // Order siblings chronologically, keeping source order for ties
+    childrenByParent.forEach(children => {
+        children.sort((a, b) => (a.timestamp - b.timestamp) || 0);
+    });
+
+    const messages = [];
+    const messagesById = new Map(kept.map(node => [node.message.id, node.message]));
+    const visited = new Set();
+    const visit = (message) => {
+        if (visited.has(message.id)) return;
+        visited.add(message.id);
+        const children = childrenByParent.get(message.id) || [];
+        message.childrenIds = children.map(child => child.id);
+        messages.push(message);
+        children.forEach(visit);
+    };
+    (childrenByParent.get(null) || []).forEach(visit);
+
+    // Default to the most recent leaf if current node is missing or hidden
+    let currentId = resolveMessageId(currentNodeId);
+    if (!currentId && messages.length > 0) {
+        let message = messages[0];
+        while (message.childrenIds.length > 0) {
+            const lastChildId = message.childrenIds[message.childrenIds.length - 1];
+            message = messagesById.get(lastChildId);
+        }
+        currentId = message.id;
+    }
+
+    return { messages, currentId };
+}
+
+/**
+ * Check whether a record is an agent session log event
+ * @param {Object} item - Parsed JSONL record
+ * @returns {boolean}
+ */
+function isSessionEvent(item) {
+    return Boolean(item && typeof item.uuid === 'string' && 'parentUuid' in item && item.sessionId && item.message);
+}
+
+/**
+ * Parse agent session logs (Claude Code JSONL transcripts)
+ * Events are grouped by sessionId and linked through uuid/parentUuid.
+ * Streamed assistant events that share an API message ID are merged into one message.
+ * @param {Array} data - Array of session log events
+ * @returns {Array} - Array of normalized conversations
+ */
+export function parseClaudeCode(data) {
+    const sessions = new Map();
+    const summaries = new Map();
+
+    data.forEach(event => {
+        if (event?.type === 'summary' && event.leafUuid) {
+            summaries.set(event.leafUuid, event.summary);
+        } else if (isSessionEvent(event) && !event.isSidechain) {
+            if (!sessions.has(event.sessionId)) {
+                sessions.set(event.sessionId, []);
+            }
+            sessions.get(event.sessionId).push(event);
+        }
+    });
+
+    return Array.from(sessions.entries()).map(([sessionId, events]) => {
+        const apiMessageIds = new Map();
+
+        const nodes = events.map(event => {
+            const content = event.message.content;
+            const items = typeof content === 'string' ? [{ type: 'text', text: content }] : (content || []);
+            const parts = event.isMeta ? [] : parseClaudeContent(items);
+
+            let message = null;
+            if (parts.length > 0) {
+                const isToolResult = parts.every(part => part.type === 'tool_result');
+                message = {
+                    id: event.uuid,
+                    role: event.type === 'assistant' ? 'assistant' : (isToolResult ? 'tool' : 'user'),
+                    content: partsToText(parts),
+                    parts,
+                    timestamp: new Date(event.timestamp),
+                    metadata: {
+                        model: event.message.model,
+                        usage: event.message.usage,
+                        cwd: event.cwd,
+                        gitBranch: event.gitBranch
+                    }
+                };
+                if (event.message.id) {
+                    apiMessageIds.set(event.uuid, event.message.id);
+                }
+            }
+
+            return { id: event.uuid, parentId: event.parentUuid, message };
+        });
+
+        mergeStreamedMessages(nodes, apiMessageIds);
+
+        const lastEvent = events[events.length - 1];
+        const { messages, currentId } = buildMessageTree(nodes, lastEvent.uuid);
+
+        const summary = events.map(event => summaries.get(event.uuid)).filter(Boolean).pop();
+        const firstPrompt = messages.find(msg => msg.role === 'user')?.content.trim().split('\n')[0];
 
         return {
-            id: conv.id,
-            title: conv.title || conv.chat?.title || 'Untitled Conversation',
-            created: new Date((conv.created_at || conv.chat?.timestamp / 1000) * 1000),
-            updated: new Date(conv.updated_at * 1000),
-            format: 'zai',
+            id: sessionId,
+            title: summary || (firstPrompt ? firstPrompt.substring(0, 80) : 'Untitled Session'),
+            created: new Date(events[0].timestamp),
+            updated: new Date(lastEvent.timestamp),
+            format: 'claude-code',
+            currentId,
             messages
         };
     });
 }
 
+/**
+ * Merge assistant events streamed as separate content blocks into one message
+ * @param {Array} nodes - Array of { id, parentId, message }
+ * @param {Map<string, string>} apiMessageIds - Event uuid to API message ID
+ */
+function mergeStreamedMessages(nodes, apiMessageIds) {
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+
+    nodes.forEach(node => {
+        const apiMessageId = apiMessageIds.get(node.id);
+        if (!node.message || !apiMessageId) {
+            return;
+        }
+
+        let parent = nodesById.get(node.parentId);
+        while (parent && !parent.message) {
+            parent = nodesById.get(parent.parentId);
+        }
+
+        if (parent && apiMessageIds.get(parent.id) === apiMessageId) {
+            parent.message.parts.push(...node.message.parts);
+            parent.message.content = partsToText(parent.message.parts);
+            node.message = null;
+        }
+    });
+}
+
+/**
+ * Check whether a record is a Gemini (formerly Bard) Takeout activity
+ * @param {Object} item - Activity record
+ * @returns {boolean}
+ */
+function isGeminiActivity(item) {
+    const products = item?.products || [];
+    return Boolean(item && (item.header === 'Gemini Apps' || item.header === 'Bard' ||
+        products.includes('Gemini Apps') || products.includes('Bard')));
+}
+
+/**
+ * Parse Gemini Takeout activity history (My Activity/Gemini Apps/MyActivity.json)
+ * Takeout has no conversation IDs, so activities are grouped into conversations
+ * whenever less than 30 minutes pass between prompts.
+ * @param {Array} data - Array of activity records
+ * @returns {Array} - Array of normalized conversations
+ */
+export function parseGemini(data) {
+    const activities = data
+        .filter(item => isGeminiActivity(item) && item.time)
+        .map(item => ({ ...item, date: new Date(item.time) }))
+        .filter(item => item.title?.startsWith('Prompted') && !isNaN(item.date))
+        .sort((a, b) => a.date - b.date);
+
+    const groups = [];
+    activities.forEach(activity => {
+        const group = groups[groups.length - 1];
+        if (group && activity.date - group[group.length - 1].date < GEMINI_SESSION_GAP_MS) {
+            group.push(activity);
+        } else {
+            groups.push([activity]);
+        }
+    });
+
+    return groups.map(group => {
+        const messages = [];
+
+        group.forEach(activity => {
+            const prompt = activity.title.replace(/^Prompted\s*/, '');
+            const files = (activity.attachedFiles || []).map(name => ({ type: 'file', assetId: name, name }));
+
+            const promptMessage = {
+                id: `${activity.time}-prompt`,
+                role: 'user',
+                content: prompt,
+                timestamp: activity.date,
+                metadata: {}
+            };
+            if (files.length > 0) {
+                promptMessage.parts = [...files, { type: 'text', text: prompt }];
+            }
+            messages.push(promptMessage);
+
+            const html = (activity.safeHtmlItem || []).map(item => item.html).join('\n');
+            if (html) {
+                messages.push({
+                    id: `${activity.time}-response`,
+                    role: 'assistant',
+                    content: htmlToMarkdown(html),
+                    timestamp: activity.date,
+                    metadata: {}
+                });
+            }
+        });
+
+        const first = group[0];
+        const firstPrompt = messages[0].content.trim().split('\n')[0];
+
+        return {
+            id: `gemini-${first.time}`,
+            title: firstPrompt ? firstPrompt.substring(0, 80) : 'Untitled Conversation',
+            created: first.date,
+            updated: group[group.length - 1].date,
+            format: 'gemini',
+            messages
+        };
+    });
+}
+
+/**
+ * Extract activity records from the HTML variant of Gemini Takeout (MyActivity.html)
+ * Produces the same shape as MyActivity.json so both go through parseGemini
+ * @param {string} html - MyActivity.html contents
+ * @returns {Array} - Array of activity records
+ */
+export function parseGeminiActivityHtml(html) {
+    return html.split(/<div class="outer-cell/).slice(1).map(cell => {
+        const header = htmlToMarkdown((cell.match(/<p class="mdl-typography--title">([\s\S]*?)<\/p>/) || [])[1] || '');
+        const body = (cell.match(/<div class="content-cell[^"]*mdl-typography--body-1">([\s\S]*?)<\/div>\s*<div class="content-cell/) || [])[1];
+        if (!body) {
+            return null;
+        }
+
+        // Body is "Prompted <prompt><br><date><br><response html>"
+        const [title, dateText, ...response] = body.split(/<br\s*\/?>/i);
+        return {
+            header: header.trim(),
+            title: htmlToMarkdown(title).trim(),
+            time: parseActivityDate(htmlToMarkdown(dateText || '').trim()),
+            safeHtmlItem: response.length > 0 ? [{ html: response.join('<br>') }] : undefined
+        };
+    }).filter(record => record && record.time);
+}
+
+/**
+ * Parse a Takeout display date such as "Mar 1, 2025, 10:00:00 AM UTC"
+ * Unknown time zone abbreviations are dropped and the time is read as local
+ * @param {string} text - Display date
+ * @returns {string|null} - ISO timestamp
+ */
+function parseActivityDate(text) {
+    const normalized = text.replace(/[\u202f\u00a0]/g, ' ');
+    let date = new Date(normalized);
+    if (isNaN(date)) {
+        date = new Date(normalized.replace(/\s+[A-Z]{2,5}$/, ''));
+    }
+    return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Convert simple HTML (as found in Takeout exports) to markdown text
+ * Regex-based so it also works off the main thread, where DOMParser is unavailable
+ * @param {string} html - HTML fragment
+ * @returns {string}
+ */
+function htmlToMarkdown(html) {
+    return html
+        .replace(/<pre[^>]*>\s*(?:<code[^>]*>)?([\s\S]*?)(?:<\/code>)?\s*<\/pre>/gi, (_, code) => '\n```\n' + code + '\n```\n')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<h([1-6])[^>]*>/gi, (_, level) => `\n${'#'.repeat(Number(level))} `)
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<\/(p|div|h[1-6]|ul|ol|table|tr)>/gi, '\n\n')
+        .replace(/<\/?(strong|b)>/gi, '**')
+        .replace(/<\/?(em|i)>/gi, '*')
+        .replace(/<\/?code[^>]*>/gi, '`')
+        .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;|&emsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&#x27;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Check whether a record is a logged API request/response
+ * Records may wrap the request body as `request` or inline its fields
+ * @param {Object} item - Log record
+ * @returns {boolean}
+ */
+function isApiLog(item) {
+    const request = item?.request || item;
+    return Boolean(request && Array.isArray(request.messages) && ('response' in item || request.model));
+}
+
+/**
+ * Tell Anthropic Messages API logs apart from OpenAI Chat Completions logs
+ * @param {Object} item - Log record
+ * @returns {boolean}
+ */
+function isAnthropicApiLog(item) {
+    const request = item.request || item;
+    const response = item.response;
+
+    if (response?.choices || String(response?.object || '').startsWith('chat.completion')) {
+        return false;
+    }
+    if (request.system !== undefined || response?.type === 'message' || Array.isArray(response?.content)) {
+        return true;
+    }
+    return request.messages.some(msg => Array.isArray(msg.content) &&
+        msg.content.some(block => ['tool_use', 'tool_result'].includes(block.type) || block.source));
+}
+
+/**
+ * Get the time of a logged API call
+ * @param {Object} record - Log record
+ * @param {Object} response - API response
+ * @returns {Date}
+ */
+function getApiLogDate(record, response) {
+    const value = record.timestamp ?? record.created_at ?? record.time;
+    if (value !== undefined) {
+        return new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value);
+    }
+    return fromUnixTime(response?.created);
+}
+
+/**
+ * Build a normalized conversation from the messages of a logged API call
+ * The response (one message per choice) is attached after the last request message.
+ * @param {string} id - Conversation ID
+ * @param {string} format - Format name
+ * @param {Date} timestamp - Time of the call
+ * @param {Array} requestMessages - Messages sent, as { role, parts }
+ * @param {Array} responseMessages - Messages received, as { parts, metadata }
+ * @returns {Object} - Normalized conversation
+ */
+function buildApiConversation(id, format, timestamp, requestMessages, responseMessages) {
+    const nodes = [];
+    let parentId = null;
+
+    requestMessages.forEach((msg, index) => {
+        const messageId = `${id}-${index}`;
+        nodes.push({
+            id: messageId,
+            parentId,
+            message: msg.parts.length > 0 ? {
+                id: messageId,
+                role: msg.role,
+                content: partsToText(msg.parts),
+                parts: msg.parts,
+                timestamp,
+                metadata: {}
+            } : null
+        });
+        parentId = messageId;
+    });
+
+    responseMessages.forEach((msg, index) => {
+        const messageId = `${id}-response-${index}`;
+        nodes.push({
+            id: messageId,
+            parentId,
+            message: {
+                id: messageId,
+                role: 'assistant',
+                content: partsToText(msg.parts),
+                parts: msg.parts,
+                timestamp,
+                metadata: msg.metadata
+            }
+        });
+    });
+
+    // The first choice is the active branch
+    const currentNode = nodes[requestMessages.length] || nodes[nodes.length - 1];
+    const { messages, currentId } = buildMessageTree(nodes, currentNode?.id);
+    const firstPrompt = messages.find(msg => msg.role === 'user')?.content.trim().split('\n')[0];
+    const model = responseMessages[0]?.metadata.model;
+
+    return {
+        id,
+        title: firstPrompt ? firstPrompt.substring(0, 80) : (model || 'API Request'),
+        created: timestamp,
+        updated: timestamp,
+        format,
+        currentId,
+        messages
+    };
+}
+
+/**
+ * Parse logged OpenAI Chat Completions requests
+ * Each record ({model, messages, response}) becomes one conversation
+ * @param {Object} record - Log record
+ * @param {number} index - Position of the record in the file, used for records without an ID
+ * @returns {Object} - Normalized conversation
+ */
+export function parseOpenAIApiLog(record, index = 0) {
+    const request = record.request || record;
+    const response = record.response || {};
+    const timestamp = getApiLogDate(record, response);
+    // Records without an ID or a time get one derived from their messages
+    const id = record.id || response.id || (isNaN(timestamp)
+        ? `openai-api-${hashString(JSON.stringify(request.messages))}`
+        : `openai-api-${timestamp.getTime()}-${index}`);
+
+    const requestMessages = request.messages.map(msg => ({
+        role: msg.role === 'developer' ? 'system' : msg.role,
+        parts: parseOpenAIApiMessage(msg)
+    }));
+
+    const choices = response.choices || [];
+    const responseMessages = choices.map(choice => ({
+        parts: parseOpenAIApiMessage(choice.message || {}),
+        metadata: {
+            model: response.model || request.model,
+            usage: response.usage,
+            finishReason: choice.finish_reason
+        }
+    }));
+
+    if (response.error) {
+        responseMessages.push({
+            parts: [{ type: 'tool_result', name: 'error', content: response.error.message || String(response.error), isError: true, sources: [] }],
+            metadata: { model: request.model }
+        });
+    }
+
+    return buildApiConversation(id, 'openai-api', timestamp, requestMessages, responseMessages);
+}
+
+/**
+ * Convert an OpenAI Chat Completions message into typed parts
+ * @param {Object} msg - Chat message
+ * @returns {Array} - Array of typed parts
+ */
+function parseOpenAIApiMessage(msg) {
+    const parts = [];
+
+    if (msg.role === 'tool' || msg.role === 'function') {
+        const content = Array.isArray(msg.content) ? msg.content.map(item => item.text || '').join('\n') : String(msg.content ?? '');
+        return [{ type: 'tool_result', toolUseId: msg.tool_call_id, name: msg.name, content, isError: false, sources: [] }];
+    }
+
+    if (typeof msg.content === 'string') {
+        if (msg.content) {
+            parts.push({ type: 'text', text: msg.content });
+        }
+    } else if (Array.isArray(msg.content)) {
+        msg.content.forEach(item => {
+            if (item.type === 'text' && item.text) {
+                parts.push({ type: 'text', text: item.text });
+            } else if (item.type === 'image_url' && item.image_url?.url) {
+                parts.push({ type: 'image', src: item.image_url.url });
+            }
+        });
+    }
+
+    (msg.tool_calls || []).forEach(call => {
+        parts.push({ type: 'tool_use', id: call.id, name: call.function?.name, input: parseToolArguments(call.function?.arguments) });
+    });
+    if (msg.function_call) {
+        parts.push({ type: 'tool_use', name: msg.function_call.name, input: parseToolArguments(msg.function_call.arguments) });
+    }
+
+    return parts;
+}
+
+/**
+ * Parse JSON-encoded tool call arguments, keeping the raw string if invalid
+ * @param {string} args - Arguments JSON
+ * @returns {*}
+ */
+function parseToolArguments(args) {
+    if (typeof args !== 'string') {
+        return args;
+    }
+    try {
+        return JSON.parse(args);
+    } catch {
+        return args;
+    }
+}
+
+/**
+ * Parse logged Anthropic Messages API requests
+ * Each record ({model, system, messages, response}) becomes one conversation
+ * @param {Object} record - Log record
+ * @param {number} index - Position of the record in the file, used for records without an ID
+ * @returns {Object} - Normalized conversation
+ */
+export function parseAnthropicApiLog(record, index = 0) {
+    const request = record.request || record;
+    const response = record.response || {};
+    const timestamp = getApiLogDate(record, response);
+    // Records without an ID or a time get one derived from their messages
+    const id = record.id || response.id || (isNaN(timestamp)
+        ? `anthropic-api-${hashString(JSON.stringify(request.messages))}`
+        : `anthropic-api-${timestamp.getTime()}-${index}`);
+
+    const requestMessages = request.messages.map(msg => {
+        const items = typeof msg.content === 'string' ? [{ type: 'text', text: msg.content }] : (msg.content || []);
+        const parts = parseClaudeContent(items);
+        const isToolResult = parts.length > 0 && parts.every(part => part.type === 'tool_result');
+        return { role: isToolResult ? 'tool' : msg.role, parts };
+    });
+
+    if (request.system) {
+        const system = typeof request.system === 'string'
+            ? request.system
+            : request.system.map(block => block.text || '').join('\n');
+        requestMessages.unshift({ role: 'system', parts: system ? [{ type: 'text', text: system }] : [] });
+    }
+
+    const responseMessages = [];
+    if (Array.isArray(response.content)) {
+        responseMessages.push({
+            parts: parseClaudeContent(response.content),
+            metadata: {
+                model: response.model || request.model,
+                usage: response.usage,
+                stopReason: response.stop_reason
+            }
+        });
+    } else if (response.error) {
+        responseMessages.push({
+            parts: [{ type: 'tool_result', name: 'error', content: response.error.message || String(response.error), isError: true, sources: [] }],
+            metadata: { model: request.model }
+        });
+    }
+
+    return buildApiConversation(id, 'anthropic-api', timestamp, requestMessages, responseMessages);
+}
+
 /**
  * Parse normalized conversation format (exported from this app)
- * Converts ISO date strings back to Date objects
- * @param {Array} data - Normalized conversation array
- * @returns {Array} - Array of normalized conversations with Date objects
+ * Converts ISO date strings back to Date objects. The user's tags and folder
+ * path are passed on as `tags` and `folder`; the app moves them to its own
+ * store when the import completes.
+ * @param {Object} conv - Normalized conversation
+ * @returns {Object} - Normalized conversation with Date objects
  */
-export function parseNormalized(data) {
-    return data.map(conv => ({
+export function parseNormalized(conv) {
+    const tags = normalizeTags(Array.isArray(conv.tags) ? conv.tags : []);
+    const folder = normalizeFolderPath(conv.folder);
+    return {
         id: conv.id,
         title: conv.title || 'Untitled Conversation',
         created: new Date(conv.created),
         updated: new Date(conv.updated),
         format: conv.format,
         summary: conv.summary,
+        currentId: conv.currentId,
+        derivedFrom: conv.derivedFrom,
+        tags: tags.length > 0 ? tags : undefined,
+        folder: folder.length > 0 ? folder : undefined,
         messages: conv.messages.map(msg => ({
             id: msg.id,
             role: msg.role,
             content: msg.content,
+            parts: msg.parts,
             timestamp: new Date(msg.timestamp),
-            metadata: msg.metadata || {}
+            metadata: msg.metadata || {},
+            parentId: msg.parentId,
+            childrenIds: msg.childrenIds
         }))
-    }));
+    };
 }
 
 /**
- * Main parsing function - auto-detects format and returns normalized conversations
- * @param {Array} data - Raw conversation JSON data
+ * Main parsing function - detects the format of each record and returns normalized conversations
+ * Records of different formats can be mixed in one file; unrecognized or broken records are skipped.
+ * @param {Array|Object} data - Raw conversation JSON data
+ * @param {Array} diagnostics - Optional array that receives an entry for every skipped or repaired record
  * @returns {Array} - Array of normalized conversations
  */
-export function parseConversations(data) {
-    const format = detectFormat(data);
-
-    switch (format) {
-        case 'openai':
-            return parseOpenAI(data);
-        case 'claude':
-            return parseClaude(data);
-        case 'zai':
-            return parseZai(data);
-        case 'normalized':
-            return parseNormalized(data);
-        default:
-            throw new Error(`Unsupported format: ${format}`);
+export function parseConversations(data, diagnostics = []) {
+    const conversations = [];
+    for (const batch of parseConversationsInBatches(data, Infinity)) {
+        conversations.push(...batch.conversations);
+        diagnostics.push(...batch.diagnostics);
+    }
+    return conversations;
+}
+
+/**
+ * Parse conversations incrementally, yielding them in batches
+ * Used by the importer to stream conversations to the UI as they are converted.
+ * Each conversation is validated against the normalized schema; records that fail
+ * to parse are skipped and reported in the batch diagnostics.
+ * The last batch always reports every record as processed.
+ * @param {Array|Object} data - Raw conversation JSON data
+ * @param {number} batchSize - Number of conversations per batch
+ * @param {Object} [options] - Parse options
+ * @param {Date} [options.fileDate] - Modification date of the file, used for conversations without dates
+ * @yields {{conversations: Array, diagnostics: Array, processed: number, total: number}}
+ */
+export function* parseConversationsInBatches(data, batchSize = 100, { fileDate } = {}) {
+    // A single record (e.g. one logged API call or one conversation) is treated as a list of one
+    if (data && !Array.isArray(data) && typeof data === 'object') {
+        data = [data];
+    }
+
+    if (!Array.isArray(data) || data.length === 0) {
+        throw new Error('Invalid conversation format: expected non-empty array');
+    }
+
+    // Group records by format, keeping their position in the file
+    const groups = new Map();
+    const skippedIndexes = [];
+
+    data.forEach((item, index) => {
+        const format = detectFormat(item);
+        if (!format) {
+            skippedIndexes.push(index);
+            return;
+        }
+        if (!groups.has(format)) {
+            groups.set(format, []);
+        }
+        groups.get(format).push({ item, index });
+    });
+
+    if (groups.size === 0) {
+        throw new Error('Unknown conversation format');
+    }
+    settleOpenWebUIPlatform(groups);
+
+    const total = data.length;
+    let processed = skippedIndexes.length;
+    let batch = [];
+    let diagnostics = [];
+
+    if (skippedIndexes.length > 0) {
+        const shown = skippedIndexes.slice(0, 10).map(index => index + 1).join(', ');
+        diagnostics.push({
+            action: 'skipped',
+            reason: `${skippedIndexes.length} record(s) in an unrecognized format (record ${shown}${skippedIndexes.length > 10 ? ', …' : ''})`
+        });
+    }
+
+    const report = (entry) => diagnostics.push(entry);
+    const addResult = (result, format, index) => {
+        (Array.isArray(result) ? result : [result]).forEach(conversation => {
+            const valid = validateConversation(conversation, { format, index, fileDate, report });
+            if (valid) {
+                batch.push(valid);
+            }
+        });
+    };
+
+    for (const [id, entries] of groups) {
+        const format = getFormat(id);
+
+        if (format.parseMany) {
+            try {
+                addResult(format.parseMany(entries.map(entry => entry.item)), id);
+            } catch (error) {
+                report({ action: 'skipped', reason: `${entries.length} ${id} record(s) could not be parsed: ${error.message}` });
+            }
+            processed += entries.length;
+        } else {
+            for (const { item, index } of entries) {
+                try {
+                    addResult(format.parse(item, index), id, index);
+                } catch (error) {
+                    report({
+                        action: 'skipped',
+                        index,
+                        conversationId: describeRecordId(item),
+                        title: describeRecordTitle(item),
+                        reason: `Could not be parsed: ${error.message}`
+                    });
+                }
+                processed++;
+
+                if (batch.length >= batchSize) {
+                    yield { conversations: batch, diagnostics, processed, total };
+                    batch = [];
+                    diagnostics = [];
+                }
+            }
+        }
+
+        if (batch.length >= batchSize) {
+            yield { conversations: batch, diagnostics, processed, total };
+            batch = [];
+            diagnostics = [];
+        }
     }
+
+    yield { conversations: batch, diagnostics, processed: total, total };
 }
+
+/**
+ * Build a continue URL on a self-hosted instance
+ * @param {string} setting - Setting that holds the instance base URL
+ * @param {string} path - Path of the conversation on the instance
+ * @returns {string|null} - URL, or null if no http(s) base URL is configured
+ */
+function getSelfHostedUrl(setting, path) {
+    const baseUrl = String(Settings.get(setting) || '').trim().replace(/\/+$/, '');
+    return /^https?:\/\//i.test(baseUrl) ? `${baseUrl}${path}` : null;
+}
+
+/**
+ * Find an identifier for a raw record, for diagnostics
+ * @param {Object} item - Raw record
+ * @returns {string|undefined}
+ */
+function describeRecordId(item) {
+    const id = item.id ?? item.uuid ?? item.conversation_id ?? item.conversationId;
+    return id !== undefined && id !== null ? String(id) : undefined;
+}
+
+/**
+ * Find a title for a raw record, for diagnostics
+ * @param {Object} item - Raw record
+ * @returns {string|undefined}
+ */
+function describeRecordTitle(item) {
+    const title = item.title ?? item.name;
+    return typeof title === 'string' ? title : undefined;
+}
+
+// Built-in formats, in detection order
+
+registerFormat({
+    id: 'normalized',
+    // Exported from this app; conversations keep their original format
+    detect: item => Boolean(item.id && item.messages && item.format && item.created && item.updated),
+    parse: parseNormalized
+});
+
+registerFormat({
+    id: 'openai',
+    name: 'ChatGPT',
+    badge: { label: 'OpenAI', className: 'bg-success' },
+    detect: item => Boolean(item.mapping && item.current_node),
+    parse: parseOpenAI,
+    getUrl: conversation => `https://chatgpt.com/c/${conversation.id}`
+});
+
+registerFormat({
+    id: 'claude',
+    name: 'Claude',
+    badge: { label: 'Claude', className: 'bg-primary' },
+    detect: item => Boolean(item.chat_messages && item.uuid),
+    parse: parseClaude,
+    getUrl: conversation => `https://claude.ai/chat/${conversation.id}`
+});
+
+registerFormat({
+    id: 'zai',
+    name: 'Z.ai',
+    badge: { label: 'Z.ai', className: 'bg-info' },
+    detect: isZaiChat,
+    parse: parseZai,
+    getUrl: conversation => `https://chat.z.ai/c/${conversation.id}`
+});
+
+registerFormat({
+    id: 'openwebui',
+    name: 'Open WebUI',
+    badge: { label: 'Open WebUI', className: 'bg-light text-dark border' },
+    detect: isOpenWebUIChat,
+    parse: parseOpenWebUI,
+    // Self-hosted; only available once the instance URL is set in Settings
+    getUrl: conversation => getSelfHostedUrl('openWebUIUrl', `/c/${conversation.id}`)
+});
+
+registerFormat({
+    id: 'librechat',
+    name: 'LibreChat',
+    badge: { label: 'LibreChat', className: 'bg-danger bg-opacity-75' },
+    detect: isLibreChatExport,
+    parse: parseLibreChat,
+    getUrl: conversation => getSelfHostedUrl('libreChatUrl', `/c/${conversation.id}`)
+});
+
+registerFormat({
+    id: 'gemini',
+    name: 'Gemini',
+    badge: { label: 'Gemini', className: 'bg-warning text-dark' },
+    detect: isGeminiActivity,
+    // Activities are grouped into conversations by time
+    parseMany: parseGemini,
+    // Takeout doesn't include conversation IDs, so open the app
+    getUrl: () => 'https://gemini.google.com/app'
+});
+
+registerFormat({
+    id: 'openai-api',
+    name: 'OpenAI API',
+    badge: { label: 'OpenAI API', className: 'bg-success bg-opacity-75' },
+    detect: item => isApiLog(item) && !isAnthropicApiLog(item),
+    parse: parseOpenAIApiLog
+});
+
+registerFormat({
+    id: 'anthropic-api',
+    name: 'Anthropic API',
+    badge: { label: 'Anthropic API', className: 'bg-primary bg-opacity-75' },
+    detect: item => isApiLog(item) && isAnthropicApiLog(item),
+    parse: parseAnthropicApiLog
+});
+
+registerFormat({
+    id: 'claude-code',
+    name: 'Claude Code',
+    badge: { label: 'Claude Code', className: 'bg-dark' },
+    // Summary and file snapshot lines carry no session fields but belong to the log
+    detect: item => isSessionEvent(item) || (item.type === 'summary' && Boolean(item.leafUuid)) ||
+        item.type === 'file-history-snapshot' || Boolean(item.sessionId && 'parentUuid' in item),
+    // Events are grouped into sessions
+    parseMany: parseClaudeCode
+});
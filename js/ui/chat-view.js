@@ -3,7 +3,22 @@
  */
 
 import { renderMarkdown } from './markdown.js';
-import { getPlatformUrl } from '../utils/platform-urls.js';
+import { renderMessageParts } from './message-parts.js';
+import { getFormatBadge, getPlatformUrl } from '../format-registry.js';
+import { getActivePath, getBranchLeaf, getSiblingIds } from '../utils/conversation-tree.js';
+import { parseSearchQuery, hasSearchTerms, findMatchRanges } from '../utils/search-query.js';
+import { VirtualList } from './virtual-list.js';
+
+// Elements whose text is matched as one piece, so a phrase can span the
+// formatting and syntax highlighting inside them
+const TEXT_BLOCK_SELECTOR = 'p, li, pre, td, th, h1, h2, h3, h4, h5, h6, blockquote, div';
+
+// Message height estimates, used until a message is rendered and measured:
+// bubble padding, footer and margin, plus one line per wrapped line of text
+const MESSAGE_CHROME_HEIGHT = 72;
+const LINE_HEIGHT = 24;
+const CHAR_WIDTH = 8;
+const IMAGE_HEIGHT = 300;
 
 export class ChatView {
     constructor(container) {
@@ -11,63 +26,700 @@ export class ChatView {
         this.titleElement = document.getElementById('chat-title');
         this.metaElement = document.getElementById('chat-meta');
         this.continueBtn = document.getElementById('continue-conversation-btn');
+        this.findBar = document.getElementById('find-bar');
+        this.findInput = document.getElementById('find-input');
+        this.findCount = document.getElementById('find-count');
+        // Sidebar search query; the find bar starts from it
         this.searchQuery = '';
+        // Query highlighted and navigated by the find bar
+        this.parsedQuery = parseSearchQuery('');
+        // Find matches per shown message: counted in the text until the message is rendered,
+        // then in its highlights
+        this.matchCounts = [];
+        // Index of each message's first match among all matches
+        this.matchStarts = [];
+        this.totalMatches = 0;
+        // Current match as { messageIndex, match }, match counting within the message
+        this.currentMatch = null;
+        // Numbers the matches while a message is highlighted
+        this.matchCount = 0;
+        this.conversation = null;
+        this.activeLeafId = null;
+        this.assetResolver = null;
+        this.visibleMessages = [];
+        this.selectionMode = false;
+        this.selectedMessageIds = new Set();
+        this.lastSelectedIndex = null;
+        this.onMessageSelectionChangeCallback = null;
+        this.onOpenConversationCallback = null;
+
+        // The HTML export renders with a ChatView that has no container
+        this.list = null;
+        if (container) {
+            // Messages are rendered as they scroll into view
+            this.list = new VirtualList(container, {
+                className: 'messages-container',
+                getKey: message => message.id,
+                estimateHeight: message => this.estimateMessageHeight(message),
+                renderRow: (message, index) => this.createMessageRow(index)
+            });
+            this.setupFindBar();
+            this.setupPrinting();
+        }
+    }
+
+    /**
+     * Render every message while printing, since only those in view are rendered otherwise
+     */
+    setupPrinting() {
+        let printElement = null;
+        window.addEventListener('beforeprint', () => {
+            if (this.visibleMessages.length > 0) {
+                printElement = this.createMessagesElement(this.visibleMessages);
+                printElement.classList.add('print-messages');
+                this.container.appendChild(printElement);
+            }
+        });
+        window.addEventListener('afterprint', () => {
+            printElement?.remove();
+            printElement = null;
+        });
     }
 
     /**
-     * Set search query for highlighting
+     * Setup the find bar in the chat header
+     * Enter goes to the next match, Shift+Enter to the previous one, Escape clears it.
+     */
+    setupFindBar() {
+        if (!this.findInput) {
+            return;
+        }
+
+        this.findInput.addEventListener('input', () => {
+            this.parsedQuery = parseSearchQuery(this.findInput.value);
+            this.refreshHighlights();
+            if (this.totalMatches > 0) {
+                this.goToMatch(0);
+            }
+        });
+
+        this.findInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.nextMatch(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape' && this.findInput.value) {
+                e.preventDefault();
+                this.setFindQuery('');
+                this.refreshHighlights();
+            }
+        });
+
+        document.getElementById('find-prev-btn')?.addEventListener('click', () => this.nextMatch(-1));
+        document.getElementById('find-next-btn')?.addEventListener('click', () => this.nextMatch(1));
+    }
+
+    /**
+     * Set the function used to look up images and files by asset ID
+     * @param {Function} resolver - Called with an asset ID, resolves to { url, type, name } or null
+     */
+    setAssetResolver(resolver) {
+        this.assetResolver = resolver;
+    }
+
+    /**
+     * Register callback for message selection changes
+     * @param {Function} callback - Called with the selected messages (in order) and whether selection mode is on
+     */
+    onMessageSelectionChange(callback) {
+        this.onMessageSelectionChangeCallback = callback;
+    }
+
+    /**
+     * Register callback for opening another conversation, such as the source of an excerpt
+     * @param {Function} callback - Called with the conversation ID
+     */
+    onOpenConversation(callback) {
+        this.onOpenConversationCallback = callback;
+    }
+
+    /**
+     * Set the sidebar search query
+     * When it changes, the find bar takes it over; otherwise the find bar keeps
+     * what was typed into it. Applies on the next render.
      * @param {string} query - Search query
      */
     setSearchQuery(query) {
+        if (query === this.searchQuery) {
+            return;
+        }
         this.searchQuery = query;
+        this.setFindQuery(query);
+    }
+
+    /**
+     * Set the query highlighted and navigated by the find bar
+     * @param {string} query - Search query, see parseSearchQuery()
+     */
+    setFindQuery(query) {
+        this.parsedQuery = parseSearchQuery(query);
+        if (this.findInput) {
+            this.findInput.value = query;
+        }
     }
 
     /**
      * Render a conversation in the chat view
+     * Scrolls to the first find match, or to the bottom if there is none.
      * @param {Object} conversation - Normalized conversation object
+     * @param {Object} options - Render options
+     * @param {boolean} [options.keepScroll] - Keep the scroll position, e.g. when switching branches
      */
-    render(conversation) {
+    render(conversation, { keepScroll = false } = {}) {
         if (!conversation) {
+            this.conversation = null;
             this.renderEmpty();
             return;
         }
 
+        // Start on the conversation's active branch when switching conversations
+        if (!this.conversation || this.conversation.id !== conversation.id) {
+            this.activeLeafId = conversation.currentId;
+            this.selectionMode = false;
+            this.selectedMessageIds.clear();
+            this.lastSelectedIndex = null;
+        }
+        this.conversation = conversation;
+
+        const messages = getActivePath(conversation, this.activeLeafId);
+
+        // Selected messages on another branch are no longer shown
+        const visibleIds = new Set(messages.map(message => message.id));
+        this.selectedMessageIds.forEach(id => {
+            if (!visibleIds.has(id)) {
+                this.selectedMessageIds.delete(id);
+            }
+        });
+
         // Update header
         this.titleElement.textContent = conversation.title;
 
-        const formatBadge = this.getFormatBadge(conversation.format);
+        const formatBadge = getFormatBadge(conversation.format);
         const dateStr = this.formatDate(conversation.updated);
-        this.metaElement.innerHTML = `${formatBadge} <span class="text-muted">•</span> ${dateStr} <span class="text-muted">•</span> ${conversation.messages.length} messages`;
-
-        // Update continue conversation button
-        const platformUrl = getPlatformUrl(conversation);
-        if (platformUrl && this.continueBtn) {
-            this.continueBtn.href = platformUrl;
-            this.continueBtn.style.display = 'inline-block';
-        } else if (this.continueBtn) {
-            this.continueBtn.style.display = 'none';
+        this.metaElement.innerHTML = `${formatBadge} <span class="text-muted">•</span> ${dateStr} <span class="text-muted">•</span> ${messages.length} messages`;
+        if (conversation.derivedFrom) {
+            this.metaElement.appendChild(this.createSourceLink(conversation.derivedFrom));
         }
 
-        // Clear container and render messages
-        this.container.innerHTML = '';
+        this.updateContinueButton();
 
-        if (conversation.messages.length === 0) {
+        // Messages are rendered as they scroll into view
+        const scrollTop = this.container.scrollTop;
+        this.visibleMessages = messages;
+        this.notifyMessageSelection();
+        if (this.findBar) {
+            this.findBar.style.display = '';
+        }
+
+        this.currentMatch = null;
+        this.countMatches();
+        if (messages.length === 0) {
+            this.list.clear();
             this.container.innerHTML = '<div class="text-center text-muted py-5">No messages in this conversation</div>';
             return;
         }
 
+        this.list.setRows(messages);
+
+        if (keepScroll) {
+            this.container.scrollTop = scrollTop;
+            this.list.update();
+        } else if (this.totalMatches > 0) {
+            this.goToMatch(0);
+        } else {
+            this.list.scrollToEnd();
+        }
+    }
+
+    /**
+     * Create the list row of a shown message, once it scrolls into view
+     * @param {number} index - Position in the shown messages
+     * @returns {HTMLElement}
+     */
+    createMessageRow(index) {
+        const row = document.createElement('div');
+        row.className = 'message-row';
+
+        const wrapper = this.createMessageElement(this.visibleMessages[index]);
+        if (this.selectionMode) {
+            this.addSelectionControls(wrapper, index);
+        }
+        row.appendChild(wrapper);
+
+        this.updateMatchCount(index, wrapper);
+        return row;
+    }
+
+    /**
+     * Estimate the height of a message before it is rendered
+     * @param {Object} message - Message object
+     * @returns {number} - Pixels
+     */
+    estimateMessageHeight(message) {
+        // Bubbles take up to 75% of the width
+        const charsPerLine = Math.max(20, Math.floor(this.container.clientWidth * 0.75 / CHAR_WIDTH));
+        const lines = String(message.content || '').split('\n')
+            .reduce((total, line) => total + Math.max(1, Math.ceil(line.length / charsPerLine)), 0);
+        const images = (message.parts || []).filter(part => part.type === 'image').length;
+        return MESSAGE_CHROME_HEIGHT + lines * LINE_HEIGHT + images * IMAGE_HEIGHT;
+    }
+
+    /**
+     * Count the find matches of every shown message
+     * Rendered messages are counted by their highlights; the others by their text,
+     * which is corrected once they render.
+     */
+    countMatches() {
+        const active = hasSearchTerms(this.parsedQuery);
+        this.matchCounts = this.visibleMessages.map((message, index) => {
+            if (!active) {
+                return 0;
+            }
+            const row = this.list.getElement(index);
+            return row
+                ? this.countMarks(row)
+                : findMatchRanges(String(message.content || ''), this.parsedQuery, { role: message.role }).length;
+        });
+        this.updateMatchStarts();
+    }
+
+    /**
+     * Count the matches highlighted in an element
+     * @param {HTMLElement} element
+     * @returns {number}
+     */
+    countMarks(element) {
+        return new Set(Array.from(element.querySelectorAll('mark.search-highlight'), mark => mark.dataset.match)).size;
+    }
+
+    /**
+     * Correct a message's match count once it is rendered
+     * @param {number} index - Position in the shown messages
+     * @param {HTMLElement} element - The rendered message
+     */
+    updateMatchCount(index, element) {
+        if (!hasSearchTerms(this.parsedQuery)) {
+            return;
+        }
+
+        const count = this.countMarks(element);
+        if (this.currentMatch?.messageIndex === index) {
+            element.querySelectorAll(`mark[data-match="${Math.min(this.currentMatch.match, count - 1)}"]`)
+                .forEach(mark => mark.classList.add('current'));
+        }
+        if (count !== this.matchCounts[index]) {
+            this.matchCounts[index] = count;
+            this.updateMatchStarts();
+            this.updateFindCount();
+        }
+    }
+
+    /**
+     * Compute where each message's matches start among all matches
+     */
+    updateMatchStarts() {
+        let total = 0;
+        this.matchStarts = this.matchCounts.map(count => {
+            const start = total;
+            total += count;
+            return start;
+        });
+        this.totalMatches = total;
+
+        // The current match is gone if its message no longer has it
+        if (this.currentMatch && this.currentMatch.match >= this.matchCounts[this.currentMatch.messageIndex]) {
+            this.currentMatch = null;
+        }
+    }
+
+    /**
+     * Highlight the find query again in the rendered messages, keeping the scroll position
+     * Messages rendered later are highlighted as they are created.
+     */
+    refreshHighlights() {
+        this.container.querySelectorAll('mark.search-highlight').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(document.createTextNode(mark.textContent));
+            parent.normalize();
+        });
+
+        if (hasSearchTerms(this.parsedQuery)) {
+            const roles = new Map(this.visibleMessages.map(message => [message.id, message.role]));
+            this.container.querySelectorAll('.message-wrapper').forEach(wrapper => {
+                this.matchCount = 0;
+                this.highlightTextInElement(wrapper.querySelector('.message-bubble'), roles.get(wrapper.dataset.messageId));
+            });
+        }
+
+        this.currentMatch = null;
+        this.countMatches();
+        this.updateFindCount();
+    }
+
+    /**
+     * Go to the next or previous match
+     * Without a current match, starts from the messages in view.
+     * @param {number} direction - 1 for the next match, -1 for the previous one
+     */
+    nextMatch(direction) {
+        const count = this.totalMatches;
+        if (count === 0) {
+            return;
+        }
+
+        if (this.currentMatch) {
+            const position = this.matchStarts[this.currentMatch.messageIndex] + this.currentMatch.match;
+            this.goToMatch((position + direction + count) % count);
+            return;
+        }
+
+        const first = this.list.getFirstVisibleIndex();
+        const hasMatches = index => this.matchCounts[index] > 0;
+        const indices = this.matchCounts.map((matches, index) => index);
+        const index = direction > 0
+            ? indices.find(index => index >= first && hasMatches(index))
+            : indices.findLast(index => index < first && hasMatches(index));
+
+        if (index === undefined) {
+            this.goToMatch(direction > 0 ? 0 : count - 1);
+        } else {
+            this.goToMatch(this.matchStarts[index] + (direction > 0 ? 0 : this.matchCounts[index] - 1));
+        }
+    }
+
+    /**
+     * Make a match the current one, rendering its message if needed
+     * @param {number} position - Index among all matches
+     * @param {boolean} scroll - Scroll it into view
+     */
+    goToMatch(position, scroll = true) {
+        this.container.querySelectorAll('mark.search-highlight.current').forEach(mark => mark.classList.remove('current'));
+        this.currentMatch = null;
+
+        // Rendering a message corrects its count, which can move the match to another message
+        let marks = [];
+        for (let attempt = 0; attempt < this.visibleMessages.length && this.totalMatches > 0; attempt++) {
+            const target = Math.min(position, this.totalMatches - 1);
+            const messageIndex = this.findMatchMessage(target);
+            const match = target - this.matchStarts[messageIndex];
+
+            const row = scroll ? this.list.scrollToIndex(messageIndex, 'center') : this.list.getElement(messageIndex);
+            if (!row || match < this.matchCounts[messageIndex]) {
+                this.currentMatch = { messageIndex, match };
+                marks = row ? Array.from(row.querySelectorAll(`mark[data-match="${match}"]`)) : [];
+                break;
+            }
+        }
+
+        marks.forEach(mark => mark.classList.add('current'));
+        if (scroll && marks.length > 0) {
+            marks[0].scrollIntoView({ block: 'center' });
+        }
+        this.updateFindCount();
+    }
+
+    /**
+     * Find the message holding a match
+     * @param {number} position - Index among all matches
+     * @returns {number} - Position in the shown messages
+     */
+    findMatchMessage(position) {
+        let low = 0;
+        let high = this.matchStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.matchStarts[middle] <= position) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        // Skip messages without matches that start at the same position
+        while (low < this.matchCounts.length - 1 && this.matchCounts[low] === 0) {
+            low++;
+        }
+        return low;
+    }
+
+    /**
+     * Show the "3 of 41" counter and enable the navigation buttons
+     */
+    updateFindCount() {
+        if (!this.findCount || !this.container) {
+            return;
+        }
+
+        const count = this.totalMatches;
+        if (!hasSearchTerms(this.parsedQuery)) {
+            this.findCount.textContent = '';
+        } else if (count === 0) {
+            this.findCount.textContent = 'No matches';
+        } else if (!this.currentMatch) {
+            this.findCount.textContent = `${count} match${count === 1 ? '' : 'es'}`;
+        } else {
+            const position = this.matchStarts[this.currentMatch.messageIndex] + this.currentMatch.match;
+            this.findCount.textContent = `${position + 1} of ${count}`;
+        }
+
+        this.findInput.classList.toggle('is-invalid', this.parsedQuery.errors.length > 0);
+        this.findInput.title = this.parsedQuery.errors.map(error => error.message).join('. ') ||
+            'Enter: next match, Shift+Enter: previous match';
+        ['find-prev-btn', 'find-next-btn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = count === 0;
+            }
+        });
+    }
+
+    /**
+     * Render the active branch of a conversation into a new, non-interactive element
+     * Used by the HTML export; the page header is left alone, so use a separate
+     * ChatView instance for it.
+     * @param {Object} conversation - Normalized conversation object
+     * @returns {HTMLElement} - Messages container
+     */
+    renderStatic(conversation) {
+        this.conversation = conversation;
+        this.activeLeafId = conversation.currentId;
+
+        const element = this.createMessagesElement(getActivePath(conversation));
+        // Keep the "2/3" position but drop the buttons that switch branches
+        element.querySelectorAll('.branch-switcher .btn').forEach(button => button.remove());
+        return element;
+    }
+
+    /**
+     * Create the container holding the message elements
+     * @param {Array} messages - Messages to show, in order
+     * @returns {HTMLElement}
+     */
+    createMessagesElement(messages) {
         const messagesContainer = document.createElement('div');
         messagesContainer.className = 'messages-container';
 
-        conversation.messages.forEach(message => {
+        messages.forEach((message, index) => {
             const messageElement = this.createMessageElement(message);
+            if (this.selectionMode) {
+                this.addSelectionControls(messageElement, index);
+            }
             messagesContainer.appendChild(messageElement);
         });
 
-        this.container.appendChild(messagesContainer);
+        return messagesContainer;
+    }
 
-        // Scroll to bottom
-        this.container.scrollTop = this.container.scrollHeight;
+    /**
+     * Turn message selection mode on or off
+     * Turning it on or off clears the selection.
+     * @param {boolean} enabled
+     */
+    setSelectionMode(enabled) {
+        if (!this.conversation) {
+            return;
+        }
+
+        this.selectionMode = enabled;
+        this.selectedMessageIds.clear();
+        this.lastSelectedIndex = null;
+
+        this.render(this.conversation, { keepScroll: true });
+    }
+
+    /**
+     * Get the selected messages in display order
+     * @returns {Array}
+     */
+    getSelectedMessages() {
+        return this.visibleMessages.filter(message => this.selectedMessageIds.has(message.id));
+    }
+
+    /**
+     * Select or deselect every shown message
+     * @param {boolean} selected
+     */
+    setAllMessagesSelected(selected) {
+        this.selectMessageRange(0, this.visibleMessages.length - 1, selected);
+    }
+
+    /**
+     * Select or deselect the shown messages between two positions (inclusive)
+     * @param {number} from - Index in the shown messages
+     * @param {number} to - Index in the shown messages
+     * @param {boolean} selected
+     */
+    selectMessageRange(from, to, selected) {
+        const start = Math.max(0, Math.min(from, to));
+        const end = Math.min(this.visibleMessages.length - 1, Math.max(from, to));
+        for (let i = start; i <= end; i++) {
+            if (selected) {
+                this.selectedMessageIds.add(this.visibleMessages[i].id);
+            } else {
+                this.selectedMessageIds.delete(this.visibleMessages[i].id);
+            }
+        }
+        this.updateSelectionControls();
+    }
+
+    /**
+     * Add the checkbox and "From here to end" button to a message element
+     * Shift-click a checkbox to select or deselect everything since the last one clicked.
+     * @param {HTMLElement} wrapper - Message element
+     * @param {number} index - Position in the shown messages
+     */
+    addSelectionControls(wrapper, index) {
+        const message = this.visibleMessages[index];
+        wrapper.dataset.messageIndex = index;
+        wrapper.classList.toggle('selected', this.selectedMessageIds.has(message.id));
+
+        const controls = document.createElement('div');
+        controls.className = 'message-select d-print-none';
+        controls.innerHTML = `
+            <input type="checkbox" class="form-check-input" title="Select message (Shift-click to select a range)" aria-label="Select message">
+            <button type="button" class="btn btn-link btn-sm message-select-to-end" title="Select this message and all messages after it">From here to end</button>
+        `;
+
+        const checkbox = controls.querySelector('input');
+        checkbox.checked = this.selectedMessageIds.has(message.id);
+        checkbox.addEventListener('click', (e) => {
+            const from = e.shiftKey && this.lastSelectedIndex !== null ? this.lastSelectedIndex : index;
+            this.lastSelectedIndex = index;
+            this.selectMessageRange(from, index, checkbox.checked);
+        });
+
+        controls.querySelector('.message-select-to-end').addEventListener('click', () => {
+            this.lastSelectedIndex = index;
+            this.selectMessageRange(index, this.visibleMessages.length - 1, true);
+        });
+
+        wrapper.querySelector('.message-footer').prepend(controls);
+    }
+
+    /**
+     * Sync the checkboxes with the selection and report the change
+     */
+    updateSelectionControls() {
+        this.container.querySelectorAll('.message-wrapper[data-message-index]').forEach(wrapper => {
+            const message = this.visibleMessages[Number(wrapper.dataset.messageIndex)];
+            const selected = this.selectedMessageIds.has(message.id);
+            wrapper.classList.toggle('selected', selected);
+            wrapper.querySelector('.message-select input').checked = selected;
+        });
+        this.notifyMessageSelection();
+    }
+
+    /**
+     * Call the selection callback with the current selection
+     */
+    notifyMessageSelection() {
+        if (this.onMessageSelectionChangeCallback) {
+            this.onMessageSelectionChangeCallback(this.getSelectedMessages(), this.selectionMode);
+        }
+    }
+
+    /**
+     * Create the "Excerpt of ..." link shown in the header of a derived conversation
+     * @param {Object} derivedFrom - { conversationId, title }
+     * @returns {DocumentFragment}
+     */
+    createSourceLink(derivedFrom) {
+        const fragment = document.createDocumentFragment();
+        const separator = document.createElement('span');
+        separator.className = 'text-muted';
+        separator.textContent = ' • ';
+
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'derived-from-link';
+        link.title = 'Open the conversation this excerpt was taken from';
+        link.textContent = `Excerpt of "${derivedFrom.title}"`;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (this.onOpenConversationCallback) {
+                this.onOpenConversationCallback(derivedFrom.conversationId);
+            }
+        });
+
+        fragment.append(separator, link);
+        return fragment;
+    }
+
+    /**
+     * Show or hide the continue conversation button for the current conversation
+     * Called again when the self-hosted instance URLs change
+     */
+    updateContinueButton() {
+        if (!this.continueBtn) {
+            return;
+        }
+
+        const platformUrl = this.conversation ? getPlatformUrl(this.conversation) : null;
+        if (platformUrl) {
+            this.continueBtn.href = platformUrl;
+            this.continueBtn.style.display = 'inline-block';
+        } else {
+            this.continueBtn.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show the branch that contains the given message
+     * Keeps the scroll position so the switched message stays in place
+     * @param {string} messageId - Message to switch to
+     */
+    switchBranch(messageId) {
+        if (!this.conversation) {
+            return;
+        }
+
+        this.activeLeafId = getBranchLeaf(this.conversation, messageId);
+        this.render(this.conversation, { keepScroll: true });
+    }
+
+    /**
+     * Scroll to a message and briefly highlight it
+     * Switches to the message's branch if it isn't on the one shown.
+     * @param {string} messageId - Message to show
+     */
+    showMessage(messageId) {
+        if (!this.conversation) {
+            return;
+        }
+
+        if (!this.visibleMessages.some(message => message.id === messageId)) {
+            if (!this.conversation.messages.some(message => message.id === messageId)) {
+                return;
+            }
+            this.activeLeafId = getBranchLeaf(this.conversation, messageId);
+            this.render(this.conversation);
+        }
+
+        // Renders the message if it is not in view yet
+        const index = this.visibleMessages.findIndex(message => message.id === messageId);
+        const wrapper = this.list.scrollToIndex(index, 'center')?.querySelector('.message-wrapper');
+        if (!wrapper) {
+            return;
+        }
+
+        wrapper.classList.remove('message-focus');
+        // Restart the highlight animation
+        void wrapper.offsetWidth;
+        wrapper.classList.add('message-focus');
+        wrapper.addEventListener('animationend', () => wrapper.classList.remove('message-focus'), { once: true });
+
+        // Continue finding from this message
+        if (this.matchCounts[index] > 0) {
+            this.goToMatch(this.matchStarts[index], false);
+        }
     }
 
     /**
@@ -78,17 +730,23 @@ export class ChatView {
     createMessageElement(message) {
         const wrapper = document.createElement('div');
         wrapper.className = `message-wrapper message-${message.role}`;
+        wrapper.dataset.messageId = message.id;
 
         const bubble = document.createElement('div');
         bubble.className = `message-bubble ${message.role}`;
 
-        // Render markdown content
-        const contentHtml = renderMarkdown(message.content);
-        bubble.innerHTML = contentHtml;
+        // Render typed parts when available, otherwise plain markdown content
+        if (message.parts?.length > 0) {
+            bubble.appendChild(renderMessageParts(message.parts, { resolveAsset: this.assetResolver }));
+        } else {
+            const contentHtml = renderMarkdown(message.content);
+            bubble.innerHTML = contentHtml;
+        }
 
-        // Apply search highlighting if there's a query
-        if (this.searchQuery) {
-            this.highlightTextInElement(bubble);
+        // Apply search highlighting if there's a query; matches are numbered per message
+        if (hasSearchTerms(this.parsedQuery)) {
+            this.matchCount = 0;
+            this.highlightTextInElement(bubble, message.role);
         }
 
         // Add timestamp
@@ -96,18 +754,67 @@ export class ChatView {
         timestamp.className = 'message-timestamp';
         timestamp.textContent = this.formatTimestamp(message.timestamp);
 
+        const footer = document.createElement('div');
+        footer.className = 'message-footer';
+
+        // Add sibling switcher for edited prompts and regenerated answers
+        const siblingIds = this.conversation ? getSiblingIds(this.conversation, message) : [message.id];
+        if (siblingIds.length > 1) {
+            footer.appendChild(this.createBranchSwitcher(message, siblingIds));
+        }
+        footer.appendChild(timestamp);
+
         wrapper.appendChild(bubble);
-        wrapper.appendChild(timestamp);
+        wrapper.appendChild(footer);
 
         return wrapper;
     }
 
+    /**
+     * Create the "< 2/3 >" switcher for a branched message
+     * @param {Object} message - Message object
+     * @param {Array<string>} siblingIds - IDs of the message and its siblings
+     * @returns {HTMLElement}
+     */
+    createBranchSwitcher(message, siblingIds) {
+        const position = siblingIds.indexOf(message.id);
+
+        const switcher = document.createElement('div');
+        switcher.className = 'branch-switcher';
+        switcher.innerHTML = `
+            <button type="button" class="btn btn-link btn-sm branch-prev" title="Previous version" ${position <= 0 ? 'disabled' : ''}>&lsaquo;</button>
+            <span class="branch-position">${position + 1}/${siblingIds.length}</span>
+            <button type="button" class="btn btn-link btn-sm branch-next" title="Next version" ${position >= siblingIds.length - 1 ? 'disabled' : ''}>&rsaquo;</button>
+        `;
+
+        switcher.querySelector('.branch-prev').addEventListener('click', () => {
+            this.switchBranch(siblingIds[position - 1]);
+        });
+        switcher.querySelector('.branch-next').addEventListener('click', () => {
+            this.switchBranch(siblingIds[position + 1]);
+        });
+
+        return switcher;
+    }
+
     /**
      * Render empty state
      */
     renderEmpty() {
         this.titleElement.textContent = 'Welcome';
         this.metaElement.textContent = '';
+        this.visibleMessages = [];
+        this.matchCounts = [];
+        this.matchStarts = [];
+        this.totalMatches = 0;
+        this.currentMatch = null;
+        this.list.clear();
+        if (this.findBar) {
+            this.findBar.style.display = 'none';
+        }
+        this.selectionMode = false;
+        this.selectedMessageIds.clear();
+        this.notifyMessageSelection();
 
         // Hide continue conversation button
         if (this.continueBtn) {
@@ -126,20 +833,6 @@ export class ChatView {
         `;
     }
 
-    /**
-     * Get format badge HTML
-     * @param {string} format - 'openai', 'claude', or 'zai'
-     * @returns {string}
-     */
-    getFormatBadge(format) {
-        const badges = {
-            'openai': '<span class="badge bg-success">OpenAI</span>',
-            'claude': '<span class="badge bg-primary">Claude</span>',
-            'zai': '<span class="badge bg-info">Z.ai</span>'
-        };
-        return badges[format] || '<span class="badge bg-secondary">Unknown</span>';
-    }
-
     /**
      * Format date for display
      * @param {Date} date
@@ -175,92 +868,74 @@ export class ChatView {
 
     /**
      * Highlight search terms in an element's text nodes
+     * Uses the same query parser as the sidebar, so the highlighted text is what matched.
+     * Code blocks are included: marks go around the text inside highlight.js spans, so the
+     * syntax highlighting stays intact. Each mark gets a `data-match` number shared by the
+     * marks of one match.
      * @param {HTMLElement} element - Element to highlight in
+     * @param {string} role - Role of the message the element shows
      */
-    highlightTextInElement(element) {
-        const searchWords = this.searchQuery.toLowerCase().trim().split(/\s+/).filter(word => word.length > 0);
-
-        if (searchWords.length === 0) {
-            return;
+    highlightTextInElement(element, role) {
+        // Group the text nodes by the block they are in
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const blocks = [];
+        let node;
+        while (node = walker.nextNode()) {
+            const block = node.parentElement.closest(TEXT_BLOCK_SELECTOR);
+            const last = blocks[blocks.length - 1];
+            if (last && last.block === block) {
+                last.nodes.push(node);
+            } else {
+                blocks.push({ block, nodes: [node] });
+            }
         }
 
-        // Walk through all text nodes and highlight matches
-        const walker = document.createTreeWalker(
-            element,
-            NodeFilter.SHOW_TEXT,
-            {
-                acceptNode: (node) => {
-                    // Skip text nodes inside code blocks to avoid breaking syntax highlighting
-                    if (node.parentElement.tagName === 'CODE' || node.parentElement.tagName === 'PRE') {
-                        return NodeFilter.FILTER_REJECT;
-                    }
-                    return NodeFilter.FILTER_ACCEPT;
-                }
-            }
-        );
+        blocks.forEach(({ nodes }) => this.highlightTextNodes(nodes, role));
+    }
 
-        const textNodes = [];
-        let node;
-        while (node = walker.nextNode()) {
-            textNodes.push(node);
+    /**
+     * Highlight matches in consecutive text nodes, read as one text
+     * @param {Array<Text>} textNodes - Text nodes in document order
+     * @param {string} role - Role of the message the text belongs to
+     */
+    highlightTextNodes(textNodes, role) {
+        const ranges = findMatchRanges(textNodes.map(textNode => textNode.textContent).join(''), this.parsedQuery, { role });
+        if (ranges.length === 0) {
+            return;
         }
+        const matchIds = ranges.map(() => this.matchCount++);
 
-        // Process each text node
+        let offset = 0;
         textNodes.forEach(textNode => {
             const text = textNode.textContent;
-            let highlightedText = text;
-            let hasMatch = false;
+            const nodeStart = offset;
+            offset += text.length;
+
+            // Parts of the matches that fall in this node
+            const pieces = ranges
+                .map(([start, end], index) => [Math.max(start, nodeStart) - nodeStart, Math.min(end, offset) - nodeStart, matchIds[index]])
+                .filter(([start, end]) => start < end);
+            if (pieces.length === 0) {
+                return;
+            }
 
-            searchWords.forEach(word => {
-                const regex = new RegExp(`(${this.escapeRegex(word)})`, 'gi');
-                if (regex.test(highlightedText)) {
-                    hasMatch = true;
+            const fragment = document.createDocumentFragment();
+            let position = 0;
+            pieces.forEach(([start, end, matchId]) => {
+                if (start > position) {
+                    fragment.appendChild(document.createTextNode(text.slice(position, start)));
                 }
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.dataset.match = matchId;
+                mark.textContent = text.slice(start, end);
+                fragment.appendChild(mark);
+                position = end;
             });
-
-            if (hasMatch) {
-                // Create a wrapper span and replace the text node
-                const wrapper = document.createElement('span');
-                wrapper.innerHTML = this.highlightText(text, searchWords);
-                textNode.replaceWith(wrapper);
+            if (position < text.length) {
+                fragment.appendChild(document.createTextNode(text.slice(position)));
             }
+            textNode.replaceWith(fragment);
         });
     }
-
-    /**
-     * Highlight search words in text
-     * @param {string} text - Text to highlight
-     * @param {Array<string>} searchWords - Words to highlight
-     * @returns {string} - HTML with highlighted terms
-     */
-    highlightText(text, searchWords) {
-        let result = this.escapeHtml(text);
-
-        searchWords.forEach(word => {
-            const regex = new RegExp(`(${this.escapeRegex(word)})`, 'gi');
-            result = result.replace(regex, '<mark class="search-highlight">$1</mark>');
-        });
-
-        return result;
-    }
-
-    /**
-     * Escape HTML to prevent XSS
-     * @param {string} text
-     * @returns {string}
-     */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-
-    /**
-     * Escape special regex characters
-     * @param {string} str
-     * @returns {string}
-     */
-    escapeRegex(str) {
-        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    }
 }
@@ -0,0 +1,178 @@
+/**
+ * Import diagnostics panel
+ * Lists the records, conversations and messages the last import skipped or
+ * repaired, and offers the same information as a downloadable JSON report.
+ */
+
+import { escapeHtml } from './markdown.js';
+
+// Rows shown in the panel; the downloaded report always has every entry
+const MAX_ROWS = 500;
+
+export class DiagnosticsPanel {
+    constructor(modalElement, openButton) {
+        this.modalElement = modalElement;
+        this.openButton = openButton;
+        this.body = modalElement?.querySelector('.diagnostics-body');
+        this.downloadBtn = modalElement?.querySelector('.diagnostics-download-btn');
+        this.modal = modalElement ? new bootstrap.Modal(modalElement) : null;
+        this.results = [];
+
+        if (this.downloadBtn) {
+            this.downloadBtn.addEventListener('click', () => this.downloadReport());
+        }
+        if (this.openButton) {
+            this.openButton.addEventListener('click', () => this.show());
+        }
+    }
+
+    /**
+     * Store the results of an import
+     * @param {Array} results - Per-file results: { name, count?, summary?, error?, cancelled?, diagnostics? }
+     */
+    setResults(results) {
+        this.results = results;
+        if (this.openButton) {
+            this.openButton.style.display = this.hasIssues() ? 'inline-block' : 'none';
+        }
+    }
+
+    /**
+     * Check whether the last import skipped, repaired or failed anything
+     * @returns {boolean}
+     */
+    hasIssues() {
+        return this.results.some(result => result.error || result.diagnostics?.length > 0);
+    }
+
+    /**
+     * Count diagnostic entries by action
+     * @returns {{skipped: number, repaired: number}}
+     */
+    getCounts() {
+        const counts = { skipped: 0, repaired: 0 };
+        this.results.forEach(result => {
+            (result.diagnostics || []).forEach(entry => {
+                counts[entry.action] = (counts[entry.action] || 0) + 1;
+            });
+        });
+        return counts;
+    }
+
+    /**
+     * Open the panel
+     */
+    show() {
+        if (!this.modal) {
+            return;
+        }
+        this.render();
+        this.modal.show();
+    }
+
+    /**
+     * Render the per-file summary and the diagnostics table
+     */
+    render() {
+        const summary = this.results.map(result => {
+            const diagnostics = result.diagnostics || [];
+            const skipped = diagnostics.filter(entry => entry.action === 'skipped').length;
+            const repaired = diagnostics.filter(entry => entry.action === 'repaired').length;
+
+            let status;
+            if (result.error) {
+                status = `<span class="text-danger">Failed: ${escapeHtml(result.error)}</span>`;
+            } else if (result.cancelled) {
+                status = '<span class="text-muted">Cancelled</span>';
+            } else {
+                status = `${result.count} conversation(s), ${skipped} skipped, ${repaired} repaired`;
+            }
+            return `<li><strong>${escapeHtml(result.name)}</strong>: ${status}</li>`;
+        }).join('');
+
+        const rows = [];
+        this.results.forEach(result => {
+            (result.diagnostics || []).forEach(entry => rows.push({ file: result.name, ...entry }));
+        });
+
+        let table = '';
+        if (rows.length > 0) {
+            table = `
+                <div class="table-responsive">
+                    <table class="table table-sm diagnostics-table">
+                        <thead>
+                            <tr><th>File</th><th>Record</th><th>Conversation</th><th>Message</th><th>Action</th><th>Reason</th></tr>
+                        </thead>
+                        <tbody>${rows.slice(0, MAX_ROWS).map(row => this.renderRow(row)).join('')}</tbody>
+                    </table>
+                </div>
+            `;
+            if (rows.length > MAX_ROWS) {
+                table += `<p class="text-muted small">Showing ${MAX_ROWS} of ${rows.length} entries. Download the report to see all of them.</p>`;
+            }
+        } else {
+            table = '<p class="text-muted">No conversations or messages were skipped or repaired.</p>';
+        }
+
+        this.body.innerHTML = `<ul class="diagnostics-summary">${summary}</ul>${table}`;
+    }
+
+    /**
+     * Render one diagnostics table row
+     * @param {Object} row - Diagnostic entry with its file name
+     * @returns {string}
+     */
+    renderRow(row) {
+        const conversation = row.title || row.conversationId || '';
+        const badge = row.action === 'skipped'
+            ? '<span class="badge bg-danger">Skipped</span>'
+            : '<span class="badge bg-warning text-dark">Repaired</span>';
+
+        return `
+            <tr>
+                <td>${escapeHtml(row.file)}</td>
+                <td>${row.index !== undefined ? row.index + 1 : ''}</td>
+                <td title="${escapeHtml(row.conversationId || '').replace(/"/g, '&quot;')}">${escapeHtml(conversation)}</td>
+                <td>${escapeHtml(row.messageId || (row.messageIndex !== undefined ? `#${row.messageIndex + 1}` : ''))}</td>
+                <td>${badge}</td>
+                <td>${escapeHtml(row.reason)}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Build the report for the last import
+     * @returns {Object}
+     */
+    buildReport() {
+        return {
+            generatedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            files: this.results.map(result => ({
+                name: result.name,
+                conversations: result.count ?? 0,
+                summary: result.summary,
+                error: result.error,
+                cancelled: result.cancelled || undefined,
+                diagnostics: result.diagnostics || []
+            }))
+        };
+    }
+
+    /**
+     * Download the report as a JSON file
+     */
+    downloadReport() {
+        const json = JSON.stringify(this.buildReport(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `import-report-${timestamp}.json`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * Export dialog
+ * Lets the user pick the export format (and its options) for the current,
+ * selected or all conversations. The last choice is remembered in the settings.
+ */
+
+import { exportConversations, exportMarkdown, exportHtml, exportDataset, generateFilename } from '../utils/export.js';
+import { getConversationModels } from '../utils/export-dataset.js';
+import { getPlatformName } from '../format-registry.js';
+import { Settings } from '../utils/settings.js';
+import { escapeHtml } from './markdown.js';
+
+// Model filter value for conversations that don't record a model
+const NO_MODEL = '';
+
+export class ExportDialog {
+    constructor(modalElement) {
+        this.modalElement = modalElement;
+        this.modal = modalElement ? new bootstrap.Modal(modalElement) : null;
+        this.conversations = [];
+        this.assetResolver = null;
+        this.labelResolver = null;
+        if (!this.modalElement) {
+            return;
+        }
+
+        this.description = modalElement.querySelector('.export-description');
+        this.formatInputs = Array.from(modalElement.querySelectorAll('input[name="export-format"]'));
+        this.optionGroups = Array.from(modalElement.querySelectorAll('[data-export-format]'));
+        this.timestampsInput = modalElement.querySelector('#export-timestamps');
+        this.datasetFormatSelect = modalElement.querySelector('#dataset-format');
+        this.datasetRoleInputs = Array.from(modalElement.querySelectorAll('input[name="dataset-role"]'));
+        this.dropSystemInput = modalElement.querySelector('#dataset-drop-system');
+        this.lastTurnsInput = modalElement.querySelector('#dataset-last-turns');
+        this.validationInput = modalElement.querySelector('#dataset-validation');
+        this.platformsContainer = modalElement.querySelector('.dataset-platforms');
+        this.modelsContainer = modalElement.querySelector('.dataset-models');
+        this.confirmBtn = modalElement.querySelector('.export-confirm-btn');
+        this.errorElement = modalElement.querySelector('.export-error');
+
+        this.formatInputs.forEach(input => {
+            input.addEventListener('change', () => this.updateOptions());
+        });
+        this.confirmBtn.addEventListener('click', () => this.export());
+    }
+
+    /**
+     * Set the function used to look up images and files for the HTML export
+     * @param {Function} resolver - Called with an asset ID, resolves to { url, type, name } or null
+     */
+    setAssetResolver(resolver) {
+        this.assetResolver = resolver;
+    }
+
+    /**
+     * Set the function used to look up the user's tags and folders for the JSON export
+     * @param {Function} resolver - Called with a conversation ID, returns { tags, folder }
+     */
+    setLabelResolver(resolver) {
+        this.labelResolver = resolver;
+    }
+
+    /**
+     * Open the dialog for a set of conversations
+     * @param {Object|Array} conversations - Single conversation or array of conversations
+     */
+    open(conversations) {
+        if (!this.modal) {
+            return;
+        }
+
+        this.conversations = Array.isArray(conversations) ? conversations : [conversations];
+        this.description.textContent = this.conversations.length === 1
+            ? `Export "${this.conversations[0].title}"`
+            : `Export ${this.conversations.length} conversations`;
+
+        const format = Settings.get('exportFormat');
+        this.formatInputs.forEach(input => {
+            input.checked = input.value === format;
+        });
+        if (!this.formatInputs.some(input => input.checked)) {
+            this.formatInputs[0].checked = true;
+        }
+        this.timestampsInput.checked = Boolean(Settings.get('exportTimestamps'));
+        this.loadDatasetOptions();
+        this.errorElement.style.display = 'none';
+
+        this.updateOptions();
+        this.modal.show();
+    }
+
+    /**
+     * Get the selected export format
+     * @returns {string}
+     */
+    getFormat() {
+        return this.formatInputs.find(input => input.checked)?.value || 'json';
+    }
+
+    /**
+     * Show the options that apply to the selected format
+     */
+    updateOptions() {
+        const format = this.getFormat();
+        this.optionGroups.forEach(group => {
+            group.style.display = group.dataset.exportFormat === format ? 'block' : 'none';
+        });
+    }
+
+    /**
+     * Fill in the dataset options from the settings and list the platforms
+     * and models of the conversations being exported
+     */
+    loadDatasetOptions() {
+        const roles = Settings.get('datasetRoles');
+        this.datasetFormatSelect.value = Settings.get('datasetFormat');
+        if (!this.datasetFormatSelect.value) {
+            this.datasetFormatSelect.selectedIndex = 0;
+        }
+        this.datasetRoleInputs.forEach(input => {
+            input.checked = roles.includes(input.value);
+        });
+        this.dropSystemInput.checked = Boolean(Settings.get('datasetDropSystem'));
+        this.lastTurnsInput.value = Settings.get('datasetLastTurns');
+        this.validationInput.value = Settings.get('datasetValidationPercent');
+
+        const platforms = new Map();
+        const models = new Map();
+        this.conversations.forEach(conv => {
+            platforms.set(conv.format, getPlatformName(conv.format));
+            const used = getConversationModels(conv);
+            (used.length > 0 ? used : [NO_MODEL]).forEach(model => {
+                models.set(model, model || 'No model recorded');
+            });
+        });
+
+        this.renderFilterOptions(this.platformsContainer, 'dataset-platform', platforms);
+        this.renderFilterOptions(this.modelsContainer, 'dataset-model', models);
+    }
+
+    /**
+     * Render a checked checkbox per filter value
+     * @param {HTMLElement} container - Element to render into
+     * @param {string} name - Input name, also used as ID prefix
+     * @param {Map<string, string>} values - Value to label
+     */
+    renderFilterOptions(container, name, values) {
+        container.innerHTML = Array.from(values, ([value, label], index) => `
+            <div class="form-check form-check-inline">
+                <input class="form-check-input" type="checkbox" name="${name}" id="${name}-${index}" value="${escapeHtml(value).replace(/"/g, '&quot;')}" checked>
+                <label class="form-check-label" for="${name}-${index}">${escapeHtml(label)}</label>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Read the dataset options from the form
+     * @returns {Object} - Options for exportDataset
+     */
+    getDatasetOptions() {
+        const checkedValues = (name) => {
+            const inputs = Array.from(this.modalElement.querySelectorAll(`input[name="${name}"]`));
+            const values = inputs.filter(input => input.checked).map(input => input.value);
+            // Everything checked means no filter
+            return values.length === inputs.length ? null : values;
+        };
+
+        return {
+            roles: [...this.datasetRoleInputs.filter(input => input.checked).map(input => input.value), 'system'],
+            dropSystem: this.dropSystemInput.checked,
+            lastTurns: Math.max(0, parseInt(this.lastTurnsInput.value, 10) || 0),
+            validationPercent: Math.min(50, Math.max(0, parseInt(this.validationInput.value, 10) || 0)),
+            platforms: checkedValues('dataset-platform'),
+            models: checkedValues('dataset-model')
+        };
+    }
+
+    /**
+     * Export the conversations in the selected format
+     */
+    async export() {
+        const format = this.getFormat();
+        const timestamps = this.timestampsInput.checked;
+        Settings.set('exportFormat', format);
+        Settings.set('exportTimestamps', timestamps);
+
+        this.confirmBtn.disabled = true;
+        this.errorElement.style.display = 'none';
+        try {
+            if (format === 'markdown') {
+                await exportMarkdown(this.conversations, { timestamps });
+            } else if (format === 'html') {
+                await exportHtml(this.conversations, { resolveAsset: this.assetResolver });
+            } else if (format === 'dataset') {
+                const datasetFormat = this.datasetFormatSelect.value;
+                const options = this.getDatasetOptions();
+                Settings.set('datasetFormat', datasetFormat);
+                Settings.set('datasetRoles', options.roles.filter(role => role !== 'system'));
+                Settings.set('datasetDropSystem', options.dropSystem);
+                Settings.set('datasetLastTurns', options.lastTurns);
+                Settings.set('datasetValidationPercent', options.validationPercent);
+
+                const result = await exportDataset(this.conversations, datasetFormat, options);
+                console.log(`Dataset: ${result.records} record(s) from ${result.conversations} conversation(s)`);
+            } else {
+                exportConversations(this.conversations, generateFilename(this.conversations), this.labelResolver);
+            }
+            console.log(`Exported ${this.conversations.length} conversation(s) as ${format}`);
+            this.modal.hide();
+        } catch (error) {
+            console.error('Error exporting conversations:', error);
+            this.errorElement.textContent = `Export failed: ${error.message}`;
+            this.errorElement.style.display = 'block';
+        } finally {
+            this.confirmBtn.disabled = false;
+        }
+    }
+}
@@ -0,0 +1,238 @@
+/**
+ * Filter panel below the sidebar search box
+ * Facets computed from the loaded conversations, each value with the number of
+ * conversations it would leave. The filters are saved in the settings.
+ */
+
+import { Settings } from '../utils/settings.js';
+import { getPlatformName } from '../format-registry.js';
+import { createFacetFilters, normalizeFacetFilters, countActiveFacets } from '../utils/facets.js';
+
+export class FilterPanel {
+    constructor(container) {
+        this.container = container;
+        this.toggleButton = document.getElementById('filter-toggle-btn');
+        this.filters = normalizeFacetFilters(Settings.get('sidebarFilters'));
+        this.onChangeCallback = null;
+        if (!this.container) {
+            return;
+        }
+
+        this.build();
+        this.container.addEventListener('change', (e) => this.handleChange(e.target));
+        this.container.querySelector('.filter-clear-btn').addEventListener('click', () => this.clear());
+        this.updateBadge();
+    }
+
+    /**
+     * Register callback for filter changes
+     * @param {Function} callback - Called with the new filters
+     */
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    /**
+     * Get the current filters
+     * @returns {Object} - Facet filters, see createFacetFilters()
+     */
+    getFilters() {
+        return this.filters;
+    }
+
+    /**
+     * Check whether any facet is in use
+     * @returns {boolean}
+     */
+    isActive() {
+        return countActiveFacets(this.filters) > 0;
+    }
+
+    /**
+     * Show new facet counts
+     * @param {Object} counts - Result of countFacets()
+     */
+    update(counts) {
+        if (!this.container) {
+            return;
+        }
+
+        this.renderValues('platforms', counts.platforms, getPlatformName);
+        this.renderValues('models', counts.models, model => model);
+
+        const hasCode = this.container.querySelector('[data-filter="hasCode"]');
+        hasCode.checked = this.filters.hasCode;
+        this.container.querySelector('.facet-code-count').textContent = counts.hasCode;
+
+        this.renderRange('created', counts.created);
+        this.renderRange('updated', counts.updated);
+        this.renderRange('messages', counts.messages);
+    }
+
+    /**
+     * Reset every facet
+     */
+    clear() {
+        this.filters = createFacetFilters();
+        this.container.querySelectorAll('[data-filter]').forEach(input => {
+            if (input.type === 'checkbox') {
+                input.checked = false;
+            } else {
+                input.value = '';
+            }
+        });
+        this.save();
+    }
+
+    /**
+     * Create the facet sections
+     * Only the value lists are rendered again on updates, so the range inputs keep their focus.
+     */
+    build() {
+        const range = (facet, label, type, from, to) => `
+            <div class="facet mb-2">
+                <div class="facet-label">${label} <span class="facet-range-hint" data-range="${facet}"></span></div>
+                <div class="d-flex gap-1 align-items-center">
+                    <input type="${type}" class="form-control form-control-sm" data-filter="${from}" aria-label="${label} from" ${type === 'number' ? 'min="0" placeholder="Min"' : ''}>
+                    <span class="text-muted small">to</span>
+                    <input type="${type}" class="form-control form-control-sm" data-filter="${to}" aria-label="${label} to" ${type === 'number' ? 'min="0" placeholder="Max"' : ''}>
+                </div>
+            </div>
+        `;
+
+        this.container.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center mb-2">
+                <small class="text-muted">Filters</small>
+                <button type="button" class="btn btn-link btn-sm p-0 filter-clear-btn">Clear filters</button>
+            </div>
+            <div class="facet mb-2">
+                <div class="facet-label">Platform</div>
+                <div class="facet-values" data-values="platforms"></div>
+            </div>
+            <div class="facet mb-2">
+                <div class="facet-label">Model</div>
+                <div class="facet-values facet-values-scroll" data-values="models"></div>
+            </div>
+            ${range('created', 'Created', 'date', 'createdFrom', 'createdTo')}
+            ${range('updated', 'Updated', 'date', 'updatedFrom', 'updatedTo')}
+            ${range('messages', 'Messages', 'number', 'minMessages', 'maxMessages')}
+            <div class="form-check">
+                <input class="form-check-input" type="checkbox" id="facet-has-code" data-filter="hasCode">
+                <label class="form-check-label small" for="facet-has-code">
+                    Has code blocks <span class="facet-count facet-code-count"></span>
+                </label>
+            </div>
+        `;
+
+        this.container.querySelectorAll('[data-filter]').forEach(input => {
+            const value = this.filters[input.dataset.filter];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value ?? '';
+            }
+        });
+    }
+
+    /**
+     * Render the checkboxes of a facet's values
+     * Chosen values stay listed when nothing is left for them.
+     * @param {string} facet - 'platforms' or 'models'
+     * @param {Map<string, number>} counts - Value to conversation count
+     * @param {Function} getLabel - (value) => label
+     */
+    renderValues(facet, counts, getLabel) {
+        const values = new Map(counts);
+        this.filters[facet].forEach(value => values.set(value, values.get(value) || 0));
+
+        const list = this.container.querySelector(`[data-values="${facet}"]`);
+        if (values.size === 0) {
+            list.innerHTML = '<div class="small text-muted">None</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        Array.from(values)
+            .sort((a, b) => b[1] - a[1] || getLabel(a[0]).localeCompare(getLabel(b[0])))
+            .forEach(([value, count]) => {
+                const label = document.createElement('label');
+                label.className = 'form-check small facet-value';
+                label.classList.toggle('text-muted', count === 0);
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'form-check-input';
+                checkbox.dataset.facet = facet;
+                checkbox.value = value;
+                checkbox.checked = this.filters[facet].includes(value);
+
+                const name = document.createElement('span');
+                name.className = 'facet-value-name';
+                name.textContent = getLabel(value);
+                name.title = getLabel(value);
+
+                const countElement = document.createElement('span');
+                countElement.className = 'facet-count';
+                countElement.textContent = count;
+
+                label.append(checkbox, name, countElement);
+                list.appendChild(label);
+            });
+    }
+
+    /**
+     * Show the span of a range facet
+     * @param {string} facet - 'created', 'updated' or 'messages'
+     * @param {Array|null} range - [first, last] among the conversations the other facets leave
+     */
+    renderRange(facet, range) {
+        const hint = this.container.querySelector(`[data-range="${facet}"]`);
+        hint.textContent = range ? `${range[0]} – ${range[1]}` : '';
+    }
+
+    /**
+     * Apply a changed input to the filters
+     * @param {HTMLInputElement} input
+     */
+    handleChange(input) {
+        if (input.dataset.facet) {
+            const values = this.filters[input.dataset.facet].filter(value => value !== input.value);
+            this.filters[input.dataset.facet] = input.checked ? [...values, input.value] : values;
+        } else if (input.dataset.filter === 'hasCode') {
+            this.filters.hasCode = input.checked;
+        } else if (input.type === 'number') {
+            const value = parseInt(input.value, 10);
+            this.filters[input.dataset.filter] = Number.isNaN(value) || value < 0 ? null : value;
+        } else if (input.dataset.filter) {
+            this.filters[input.dataset.filter] = input.value;
+        } else {
+            return;
+        }
+        this.save();
+    }
+
+    /**
+     * Save the filters and tell the listener
+     */
+    save() {
+        Settings.set('sidebarFilters', this.filters);
+        this.updateBadge();
+
+        if (this.onChangeCallback) {
+            this.onChangeCallback(this.filters);
+        }
+    }
+
+    /**
+     * Show how many facets are in use on the toggle button
+     */
+    updateBadge() {
+        const badge = this.toggleButton?.querySelector('.badge');
+        if (badge) {
+            const active = countActiveFacets(this.filters);
+            badge.textContent = active;
+            badge.style.display = active > 0 ? '' : 'none';
+        }
+        this.toggleButton?.classList.toggle('active', this.isActive());
+    }
+}
@@ -0,0 +1,378 @@
+/**
+ * Folder tree above the sidebar list
+ * Choosing a folder lists the conversations in it and its subfolders.
+ * Conversations dragged from the list are moved into the folder they are dropped on.
+ * Folders are created and renamed in place.
+ */
+
+import { flattenFolderTree, getFolderDescendants } from '../utils/organization.js';
+import { escapeHtml } from './markdown.js';
+
+// Data transfer type of conversations dragged from the sidebar list; the data is a JSON array of IDs
+export const CONVERSATION_DRAG_TYPE = 'application/x-conversation-ids';
+
+// Tree entries that aren't folders
+const ALL = 'all';
+const UNFILED = 'unfiled';
+
+export class FolderTree {
+    constructor(container) {
+        this.container = container;
+        this.folders = [];
+        this.counts = new Map();
+        this.total = 0;
+        // ALL, UNFILED or a folder ID
+        this.selected = ALL;
+        // Folders whose subfolders are hidden
+        this.collapsed = new Set();
+        this.onSelectCallback = null;
+        this.onCreateCallback = null;
+        this.onRenameCallback = null;
+        this.onDeleteCallback = null;
+        this.onDropCallback = null;
+        if (!this.container) {
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center mb-1">
+                <small class="text-muted">Folders</small>
+                <button type="button" class="btn btn-link btn-sm p-0 folder-new-btn" title="New folder">New folder</button>
+            </div>
+            <div class="folder-list" role="tree" aria-label="Folders"></div>
+        `;
+        this.list = this.container.querySelector('.folder-list');
+        this.container.querySelector('.folder-new-btn').addEventListener('click', () => {
+            this.showNameInput(null, this.isFolder(this.selected) ? this.selected : null);
+        });
+        this.setupDropTargets();
+    }
+
+    /**
+     * Register callback for choosing a folder
+     * @param {Function} callback - Called with the result of getScope()
+     */
+    onSelect(callback) {
+        this.onSelectCallback = callback;
+    }
+
+    /**
+     * Register callback for creating a folder
+     * @param {Function} callback - Called with the name and the parent folder ID (or null)
+     */
+    onCreate(callback) {
+        this.onCreateCallback = callback;
+    }
+
+    /**
+     * Register callback for renaming a folder
+     * @param {Function} callback - Called with the folder ID and the new name
+     */
+    onRename(callback) {
+        this.onRenameCallback = callback;
+    }
+
+    /**
+     * Register callback for deleting a folder
+     * @param {Function} callback - Called with the folder ID
+     */
+    onDelete(callback) {
+        this.onDeleteCallback = callback;
+    }
+
+    /**
+     * Register callback for conversations dropped on a folder
+     * @param {Function} callback - Called with the conversation IDs and the folder ID, or null for Unfiled
+     */
+    onDrop(callback) {
+        this.onDropCallback = callback;
+    }
+
+    /**
+     * Get the folders whose conversations are listed
+     * @returns {Set<string|null>|null} - Folder IDs, with null standing for conversations in no
+     *     folder; null when every conversation is listed
+     */
+    getScope() {
+        if (this.selected === ALL) {
+            return null;
+        }
+        if (this.selected === UNFILED) {
+            return new Set([null]);
+        }
+        return getFolderDescendants(this.folders, this.selected);
+    }
+
+    /**
+     * Show the folders with the number of conversations in each
+     * A chosen folder that no longer exists falls back to all conversations.
+     * @param {Array} folders - All folders
+     * @param {Map<string|null, number>} counts - Folder ID (null for none) to the conversations directly in it
+     */
+    render(folders, counts) {
+        this.folders = folders;
+        this.counts = counts;
+        this.total = Array.from(counts.values()).reduce((total, count) => total + count, 0);
+        if (this.isFolder(this.selected) && !folders.some(folder => folder.id === this.selected)) {
+            this.selected = ALL;
+        }
+        if (!this.container) {
+            return;
+        }
+
+        this.list.innerHTML = '';
+        this.list.appendChild(this.createNode(ALL, 'All conversations', this.total, 0));
+        this.list.appendChild(this.createNode(UNFILED, 'Unfiled', counts.get(null) || 0, 0));
+
+        const hidden = new Set();
+        flattenFolderTree(folders).forEach(({ folder, depth, hasChildren }) => {
+            if (hidden.has(folder.parentId)) {
+                hidden.add(folder.id);
+                return;
+            }
+            if (this.collapsed.has(folder.id)) {
+                hidden.add(folder.id);
+            }
+
+            const count = Array.from(getFolderDescendants(folders, folder.id))
+                .reduce((total, id) => total + (counts.get(id) || 0), 0);
+            this.list.appendChild(this.createNode(folder.id, folder.name, count, depth, hasChildren));
+        });
+    }
+
+    /**
+     * Create a tree entry
+     * @param {string} id - ALL, UNFILED or a folder ID
+     * @param {string} name - Label
+     * @param {number} count - Conversations in it, including its subfolders
+     * @param {number} depth - Nesting level of folders
+     * @param {boolean} hasChildren - Whether the folder has subfolders
+     * @returns {HTMLElement}
+     */
+    createNode(id, name, count, depth, hasChildren = false) {
+        const isFolder = this.isFolder(id);
+        const node = document.createElement('div');
+        node.className = 'folder-node';
+        node.classList.toggle('active', id === this.selected);
+        node.classList.toggle('folder-special', !isFolder);
+        node.dataset.folderId = id;
+        node.tabIndex = 0;
+        node.setAttribute('role', 'treeitem');
+        node.setAttribute('aria-selected', String(id === this.selected));
+        node.style.paddingLeft = `${0.25 + depth * 0.875}rem`;
+        if (hasChildren) {
+            node.setAttribute('aria-expanded', String(!this.collapsed.has(id)));
+        }
+
+        const chevron = hasChildren
+            ? `<button type="button" class="folder-chevron" title="${this.collapsed.has(id) ? 'Show' : 'Hide'} subfolders">${this.collapsed.has(id) ? '&#9656;' : '&#9662;'}</button>`
+            : '<span class="folder-chevron"></span>';
+        node.innerHTML = `
+            ${isFolder ? chevron : ''}
+            <span class="folder-name">${escapeHtml(name)}</span>
+            <span class="folder-count">${count}</span>
+            ${isFolder ? `
+                <span class="folder-actions">
+                    <button type="button" class="folder-action" data-action="add" title="New subfolder">+</button>
+                    <button type="button" class="folder-action" data-action="rename" title="Rename folder">&#9998;</button>
+                    <button type="button" class="folder-action" data-action="delete" title="Delete folder; its conversations and subfolders move up">&times;</button>
+                </span>
+            ` : ''}
+        `;
+        node.querySelector('.folder-name').title = name;
+
+        node.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (e.target.closest('button.folder-chevron')) {
+                this.toggleCollapsed(id);
+            } else if (action === 'add') {
+                this.collapsed.delete(id);
+                this.showNameInput(null, id);
+            } else if (action === 'rename') {
+                this.showNameInput(id, null);
+            } else if (action === 'delete') {
+                if (this.onDeleteCallback) {
+                    this.onDeleteCallback(id);
+                }
+            } else {
+                this.select(id);
+            }
+        });
+        node.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target === node) {
+                e.preventDefault();
+                this.select(id);
+            }
+        });
+
+        return node;
+    }
+
+    /**
+     * Choose the folder whose conversations are listed
+     * @param {string} id - ALL, UNFILED or a folder ID
+     */
+    select(id) {
+        this.selected = id;
+        this.list.querySelectorAll('.folder-node').forEach(node => {
+            const active = node.dataset.folderId === id;
+            node.classList.toggle('active', active);
+            node.setAttribute('aria-selected', String(active));
+        });
+
+        if (this.onSelectCallback) {
+            this.onSelectCallback(this.getScope());
+        }
+    }
+
+    /**
+     * Show or hide the subfolders of a folder
+     * @param {string} id - Folder ID
+     */
+    toggleCollapsed(id) {
+        if (this.collapsed.has(id)) {
+            this.collapsed.delete(id);
+        } else {
+            this.collapsed.add(id);
+        }
+        this.render(this.folders, this.counts);
+    }
+
+    /**
+     * Show an input to name a new folder or rename one
+     * Enter or leaving the input saves the name, Escape cancels.
+     * @param {string|null} folderId - Folder to rename, or null to create one
+     * @param {string|null} parentId - Parent of the new folder
+     */
+    showNameInput(folderId, parentId) {
+        if (!this.container) {
+            return;
+        }
+        this.render(this.folders, this.counts);
+
+        const folder = this.folders.find(candidate => candidate.id === folderId);
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'form-control form-control-sm folder-name-input';
+        input.placeholder = 'Folder name';
+        input.setAttribute('aria-label', folder ? 'Folder name' : 'New folder name');
+        input.value = folder ? folder.name : '';
+
+        const anchor = this.list.querySelector(`[data-folder-id="${CSS.escape(folderId || parentId || UNFILED)}"]`);
+        if (folder) {
+            anchor.querySelector('.folder-name').replaceWith(input);
+        } else {
+            const depth = parentId ? this.getDepth(parentId) + 1 : 0;
+            input.style.marginLeft = `${0.25 + depth * 0.875 + 1}rem`;
+            input.style.width = `calc(100% - ${0.25 + depth * 0.875 + 1}rem)`;
+            // New folders are entered below their parent's subfolders
+            let last = anchor;
+            while (parentId && last.nextElementSibling &&
+                this.getDepth(last.nextElementSibling.dataset.folderId) > this.getDepth(parentId)) {
+                last = last.nextElementSibling;
+            }
+            last.after(input);
+        }
+
+        let done = false;
+        const finish = (save) => {
+            if (done) {
+                return;
+            }
+            done = true;
+            const name = input.value.trim();
+            if (save && name && folder && name !== folder.name && this.onRenameCallback) {
+                this.onRenameCallback(folder.id, name);
+            } else if (save && name && !folder && this.onCreateCallback) {
+                this.onCreateCallback(name, parentId);
+            } else {
+                this.render(this.folders, this.counts);
+            }
+        };
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('blur', () => finish(true));
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Accept conversations dragged from the sidebar list
+     * Dropping on Unfiled takes them out of their folder; All conversations is not a target.
+     */
+    setupDropTargets() {
+        const getTarget = (e) => {
+            const node = e.target.closest('.folder-node');
+            return node && node.dataset.folderId !== ALL && e.dataTransfer.types.includes(CONVERSATION_DRAG_TYPE)
+                ? node
+                : null;
+        };
+
+        this.list.addEventListener('dragover', (e) => {
+            const node = getTarget(e);
+            if (node) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                node.classList.add('drop-target');
+            }
+        });
+        this.list.addEventListener('dragleave', (e) => {
+            const node = e.target.closest('.folder-node');
+            if (node && !node.contains(e.relatedTarget)) {
+                node.classList.remove('drop-target');
+            }
+        });
+        this.list.addEventListener('drop', (e) => {
+            const node = getTarget(e);
+            if (!node) {
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+            node.classList.remove('drop-target');
+
+            let ids;
+            try {
+                ids = JSON.parse(e.dataTransfer.getData(CONVERSATION_DRAG_TYPE));
+            } catch (error) {
+                return;
+            }
+            if (Array.isArray(ids) && ids.length > 0 && this.onDropCallback) {
+                this.onDropCallback(ids, node.dataset.folderId === UNFILED ? null : node.dataset.folderId);
+            }
+        });
+    }
+
+    /**
+     * Get the nesting level of a tree entry
+     * @param {string} id - ALL, UNFILED or a folder ID
+     * @returns {number}
+     */
+    getDepth(id) {
+        let depth = 0;
+        let folder = this.folders.find(candidate => candidate.id === id);
+        const seen = new Set();
+        while (folder && folder.parentId && !seen.has(folder.id)) {
+            seen.add(folder.id);
+            folder = this.folders.find(candidate => candidate.id === folder.parentId);
+            depth += folder ? 1 : 0;
+        }
+        return depth;
+    }
+
+    /**
+     * Check whether a tree entry is a folder
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isFolder(id) {
+        return id !== ALL && id !== UNFILED;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Progress bar shown in the sidebar while a file is being imported
+ */
+
+const STAGE_LABELS = {
+    reading: 'Reading',
+    parsing: 'Parsing',
+    converting: 'Importing'
+};
+
+export class ImportProgress {
+    constructor(element) {
+        this.element = element;
+        this.label = element?.querySelector('.import-progress-label');
+        this.track = element?.querySelector('.progress');
+        this.bar = element?.querySelector('.progress-bar');
+        this.cancelBtn = element?.querySelector('.import-cancel-btn');
+        this.cancelCallback = null;
+
+        if (this.cancelBtn) {
+            this.cancelBtn.addEventListener('click', () => {
+                if (this.cancelCallback) {
+                    this.cancelCallback();
+                }
+            });
+        }
+    }
+
+    /**
+     * Show the progress bar for a new import
+     * @param {string} source - File name being imported
+     * @param {Function} onCancel - Called when the user cancels the import
+     */
+    show(source, onCancel) {
+        if (!this.element) {
+            return;
+        }
+        this.source = source;
+        this.cancelCallback = onCancel;
+        this.update({ stage: 'reading' });
+        this.element.style.display = 'block';
+    }
+
+    /**
+     * Update the progress bar
+     * Stages without a known total show an animated bar
+     * @param {Object} progress - { stage, loaded, total }
+     */
+    update({ stage, loaded, total }) {
+        if (!this.element) {
+            return;
+        }
+
+        const determinate = total > 0 && loaded !== undefined;
+        const percent = determinate ? Math.min(100, Math.round((loaded / total) * 100)) : 100;
+
+        let text = `${STAGE_LABELS[stage] || 'Importing'} ${this.source}`;
+        if (stage === 'converting' && determinate) {
+            text += ` (${loaded.toLocaleString()} / ${total.toLocaleString()})`;
+        }
+
+        this.label.textContent = text;
+        this.label.title = text;
+        this.bar.style.width = `${percent}%`;
+        this.bar.classList.toggle('progress-bar-striped', !determinate);
+        this.bar.classList.toggle('progress-bar-animated', !determinate);
+        if (determinate) {
+            this.track.setAttribute('aria-valuenow', percent);
+        } else {
+            this.track.removeAttribute('aria-valuenow');
+        }
+    }
+
+    /**
+     * Hide the progress bar
+     */
+    hide() {
+        if (!this.element) {
+            return;
+        }
+        this.element.style.display = 'none';
+        this.cancelCallback = null;
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * Full-screen image viewer
+ */
+
+let overlay = null;
+
+/**
+ * Show an image in a full-screen overlay
+ * Closes on click or Escape
+ * @param {string} src - Image URL
+ * @param {string} alt - Alternative text
+ */
+export function openLightbox(src, alt = '') {
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.className = 'lightbox-overlay';
+        overlay.innerHTML = `
+            <button type="button" class="btn-close btn-close-white lightbox-close" aria-label="Close"></button>
+            <img class="lightbox-image" alt="">
+        `;
+        overlay.addEventListener('click', closeLightbox);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && overlay.classList.contains('active')) {
+                closeLightbox();
+            }
+        });
+        document.body.appendChild(overlay);
+    }
+
+    const image = overlay.querySelector('.lightbox-image');
+    image.src = src;
+    image.alt = alt;
+    overlay.classList.add('active');
+}
+
+/**
+ * Hide the lightbox
+ */
+export function closeLightbox() {
+    if (overlay) {
+        overlay.classList.remove('active');
+    }
+}
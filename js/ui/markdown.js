@@ -5,20 +5,7 @@
 // Configure marked.js to use highlight.js for code blocks
 marked.setOptions({
     highlight: function(code, lang) {
-        if (lang && hljs.getLanguage(lang)) {
-            try {
-                return hljs.highlight(code, { language: lang }).value;
-            } catch (error) {
-                console.error('Highlight error:', error);
-            }
-        }
-        // Auto-detect language if not specified
-        try {
-            return hljs.highlightAuto(code).value;
-        } catch (error) {
-            console.error('Auto-highlight error:', error);
-            return code;
-        }
+        return highlightCode(code, lang);
     },
     breaks: true,        // Convert \n to <br>
     gfm: true,          // GitHub Flavored Markdown
@@ -26,6 +13,29 @@ marked.setOptions({
     mangle: false       // Don't escape email addresses
 });
 
+/**
+ * Highlight a code snippet with highlight.js
+ * @param {string} code - Source code
+ * @param {string} lang - Optional language name
+ * @returns {string} - Highlighted HTML
+ */
+export function highlightCode(code, lang) {
+    if (lang && hljs.getLanguage(lang)) {
+        try {
+            return hljs.highlight(code, { language: lang }).value;
+        } catch (error) {
+            console.error('Highlight error:', error);
+        }
+    }
+    // Auto-detect language if not specified
+    try {
+        return hljs.highlightAuto(code).value;
+    } catch (error) {
+        console.error('Auto-highlight error:', error);
+        return escapeHtml(code);
+    }
+}
+
 /**
  * Render markdown text to HTML
  * @param {string} text - Markdown text
@@ -0,0 +1,371 @@
+/**
+ * Renderer for typed message parts (text, code, tool calls, tool results, artifacts, quotes)
+ */
+
+import { renderMarkdown, highlightCode, escapeHtml } from './markdown.js';
+import { openLightbox } from './lightbox.js';
+
+// highlight.js language for artifact MIME types
+const ARTIFACT_LANGUAGES = {
+    'text/html': 'html',
+    'image/svg+xml': 'xml',
+    'application/vnd.ant.react': 'javascript',
+    'application/vnd.ant.mermaid': 'plaintext'
+};
+
+/**
+ * Render typed message parts into a container element
+ * Tool results are folded into the tool call they answer when possible
+ * @param {Array} parts - Typed message parts
+ * @param {Object} options - Rendering options
+ * @param {Function} options.resolveAsset - Resolves an asset ID to { url, type, name } or null
+ * @returns {HTMLElement}
+ */
+export function renderMessageParts(parts, options = {}) {
+    const container = document.createElement('div');
+    container.className = 'message-parts';
+
+    const footnotes = [];
+    const toolBlocks = new Map();
+    let lastToolBlock = null;
+
+    parts.forEach(part => {
+        switch (part.type) {
+            case 'text':
+                container.appendChild(createTextElement(part, footnotes));
+                break;
+            case 'thinking':
+                container.appendChild(createDetailsElement('thinking-block', 'Thinking', renderMarkdown(part.text)));
+                break;
+            case 'tool_use': {
+                const block = createToolUseElement(part);
+                container.appendChild(block);
+                if (part.id) {
+                    toolBlocks.set(part.id, block);
+                }
+                lastToolBlock = block;
+                break;
+            }
+            case 'tool_result': {
+                const target = toolBlocks.get(part.toolUseId) ||
+                    (lastToolBlock && !lastToolBlock.dataset.hasResult && lastToolBlock.dataset.toolName === part.name ? lastToolBlock : null);
+                if (target) {
+                    target.appendChild(createToolResultElement(part));
+                    target.dataset.hasResult = 'true';
+                    if (part.isError) {
+                        target.classList.add('tool-error');
+                    }
+                } else {
+                    const block = createDetailsElement('tool-block tool-result', `Result${part.name ? `: ${escapeHtml(part.name)}` : ''}`, '');
+                    block.appendChild(createToolResultElement(part));
+                    if (part.isError) {
+                        block.classList.add('tool-error');
+                    }
+                    container.appendChild(block);
+                }
+                break;
+            }
+            case 'artifact':
+                container.appendChild(createArtifactElement(part));
+                break;
+            case 'code':
+                container.appendChild(createCodeElement(part));
+                break;
+            case 'execution_output':
+                container.appendChild(createOutputElement(part.text));
+                break;
+            case 'quote':
+                container.appendChild(createQuoteElement(part));
+                break;
+            case 'browsing':
+                container.appendChild(createDetailsElement(
+                    'tool-block browsing-block',
+                    `<span class="tool-label">Browsing</span> ${escapeHtml(part.summary || 'Results')}`,
+                    `<div class="browsing-result">${escapeHtml(part.text)}</div>`
+                ));
+                break;
+            case 'image':
+            case 'file':
+                container.appendChild(createAssetElement(part, options.resolveAsset));
+                break;
+            default:
+                if (part.text) {
+                    container.appendChild(createTextElement({ text: part.text }, footnotes));
+                }
+        }
+    });
+
+    if (footnotes.length > 0) {
+        container.appendChild(createFootnotesElement(footnotes));
+    }
+
+    return container;
+}
+
+/**
+ * Render a text part, appending footnote markers for its citations
+ * @param {Object} part - Text part
+ * @param {Array} footnotes - Shared footnote list for the message
+ * @returns {HTMLElement}
+ */
+function createTextElement(part, footnotes) {
+    const element = document.createElement('div');
+    element.className = 'message-text';
+
+    let html = renderMarkdown(part.text);
+
+    if (part.citations?.length > 0) {
+        const markers = part.citations.map(citation => {
+            let index = footnotes.findIndex(note => note.url === citation.url);
+            if (index === -1) {
+                footnotes.push(citation);
+                index = footnotes.length - 1;
+            }
+            return `<a href="${escapeAttribute(safeUrl(citation.url))}" target="_blank" rel="noopener noreferrer" title="${escapeAttribute(citation.title || citation.url)}">[${index + 1}]</a>`;
+        });
+        const sup = `<sup class="citation-ref">${markers.join('')}</sup>`;
+
+        // Keep the markers inline with the last paragraph
+        html = /<\/p>\s*$/.test(html) ? html.replace(/<\/p>\s*$/, `${sup}</p>`) : html + sup;
+    }
+
+    element.innerHTML = html;
+    return element;
+}
+
+/**
+ * Create a collapsible block
+ * @param {string} className - Block class names
+ * @param {string} summaryHtml - Summary line HTML
+ * @param {string} bodyHtml - Body HTML
+ * @returns {HTMLElement}
+ */
+function createDetailsElement(className, summaryHtml, bodyHtml) {
+    const details = document.createElement('details');
+    details.className = className;
+    details.innerHTML = `<summary>${summaryHtml}</summary>${bodyHtml}`;
+    return details;
+}
+
+/**
+ * Render a tool invocation with its input JSON
+ * @param {Object} part - Tool use part
+ * @returns {HTMLElement}
+ */
+function createToolUseElement(part) {
+    const input = typeof part.input === 'string' ? part.input : JSON.stringify(part.input ?? {}, null, 2);
+    const block = createDetailsElement(
+        'tool-block tool-use',
+        `<span class="tool-label">Tool</span> <code>${escapeHtml(part.name || 'unknown')}</code>`,
+        `<div class="tool-section-label">Input</div><pre><code class="hljs language-json">${highlightCode(input, 'json')}</code></pre>`
+    );
+    block.dataset.toolName = part.name || '';
+    return block;
+}
+
+/**
+ * Render the output of a tool invocation
+ * @param {Object} part - Tool result part
+ * @returns {HTMLElement}
+ */
+function createToolResultElement(part) {
+    const section = document.createElement('div');
+    section.className = 'tool-output';
+
+    let html = `<div class="tool-section-label">${part.isError ? 'Error' : 'Output'}</div>`;
+    if (part.content) {
+        html += `<pre><code>${escapeHtml(part.content)}</code></pre>`;
+    }
+    if (part.sources?.length > 0) {
+        html += '<ul class="tool-sources">' + part.sources.map(source =>
+            `<li><a href="${escapeAttribute(safeUrl(source.url))}" target="_blank" rel="noopener noreferrer">${escapeHtml(source.title || source.url)}</a></li>`
+        ).join('') + '</ul>';
+    }
+
+    section.innerHTML = html;
+    return section;
+}
+
+/**
+ * Render an artifact as a collapsible code or document block
+ * @param {Object} part - Artifact part
+ * @returns {HTMLElement}
+ */
+function createArtifactElement(part) {
+    const title = escapeHtml(part.title || part.id || 'Untitled');
+    const command = part.command && part.command !== 'create' ? ` <small class="text-muted">(${escapeHtml(part.command)})</small>` : '';
+
+    let body;
+    if (part.artifactType === 'text/markdown') {
+        body = `<div class="artifact-document">${renderMarkdown(part.content)}</div>`;
+    } else {
+        const language = part.language || ARTIFACT_LANGUAGES[part.artifactType];
+        body = `<pre><code class="hljs">${highlightCode(part.content || '', language)}</code></pre>`;
+    }
+
+    const block = createDetailsElement('tool-block artifact-block', `<span class="tool-label">Artifact</span> ${title}${command}`, body);
+    block.open = true;
+    return block;
+}
+
+/**
+ * Render a code part as a highlighted block, followed by its execution output
+ * @param {Object} part - Code part
+ * @returns {HTMLElement}
+ */
+function createCodeElement(part) {
+    const block = document.createElement('div');
+    block.className = 'code-block';
+    block.innerHTML = `
+        <div class="code-block-header">${escapeHtml(part.language || 'code')}</div>
+        <pre><code class="hljs">${highlightCode(part.code, part.language)}</code></pre>
+    `;
+
+    if (part.output !== undefined) {
+        block.appendChild(createOutputElement(part.output));
+    }
+    return block;
+}
+
+/**
+ * Render the output of a code execution
+ * @param {string} text - Output text
+ * @returns {HTMLElement}
+ */
+function createOutputElement(text) {
+    const output = document.createElement('div');
+    output.className = 'execution-output';
+    output.innerHTML = `<div class="tool-section-label">Output</div><pre><code>${escapeHtml(text || '')}</code></pre>`;
+    return output;
+}
+
+/**
+ * Render a quoted passage with its source link
+ * @param {Object} part - Quote part
+ * @returns {HTMLElement}
+ */
+function createQuoteElement(part) {
+    const quote = document.createElement('blockquote');
+    quote.className = 'source-quote';
+
+    let html = renderMarkdown(part.text);
+    if (part.url) {
+        html += `<footer><a href="${escapeAttribute(safeUrl(part.url))}" target="_blank" rel="noopener noreferrer">${escapeHtml(part.title || part.domain || part.url)}</a></footer>`;
+    }
+
+    quote.innerHTML = html;
+    return quote;
+}
+
+/**
+ * Render an image or uploaded file, resolving it from the stored assets
+ * Falls back to a placeholder when the asset isn't available
+ * @param {Object} part - Image or file part
+ * @param {Function} resolveAsset - Asset resolver
+ * @returns {HTMLElement}
+ */
+function createAssetElement(part, resolveAsset) {
+    const element = document.createElement('div');
+    element.className = 'message-asset';
+    element.dataset.assetId = part.assetId || '';
+
+    // Inline images (data URLs) need no lookup
+    if (part.src) {
+        element.appendChild(createResolvedAssetElement(part, { url: part.src, name: part.name }));
+        return element;
+    }
+
+    element.appendChild(createAssetPlaceholder(part));
+
+    if (part.assetId && resolveAsset) {
+        resolveAsset(part.assetId).then(asset => {
+            if (asset) {
+                element.replaceChildren(createResolvedAssetElement(part, asset));
+            }
+        }).catch(error => {
+            console.error('Error loading asset:', error);
+        });
+    }
+
+    return element;
+}
+
+/**
+ * Render a resolved asset as an inline image or a download link
+ * @param {Object} part - Image or file part
+ * @param {Object} asset - Resolved asset { url, type, name }
+ * @returns {HTMLElement}
+ */
+function createResolvedAssetElement(part, asset) {
+    const name = part.name || asset.name || '';
+
+    if (part.type === 'image' || asset.type?.startsWith('image/')) {
+        const image = document.createElement('img');
+        image.className = 'message-image';
+        image.src = asset.url;
+        image.alt = name;
+        image.loading = 'lazy';
+        if (part.width && part.height) {
+            image.width = part.width;
+            image.height = part.height;
+        }
+        image.addEventListener('click', () => openLightbox(asset.url, name));
+        return image;
+    }
+
+    const link = document.createElement('a');
+    link.className = 'file-chip';
+    link.href = asset.url;
+    link.download = name;
+    link.textContent = name || 'Download file';
+    return link;
+}
+
+/**
+ * Render a placeholder for an image or file that isn't available
+ * @param {Object} part - Image or file part
+ * @returns {HTMLElement}
+ */
+function createAssetPlaceholder(part) {
+    const placeholder = document.createElement('div');
+    if (part.type === 'file') {
+        placeholder.className = 'file-chip file-chip-missing';
+        placeholder.textContent = part.name || 'Attached file';
+    } else {
+        placeholder.className = 'image-placeholder';
+        placeholder.textContent = part.name ? `Image: ${part.name}` : 'Image not included in export';
+    }
+    return placeholder;
+}
+
+/**
+ * Render the footnote list for a message's citations
+ * @param {Array} footnotes - Citations in order of first use
+ * @returns {HTMLElement}
+ */
+function createFootnotesElement(footnotes) {
+    const list = document.createElement('ol');
+    list.className = 'message-footnotes';
+    list.innerHTML = footnotes.map(note =>
+        `<li><a href="${escapeAttribute(safeUrl(note.url))}" target="_blank" rel="noopener noreferrer">${escapeHtml(note.title || note.url)}</a></li>`
+    ).join('');
+    return list;
+}
+
+/**
+ * Only allow http(s) links from imported data
+ * @param {string} url
+ * @returns {string}
+ */
+function safeUrl(url) {
+    return /^https?:\/\//i.test(url || '') ? url : '#';
+}
+
+/**
+ * Escape text for use inside a double-quoted attribute
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
@@ -0,0 +1,64 @@
+/**
+ * Settings dialog
+ * Inputs with a data-setting attribute are bound to the setting of that name
+ * and saved as soon as they change.
+ */
+
+import { Settings } from '../utils/settings.js';
+
+export class SettingsDialog {
+    constructor(modalElement) {
+        this.modalElement = modalElement;
+        this.onChangeCallback = null;
+        if (!this.modalElement) {
+            return;
+        }
+
+        this.inputs = Array.from(modalElement.querySelectorAll('[data-setting]'));
+        this.inputs.forEach(input => {
+            input.addEventListener('change', () => this.save(input));
+        });
+        modalElement.addEventListener('show.bs.modal', () => this.load());
+    }
+
+    /**
+     * Register callback for setting changes
+     * @param {Function} callback - Called with the setting name and its new value
+     */
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    /**
+     * Show the stored settings in the inputs
+     */
+    load() {
+        const settings = Settings.getAll();
+        this.inputs.forEach(input => {
+            const value = settings[input.dataset.setting];
+            if (input.type === 'radio') {
+                input.checked = input.value === value;
+            } else if (input.type === 'checkbox') {
+                input.checked = Boolean(value);
+            } else {
+                input.value = value ?? '';
+            }
+        });
+    }
+
+    /**
+     * Save the setting bound to an input
+     * @param {HTMLInputElement} input - Changed input
+     */
+    save(input) {
+        if (input.type === 'radio' && !input.checked) {
+            return;
+        }
+        const value = input.type === 'checkbox' ? input.checked : input.value.trim();
+        Settings.set(input.dataset.setting, value);
+
+        if (this.onChangeCallback) {
+            this.onChangeCallback(input.dataset.setting, value);
+        }
+    }
+}
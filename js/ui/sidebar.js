@@ -2,16 +2,98 @@
  * Sidebar component for displaying conversation list
  */
 
+import { getFormatBadge } from '../format-registry.js';
+import { buildSnippet, TITLE_DOC_ID } from '../utils/search-index.js';
+import { parseSearchQuery, hasSearchTerms, matchGroup, findMatchRanges } from '../utils/search-query.js';
+import { matchesFacets, countFacets, getFacetInfo, getMessageCount } from '../utils/facets.js';
+import { SORT_ORDERS, sortConversations, groupConversations } from '../utils/conversation-list.js';
+import { Settings } from '../utils/settings.js';
+import { FilterPanel } from './filter-panel.js';
+import { VirtualList } from './virtual-list.js';
+import { CONVERSATION_DRAG_TYPE } from './folder-tree.js';
+
+// Row heights used until the rows are measured
+const ITEM_HEIGHT = 62;
+const SNIPPET_ITEM_HEIGHT = 100;
+const TAGS_HEIGHT = 22;
+const GROUP_HEADER_HEIGHT = 30;
+
 export class Sidebar {
     constructor(container) {
         this.container = container;
         this.currentConversationId = null;
         this.onSelectCallback = null;
         this.onSelectionChangeCallback = null;
+        this.onSearchCallback = null;
+        this.onOpenMessageCallback = null;
         this.allConversations = [];
         this.searchQuery = '';
+        this.parsedQuery = parseSearchQuery('');
+        // Ranked results for searchQuery, null until the search index answers
+        this.searchResults = null;
+        this.searchResultsById = new Map();
         this.selectedIds = new Set();
+        // Models and code blocks of a conversation for the facets
+        this.facetResolver = (conversation) => conversation.messages ? getFacetInfo(conversation) : null;
+        // Tags and folder of a conversation
+        this.labelResolver = () => ({ tags: [], folderId: null });
+        // Folders whose conversations are listed (null for no folder), or null for all
+        this.folderScope = null;
+        this.filterPanel = new FilterPanel(document.getElementById('filter-panel'));
+        this.filterPanel.onChange(() => this.render(this.allConversations));
+        this.sortBy = SORT_ORDERS.includes(Settings.get('sidebarSort')) ? Settings.get('sidebarSort') : 'updated';
+        // Keys of the date or platform groups that are collapsed
+        this.collapsedGroups = new Set();
+        // Rows of the list: group headers and conversations
+        this.rows = [];
+        this.list = new VirtualList(container, {
+            className: 'list-group list-group-flush',
+            getKey: row => row.type === 'group' ? `group:${row.key}` : row.conversation.id,
+            estimateHeight: row => this.estimateRowHeight(row),
+            renderRow: row => row.type === 'group' ? this.createGroupHeader(row) : this.createConversationItem(row.conversation)
+        });
         this.setupSearchInput();
+        this.setupSortSelect();
+        this.setupKeyboardNavigation();
+    }
+
+    /**
+     * Set how the models and code blocks of a conversation are found for the facets
+     * @param {Function} resolver - (conversation) => { models, hasCode } or null if unknown
+     */
+    setFacetResolver(resolver) {
+        this.facetResolver = resolver;
+    }
+
+    /**
+     * Set how the tags and folder of a conversation are found
+     * @param {Function} resolver - (conversationId) => { tags, folderId }
+     */
+    setLabelResolver(resolver) {
+        this.labelResolver = resolver;
+    }
+
+    /**
+     * List only the conversations in some folders
+     * @param {Set<string|null>|null} folderIds - Folder IDs, with null for conversations in no
+     *     folder; null to list every conversation
+     */
+    setFolderScope(folderIds) {
+        this.folderScope = folderIds;
+        this.render(this.allConversations);
+    }
+
+    /**
+     * Add a filter to the search query, e.g. from a tag chip
+     * @param {string} filter - Filter such as 'tag:work'
+     */
+    addSearchFilter(filter) {
+        const searchInput = document.getElementById('search-input');
+        if (!searchInput || searchInput.value.split(/\s+/).includes(filter)) {
+            return;
+        }
+        searchInput.value = `${searchInput.value.trim()} ${filter}`.trim();
+        searchInput.dispatchEvent(new Event('input'));
     }
 
     /**
@@ -21,12 +103,70 @@ export class Sidebar {
         const searchInput = document.getElementById('search-input');
         if (searchInput) {
             searchInput.addEventListener('input', (e) => {
-                this.searchQuery = e.target.value.toLowerCase();
+                this.searchQuery = e.target.value;
+                this.parsedQuery = parseSearchQuery(this.searchQuery);
+                this.showQueryErrors(searchInput);
+
+                // The previous results stay listed until the callback answers with setSearchResults()
+                if (this.onSearchCallback) {
+                    this.onSearchCallback(this.searchQuery);
+                } else {
+                    this.render(this.allConversations);
+                }
+            });
+        }
+    }
+
+    /**
+     * Setup the sort order select
+     */
+    setupSortSelect() {
+        const sortSelect = document.getElementById('sort-select');
+        if (sortSelect) {
+            sortSelect.value = this.sortBy;
+            sortSelect.addEventListener('change', () => {
+                this.sortBy = sortSelect.value;
+                Settings.set('sidebarSort', this.sortBy);
                 this.render(this.allConversations);
+                this.container.scrollTop = 0;
             });
         }
     }
 
+    /**
+     * Move keyboard focus through the list with the arrow keys
+     * Arrow Up/Down, Home and End move between rows, Space checks the focused conversation.
+     * Rows outside the viewport are rendered as focus reaches them.
+     */
+    setupKeyboardNavigation() {
+        this.container.addEventListener('keydown', (e) => {
+            const index = this.list.getFocusedIndex();
+            if (index === -1 || e.target.matches('input:not(.conversation-checkbox)')) {
+                return;
+            }
+
+            let target = null;
+            if (e.key === 'ArrowDown') {
+                target = Math.min(index + 1, this.rows.length - 1);
+            } else if (e.key === 'ArrowUp') {
+                target = Math.max(index - 1, 0);
+            } else if (e.key === 'Home') {
+                target = 0;
+            } else if (e.key === 'End') {
+                target = this.rows.length - 1;
+            } else if (e.key === ' ' && this.rows[index].type === 'conversation' && !e.target.matches('input')) {
+                e.preventDefault();
+                this.toggleSelected(this.rows[index].conversation.id);
+                return;
+            } else {
+                return;
+            }
+
+            e.preventDefault();
+            this.list.scrollToIndex(target)?.focus({ preventScroll: true });
+        });
+    }
+
     /**
      * Register callback for conversation selection
      * @param {Function} callback - Called with conversation ID when selected
@@ -35,6 +175,52 @@ export class Sidebar {
         this.onSelectCallback = callback;
     }
 
+    /**
+     * Register callback for search query changes
+     * @param {Function} callback - Called with the query text; answer with setSearchResults()
+     */
+    onSearch(callback) {
+        this.onSearchCallback = callback;
+    }
+
+    /**
+     * Register callback for opening a search result at its matching message
+     * @param {Function} callback - Called with the conversation ID and message ID
+     */
+    onOpenMessage(callback) {
+        this.onOpenMessageCallback = callback;
+    }
+
+    /**
+     * Show ranked search results
+     * Results for a query that has since changed are ignored.
+     * @param {string} query - Query the results are for
+     * @param {Array|null} results - Results from AppState.search, or null to match titles here
+     */
+    setSearchResults(query, results) {
+        if (query !== this.searchQuery) {
+            return;
+        }
+        this.searchResults = results;
+        this.searchResultsById = new Map((results || []).map(result => [result.conversationId, result]));
+        this.render(this.allConversations);
+    }
+
+    /**
+     * Show what is wrong with the search query below the search box
+     * @param {HTMLInputElement} searchInput
+     */
+    showQueryErrors(searchInput) {
+        const errors = this.parsedQuery.errors;
+        const feedback = document.getElementById('search-error');
+
+        searchInput.classList.toggle('is-invalid', errors.length > 0);
+        if (feedback) {
+            feedback.textContent = errors.map(error =>
+                `${error.message} (at "${this.searchQuery.slice(error.start, error.end)}")`).join('. ');
+        }
+    }
+
     /**
      * Register callback for selection changes
      * @param {Function} callback - Called with array of selected IDs
@@ -61,7 +247,7 @@ export class Sidebar {
     }
 
     /**
-     * Select all visible conversations
+     * Select all listed conversations, which the search and filters leave
      */
     selectAll() {
         const filtered = this.getFilteredConversations();
@@ -71,13 +257,54 @@ export class Sidebar {
     }
 
     /**
-     * Get filtered conversations based on search
+     * Get the conversations to list, in display order
+     * Search results are ranked by relevance; otherwise they follow the sort order.
+     * @returns {Array}
      */
     getFilteredConversations() {
-        if (!this.searchQuery) {
+        const filters = this.filterPanel.getFilters();
+        return this.getSearchedConversations()
+            .filter(conv => matchesFacets(conv, filters, this.facetResolver(conv)));
+    }
+
+    /**
+     * Get the conversations matching the search query, before the filters apply
+     * Only conversations in the chosen folder are searched.
+     * @returns {Array}
+     */
+    getSearchedConversations() {
+        const conversations = this.getFolderConversations();
+        if (!hasSearchTerms(this.parsedQuery)) {
+            return sortConversations(conversations, this.sortBy);
+        }
+
+        if (this.searchResults) {
+            const byId = new Map(conversations.map(conv => [conv.id, conv]));
+            return this.searchResults.map(result => byId.get(result.conversationId)).filter(Boolean);
+        }
+
+        // Until the search index has loaded, only titles (and loaded messages) are searched
+        return sortConversations(conversations.filter(conv => this.parsedQuery.groups.some(group =>
+            matchGroup(group, conv, null, this.labelResolver(conv.id).tags) !== null)), this.sortBy);
+    }
+
+    /**
+     * Get the conversations in the chosen folder and its subfolders
+     * @returns {Array}
+     */
+    getFolderConversations() {
+        if (!this.folderScope) {
             return this.allConversations;
         }
-        return this.allConversations.filter(conv => this.matchesSearch(conv));
+        return this.allConversations.filter(conv => this.folderScope.has(this.labelResolver(conv.id).folderId || null));
+    }
+
+    /**
+     * Check whether the list is ranked by search relevance rather than the sort order
+     * @returns {boolean}
+     */
+    isRanked() {
+        return hasSearchTerms(this.parsedQuery) && Boolean(this.searchResults);
     }
 
     /**
@@ -89,8 +316,23 @@ export class Sidebar {
         }
     }
 
+    /**
+     * Check or uncheck a conversation
+     * @param {string} conversationId
+     */
+    toggleSelected(conversationId) {
+        if (this.selectedIds.has(conversationId)) {
+            this.selectedIds.delete(conversationId);
+        } else {
+            this.selectedIds.add(conversationId);
+        }
+        this.updateSelectionUI();
+        this.notifySelectionChange();
+    }
+
     /**
      * Update checkbox UI states
+     * Rows rendered later read the selection themselves.
      */
     updateSelectionUI() {
         this.container.querySelectorAll('.conversation-checkbox').forEach(checkbox => {
@@ -105,6 +347,8 @@ export class Sidebar {
      */
     render(conversations) {
         if (!conversations || conversations.length === 0) {
+            this.allConversations = [];
+            this.filterPanel.update(countFacets([], this.filterPanel.getFilters(), this.facetResolver));
             this.renderEmpty();
             return;
         }
@@ -112,31 +356,91 @@ export class Sidebar {
         // Store all conversations for filtering
         this.allConversations = conversations;
 
-        // Filter conversations based on search query
-        let filtered = conversations;
-        if (this.searchQuery) {
-            filtered = conversations.filter(conv => this.matchesSearch(conv));
-        }
-
-        // Sort by updated date (most recent first)
-        const sorted = [...filtered].sort((a, b) => b.updated - a.updated);
+        // Facet counts cover the search results
+        const searched = this.getSearchedConversations();
+        const filters = this.filterPanel.getFilters();
+        this.filterPanel.update(countFacets(searched, filters, this.facetResolver));
+        const sorted = searched.filter(conv => matchesFacets(conv, filters, this.facetResolver(conv)));
 
-        this.container.innerHTML = '';
+        const sortSelect = document.getElementById('sort-select');
+        if (sortSelect) {
+            sortSelect.disabled = this.isRanked();
+            sortSelect.title = this.isRanked() ? 'Search results are ranked by relevance' : 'Sort conversations';
+        }
 
         if (sorted.length === 0) {
             this.renderNoResults();
             return;
         }
 
-        const listGroup = document.createElement('div');
-        listGroup.className = 'list-group list-group-flush';
+        // Only the rows in view are rendered
+        this.rows = this.buildRows(sorted);
+        this.list.setRows(this.rows);
+    }
+
+    /**
+     * Build the list rows, with a header before each group of the sort order
+     * Search results ranked by relevance are not grouped; collapsed groups keep only their header.
+     * @param {Array} conversations - Conversations in display order
+     * @returns {Array<Object>} - { type: 'group', key, label, count, collapsed } and { type: 'conversation', conversation }
+     */
+    buildRows(conversations) {
+        const groups = this.isRanked() ? null : groupConversations(conversations, this.sortBy);
+        if (!groups) {
+            return conversations.map(conversation => ({ type: 'conversation', conversation }));
+        }
+
+        const rows = [];
+        groups.forEach(group => {
+            const collapsed = this.collapsedGroups.has(group.key);
+            rows.push({ type: 'group', key: group.key, label: group.label, count: group.conversations.length, collapsed });
+            if (!collapsed) {
+                group.conversations.forEach(conversation => rows.push({ type: 'conversation', conversation }));
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * Estimate the height of a row before it is rendered
+     * @param {Object} row - List row
+     * @returns {number} - Pixels
+     */
+    estimateRowHeight(row) {
+        if (row.type === 'group') {
+            return GROUP_HEADER_HEIGHT;
+        }
+        const result = this.searchResults ? this.searchResultsById.get(row.conversation.id) : null;
+        const height = result && result.messageId !== TITLE_DOC_ID && row.conversation.messages ? SNIPPET_ITEM_HEIGHT : ITEM_HEIGHT;
+        return this.labelResolver(row.conversation.id).tags.length > 0 ? height + TAGS_HEIGHT : height;
+    }
+
+    /**
+     * Create the header of a date or platform group
+     * @param {Object} row - Group row
+     * @returns {HTMLElement}
+     */
+    createGroupHeader(row) {
+        const header = document.createElement('button');
+        header.type = 'button';
+        header.className = 'conversation-group-header';
+        header.setAttribute('aria-expanded', String(!row.collapsed));
+        header.innerHTML = `
+            <span class="conversation-group-chevron">${row.collapsed ? '&#9656;' : '&#9662;'}</span>
+            <span class="conversation-group-label">${this.escapeHtml(row.label)}</span>
+            <span class="conversation-group-count">${row.count}</span>
+        `;
 
-        sorted.forEach(conv => {
-            const item = this.createConversationItem(conv);
-            listGroup.appendChild(item);
+        header.addEventListener('click', () => {
+            if (this.collapsedGroups.has(row.key)) {
+                this.collapsedGroups.delete(row.key);
+            } else {
+                this.collapsedGroups.add(row.key);
+            }
+            this.render(this.allConversations);
         });
 
-        this.container.appendChild(listGroup);
+        return header;
     }
 
     /**
@@ -149,23 +453,31 @@ export class Sidebar {
         item.href = '#';
         item.className = 'list-group-item list-group-item-action conversation-item';
         item.dataset.conversationId = conversation.id;
+        item.draggable = true;
 
         if (conversation.id === this.currentConversationId) {
             item.classList.add('active');
         }
 
         // Format badge
-        const formatBadge = this.getFormatBadge(conversation.format);
+        const formatBadge = getFormatBadge(conversation.format);
 
-        // Date
-        const dateStr = this.formatDate(conversation.updated);
+        // Date the list is sorted by
+        const dateStr = this.formatDate(this.sortBy === 'created' ? conversation.created : conversation.updated);
 
-        // Message count
-        const messageCount = conversation.messages.length;
+        // Message count (active branch only); headers loaded from storage carry it
+        const messageCount = getMessageCount(conversation);
 
         // Checkbox state
         const isChecked = this.selectedIds.has(conversation.id);
 
+        // Where the search matched, if in a message
+        const result = this.searchResults ? this.searchResultsById.get(conversation.id) : null;
+        const snippet = this.getSnippet(conversation, result);
+
+        // User tags; clicking one searches for it
+        const tags = this.labelResolver(conversation.id).tags;
+
         item.innerHTML = `
             <div class="d-flex w-100 align-items-start gap-2">
                 <input type="checkbox" class="form-check-input conversation-checkbox mt-1 flex-shrink-0"
@@ -174,13 +486,15 @@ export class Sidebar {
                        onclick="event.stopPropagation()">
                 <div class="flex-grow-1" style="min-width: 0;">
                     <div class="d-flex w-100 justify-content-between align-items-start mb-1">
-                        <h6 class="mb-1 conversation-title text-truncate">${this.highlightMatches(conversation.title)}</h6>
+                        <h6 class="mb-1 conversation-title text-truncate">${this.highlightMatches(conversation.title, { title: true })}</h6>
                         ${formatBadge}
                     </div>
                     <div class="d-flex w-100 justify-content-between">
                         <small class="text-muted">${messageCount} messages</small>
                         <small class="text-muted">${dateStr}</small>
                     </div>
+                    ${tags.length > 0 ? `<div class="conversation-tags mt-1">${tags.map(tag => `<button type="button" class="badge conversation-tag" data-tag="${this.escapeHtml(tag)}" title="Show conversations tagged ${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</button>`).join('')}</div>` : ''}
+                    ${snippet ? `<div class="conversation-snippet small text-muted mt-1" title="Go to this message">${this.highlightMatches(snippet.text, { role: snippet.role })}</div>` : ''}
                 </div>
             </div>
         `;
@@ -203,24 +517,62 @@ export class Sidebar {
             this.notifySelectionChange();
         });
 
+        // Tag chips add a tag: filter to the search
+        item.querySelectorAll('.conversation-tag').forEach(chip => {
+            chip.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.addSearchFilter(`tag:${chip.dataset.tag}`);
+            });
+        });
+
+        // Dragging onto a folder moves the conversation, or the whole selection if it is part of it
+        item.addEventListener('dragstart', (e) => {
+            const ids = this.selectedIds.has(conversation.id) ? this.getSelectedIds() : [conversation.id];
+            e.dataTransfer.setData(CONVERSATION_DRAG_TYPE, JSON.stringify(ids));
+            e.dataTransfer.setData('text/plain', ids.length === 1 ? conversation.title : `${ids.length} conversations`);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        // Snippet handler: open the conversation at the matching message
+        const snippetElement = item.querySelector('.conversation-snippet');
+        if (snippetElement) {
+            snippetElement.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.openMessage(conversation.id, result.messageId);
+            });
+        }
+
         return item;
     }
 
+    /**
+     * Get the text around a search match in a message
+     * @param {Object} conversation - Conversation object
+     * @param {Object|null} result - Search result for the conversation
+     * @returns {{text: string, role: string}|null} - Plain text and the message role; null for title
+     *     matches or unloaded messages
+     */
+    getSnippet(conversation, result) {
+        if (!result || result.messageId === TITLE_DOC_ID || !conversation.messages) {
+            return null;
+        }
+        const message = conversation.messages.find(msg => msg.id === result.messageId);
+        if (!message) {
+            return null;
+        }
+
+        const locate = text => findMatchRanges(text, this.parsedQuery, { role: message.role })[0]?.[0] ?? -1;
+        return { text: buildSnippet(message.content, locate), role: message.role };
+    }
+
     /**
      * Select a conversation
      * @param {string} conversationId
      */
     selectConversation(conversationId) {
-        this.currentConversationId = conversationId;
-
-        // Update active state
-        this.container.querySelectorAll('.conversation-item').forEach(item => {
-            if (item.dataset.conversationId === conversationId) {
-                item.classList.add('active');
-            } else {
-                item.classList.remove('active');
-            }
-        });
+        this.setActiveItem(conversationId);
 
         // Call callback
         if (this.onSelectCallback) {
@@ -229,43 +581,41 @@ export class Sidebar {
     }
 
     /**
-     * Check if conversation matches search query
-     * @param {Object} conversation - Conversation object
-     * @returns {boolean}
+     * Open a conversation at a message
+     * @param {string} conversationId
+     * @param {string} messageId
      */
-    matchesSearch(conversation) {
-        const query = this.searchQuery.toLowerCase().trim();
+    openMessage(conversationId, messageId) {
+        this.setActiveItem(conversationId);
 
-        if (!query) {
-            return true;
-        }
-
-        // Split query into individual words for order-independent matching
-        const searchWords = query.split(/\s+/).filter(word => word.length > 0);
-
-        // Check if all search words are present in the title
-        const titleLower = conversation.title.toLowerCase();
-        const titleMatches = searchWords.every(word => titleLower.includes(word));
-
-        if (titleMatches) {
-            return true;
+        if (this.onOpenMessageCallback) {
+            this.onOpenMessageCallback(conversationId, messageId);
         }
+    }
 
-        // Search in message content - all words must be present
-        if (conversation.messages && conversation.messages.length > 0) {
-            return conversation.messages.some(message => {
-                const content = (message.content || '').toLowerCase();
-                return searchWords.every(word => content.includes(word));
-            });
-        }
+    /**
+     * Mark a conversation as the active one in the list
+     * @param {string} conversationId
+     */
+    setActiveItem(conversationId) {
+        this.currentConversationId = conversationId;
 
-        return false;
+        this.container.querySelectorAll('.conversation-item').forEach(item => {
+            if (item.dataset.conversationId === conversationId) {
+                item.classList.add('active');
+            } else {
+                item.classList.remove('active');
+            }
+        });
     }
 
+
     /**
      * Render empty state
      */
     renderEmpty() {
+        this.rows = [];
+        this.list.clear();
         this.container.innerHTML = `
             <div class="empty-state text-center p-4">
                 <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" fill="currentColor" class="bi bi-chat-left-text text-muted mb-3" viewBox="0 0 16 16">
@@ -273,7 +623,7 @@ export class Sidebar {
                     <path d="M3 3.5a.5.5 0 0 1 .5-.5h9a.5.5 0 0 1 0 1h-9a.5.5 0 0 1-.5-.5zM3 6a.5.5 0 0 1 .5-.5h9a.5.5 0 0 1 0 1h-9A.5.5 0 0 1 3 6zm0 2.5a.5.5 0 0 1 .5-.5h5a.5.5 0 0 1 0 1h-5a.5.5 0 0 1-.5-.5z"/>
                 </svg>
                 <p class="text-muted">No conversations loaded</p>
-                <p class="small">Drop a .json or .zip file to get started</p>
+                <p class="small">Drop a .json, .jsonl or .zip file to get started</p>
             </div>
         `;
     }
@@ -282,29 +632,35 @@ export class Sidebar {
      * Render no search results state
      */
     renderNoResults() {
+        this.rows = [];
+        this.list.clear();
         this.container.innerHTML = `
             <div class="empty-state text-center p-4">
                 <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" fill="currentColor" class="bi bi-search text-muted mb-3" viewBox="0 0 16 16">
                     <path d="M11.742 10.344a6.5 6.5 0 1 0-1.397 1.398h-.001c.03.04.062.078.098.115l3.85 3.85a1 1 0 0 0 1.415-1.414l-3.85-3.85a1.007 1.007 0 0 0-.115-.1zM12 6.5a5.5 5.5 0 1 1-11 0 5.5 5.5 0 0 1 11 0z"/>
                 </svg>
                 <p class="text-muted">No conversations found</p>
-                <p class="small">Try a different search term</p>
+                <p class="small">${this.getNoResultsHint()}</p>
             </div>
         `;
     }
 
     /**
-     * Get format badge HTML
-     * @param {string} format - 'openai' or 'claude'
+     * Suggest what to change when nothing is listed
      * @returns {string}
      */
-    getFormatBadge(format) {
-        const badges = {
-            'openai': '<span class="badge bg-success">OpenAI</span>',
-            'claude': '<span class="badge bg-primary">Claude</span>',
-            'zai': '<span class="badge bg-info">Z.ai</span>'
-        };
-        return badges[format] || '<span class="badge bg-secondary">Unknown</span>';
+    getNoResultsHint() {
+        if (!hasSearchTerms(this.parsedQuery) && !this.filterPanel.isActive() && this.folderScope) {
+            return 'Drag conversations onto the folder to add them';
+        }
+        const changes = ['a different search term'];
+        if (this.filterPanel.isActive()) {
+            changes.push('clear the filters');
+        }
+        if (this.folderScope) {
+            changes.push('choose another folder');
+        }
+        return `Try ${changes.slice(0, -1).join(', ')}${changes.length > 1 ? ' or ' : ''}${changes[changes.length - 1]}`;
     }
 
     /**
@@ -344,34 +700,19 @@ export class Sidebar {
     /**
      * Highlight search terms in text
      * @param {string} text - Text to highlight
+     * @param {Object} context - { title, role }, see findMatchRanges()
      * @returns {string} - HTML with highlighted terms
      */
-    highlightMatches(text) {
-        if (!this.searchQuery) {
-            return this.escapeHtml(text);
-        }
-
-        const searchWords = this.searchQuery.toLowerCase().trim().split(/\s+/).filter(word => word.length > 0);
-
-        // Escape the text first
-        let escapedText = this.escapeHtml(text);
-
-        // Highlight each search word
-        searchWords.forEach(word => {
-            // Create a case-insensitive regex that matches whole occurrences
-            const regex = new RegExp(`(${this.escapeRegex(word)})`, 'gi');
-            escapedText = escapedText.replace(regex, '<mark class="search-highlight">$1</mark>');
+    highlightMatches(text, context = {}) {
+        let html = '';
+        let position = 0;
+
+        findMatchRanges(text, this.parsedQuery, context).forEach(([start, end]) => {
+            html += this.escapeHtml(text.slice(position, start));
+            html += `<mark class="search-highlight">${this.escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
         });
 
-        return escapedText;
-    }
-
-    /**
-     * Escape special regex characters
-     * @param {string} str
-     * @returns {string}
-     */
-    escapeRegex(str) {
-        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return html + this.escapeHtml(text.slice(position));
     }
 }
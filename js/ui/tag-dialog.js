@@ -0,0 +1,156 @@
+/**
+ * Tag dialog
+ * Adds tags to the conversations selected in the sidebar, removes them, and
+ * moves the conversations to a folder. Changes apply right away.
+ */
+
+import { normalizeTags, flattenFolderTree } from '../utils/organization.js';
+import { escapeHtml } from './markdown.js';
+
+// Folder select value that leaves the conversations where they are
+const KEEP_FOLDER = '';
+// Folder select value for no folder
+const NO_FOLDER = 'unfiled';
+
+export class TagDialog {
+    constructor(modalElement) {
+        this.modalElement = modalElement;
+        this.modal = modalElement ? new bootstrap.Modal(modalElement) : null;
+        this.conversationIds = [];
+        this.organizationResolver = () => ({ folders: [], tags: new Map(), getLabel: () => ({ tags: [], folderId: null }) });
+        this.onAddTagsCallback = null;
+        this.onRemoveTagsCallback = null;
+        this.onMoveCallback = null;
+        if (!this.modalElement) {
+            return;
+        }
+
+        this.description = modalElement.querySelector('.tag-description');
+        this.currentTags = modalElement.querySelector('.tag-current');
+        this.tagInput = modalElement.querySelector('#tag-input');
+        this.suggestions = modalElement.querySelector('#tag-suggestions');
+        this.folderSelect = modalElement.querySelector('#tag-folder-select');
+
+        modalElement.querySelector('.tag-add-btn').addEventListener('click', () => this.addTags());
+        this.tagInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addTags();
+            }
+        });
+        this.currentTags.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-tag]');
+            if (button && this.onRemoveTagsCallback) {
+                this.onRemoveTagsCallback(this.conversationIds, [button.dataset.removeTag]);
+            }
+        });
+        this.folderSelect.addEventListener('change', () => {
+            const value = this.folderSelect.value;
+            if (value !== KEEP_FOLDER && this.onMoveCallback) {
+                this.onMoveCallback(this.conversationIds, value === NO_FOLDER ? null : value);
+            }
+        });
+    }
+
+    /**
+     * Set how the folders and tags are looked up
+     * @param {Function} resolver - () => { folders, tags: Map of every tag to its conversation count,
+     *     getLabel: (conversationId) => { tags, folderId } }
+     */
+    setOrganizationResolver(resolver) {
+        this.organizationResolver = resolver;
+    }
+
+    /**
+     * Register callback for adding tags
+     * @param {Function} callback - Called with the conversation IDs and the tags
+     */
+    onAddTags(callback) {
+        this.onAddTagsCallback = callback;
+    }
+
+    /**
+     * Register callback for removing tags
+     * @param {Function} callback - Called with the conversation IDs and the tags
+     */
+    onRemoveTags(callback) {
+        this.onRemoveTagsCallback = callback;
+    }
+
+    /**
+     * Register callback for moving the conversations to a folder
+     * @param {Function} callback - Called with the conversation IDs and the folder ID, or null for none
+     */
+    onMove(callback) {
+        this.onMoveCallback = callback;
+    }
+
+    /**
+     * Open the dialog for conversations
+     * @param {Array<string>} conversationIds
+     */
+    open(conversationIds) {
+        if (!this.modal || conversationIds.length === 0) {
+            return;
+        }
+
+        this.conversationIds = conversationIds;
+        this.description.textContent = conversationIds.length === 1
+            ? 'Tag 1 conversation'
+            : `Tag ${conversationIds.length} conversations`;
+        this.tagInput.value = '';
+        this.refresh();
+        this.modal.show();
+    }
+
+    /**
+     * Show the current tags and folder of the conversations
+     */
+    refresh() {
+        if (!this.modalElement || this.conversationIds.length === 0) {
+            return;
+        }
+
+        const { folders, tags, getLabel } = this.organizationResolver();
+        const labels = this.conversationIds.map(id => getLabel(id));
+
+        const used = new Map();
+        labels.forEach(label => label.tags.forEach(tag => used.set(tag, (used.get(tag) || 0) + 1)));
+        this.currentTags.innerHTML = used.size === 0
+            ? '<span class="small text-muted">No tags yet</span>'
+            : Array.from(used).sort((a, b) => a[0].localeCompare(b[0])).map(([tag, count]) => `
+                <span class="badge conversation-tag">
+                    ${escapeHtml(tag)}${labels.length > 1 ? ` <span class="tag-share">${count}/${labels.length}</span>` : ''}
+                    <button type="button" class="tag-remove" data-remove-tag="${escapeHtml(tag).replace(/"/g, '&quot;')}"
+                            title="Remove from ${labels.length === 1 ? 'this conversation' : 'these conversations'}">&times;</button>
+                </span>
+            `).join('');
+
+        this.suggestions.innerHTML = Array.from(tags.keys())
+            .filter(tag => used.get(tag) !== labels.length)
+            .map(tag => `<option value="${escapeHtml(tag).replace(/"/g, '&quot;')}"></option>`)
+            .join('');
+
+        const folderIds = new Set(labels.map(label => label.folderId || null));
+        const current = folderIds.size === 1 ? Array.from(folderIds)[0] : undefined;
+        this.folderSelect.innerHTML = `
+            ${current === undefined ? `<option value="${KEEP_FOLDER}">Keep their folders</option>` : ''}
+            <option value="${NO_FOLDER}">Unfiled</option>
+            ${flattenFolderTree(folders).map(({ folder, depth }) => `
+                <option value="${escapeHtml(folder.id)}">${'&nbsp;&nbsp;'.repeat(depth)}${escapeHtml(folder.name)}</option>
+            `).join('')}
+        `;
+        this.folderSelect.value = current === undefined ? KEEP_FOLDER : current || NO_FOLDER;
+    }
+
+    /**
+     * Add the tags typed in the input
+     */
+    addTags() {
+        const tags = normalizeTags(this.tagInput.value);
+        this.tagInput.value = '';
+        if (tags.length > 0 && this.onAddTagsCallback) {
+            this.onAddTagsCallback(this.conversationIds, tags);
+        }
+    }
+}
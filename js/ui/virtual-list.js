@@ -0,0 +1,372 @@
+/**
+ * Virtualized list
+ * Renders only the rows in and near the viewport of a scroll container. Rows are
+ * positioned absolutely inside a spacer as tall as the whole list; their heights
+ * start as estimates and are measured once rendered. The row holding keyboard
+ * focus stays rendered while it is scrolled away.
+ */
+
+// Rows rendered above and below the viewport
+const DEFAULT_OVERSCAN = 8;
+// Rounds of rendering and measuring per update, until the heights settle
+const MAX_MEASURE_PASSES = 3;
+
+export class VirtualList {
+    /**
+     * @param {HTMLElement} container - Scroll container
+     * @param {Object} options
+     * @param {Function} options.renderRow - (row, index) => HTMLElement
+     * @param {Function} options.estimateHeight - (row, index) => height in pixels before the row is measured
+     * @param {Function} options.getKey - (row) => unique key, used to keep measurements and focus across updates
+     * @param {string} [options.className] - Classes of the spacer element
+     * @param {number} [options.overscan] - Rows rendered beyond each edge of the viewport
+     */
+    constructor(container, { renderRow, estimateHeight, getKey, className = '', overscan = DEFAULT_OVERSCAN }) {
+        this.container = container;
+        this.renderRow = renderRow;
+        this.estimateHeight = estimateHeight;
+        this.getKey = getKey;
+        this.overscan = overscan;
+
+        this.rows = [];
+        this.keyIndex = new Map();
+        // Row key -> measured height
+        this.heights = new Map();
+        // Estimated height of each row, computed once per setRows()
+        this.estimates = [];
+        // Top of each row, followed by the height of the whole list
+        this.offsets = [0];
+        // Row key -> rendered element
+        this.rendered = new Map();
+        // Key of the row holding keyboard focus
+        this.focusKey = null;
+        this.frame = null;
+        this.width = container.clientWidth;
+
+        this.spacer = document.createElement('div');
+        this.spacer.className = `virtual-list ${className}`.trim();
+        this.container.classList.add('virtual-list-container');
+
+        this.container.addEventListener('scroll', () => this.scheduleUpdate(), { passive: true });
+        this.spacer.addEventListener('focusin', (e) => {
+            this.focusKey = e.target.closest('[data-row-key]')?.dataset.rowKey ?? null;
+        });
+        this.spacer.addEventListener('focusout', (e) => {
+            if (!this.spacer.contains(e.relatedTarget)) {
+                this.focusKey = null;
+            }
+        });
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.handleResize()).observe(this.container);
+            // Rows change height after they are measured, e.g. when images load
+            this.rowObserver = new ResizeObserver(() => this.scheduleUpdate());
+        } else {
+            this.rowObserver = null;
+        }
+    }
+
+    /**
+     * Replace the rows
+     * Heights measured for rows with the same key are kept, and so is keyboard focus.
+     * @param {Array} rows - Row data passed to renderRow
+     */
+    setRows(rows) {
+        const hadFocus = this.spacer.contains(document.activeElement);
+
+        this.rows = rows;
+        this.keyIndex = new Map(rows.map((row, index) => [String(this.getKey(row)), index]));
+        if (this.focusKey !== null && !this.keyIndex.has(this.focusKey)) {
+            this.focusKey = null;
+        }
+        this.heights.forEach((height, key) => {
+            if (!this.keyIndex.has(key)) {
+                this.heights.delete(key);
+            }
+        });
+        this.estimates = rows.map((row, index) => this.estimateHeight(row, index));
+
+        if (this.spacer.parentNode !== this.container) {
+            this.container.innerHTML = '';
+            this.container.appendChild(this.spacer);
+        }
+        this.rendered.forEach(element => this.removeElement(element));
+        this.rendered.clear();
+
+        this.computeOffsets();
+        this.update();
+
+        if (hadFocus && this.focusKey !== null) {
+            this.rendered.get(this.focusKey)?.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Detach the list, e.g. before the container shows an empty state
+     */
+    clear() {
+        this.rows = [];
+        this.estimates = [];
+        this.keyIndex.clear();
+        this.rendered.forEach(element => this.removeElement(element));
+        this.rendered.clear();
+        this.focusKey = null;
+        this.spacer.innerHTML = '';
+        this.spacer.remove();
+    }
+
+    /**
+     * Get the index of a row
+     * @param {string} key - Row key
+     * @returns {number} - -1 if there is no such row
+     */
+    indexOf(key) {
+        return this.keyIndex.get(String(key)) ?? -1;
+    }
+
+    /**
+     * Get the rendered element of a row
+     * @param {number} index - Row index
+     * @returns {HTMLElement|null} - null if the row is not rendered
+     */
+    getElement(index) {
+        const row = this.rows[index];
+        return row === undefined ? null : this.rendered.get(String(this.getKey(row))) || null;
+    }
+
+    /**
+     * Get the rendered rows
+     * @returns {Array<HTMLElement>}
+     */
+    getRenderedElements() {
+        return Array.from(this.rendered.values());
+    }
+
+    /**
+     * Get the first row at least partly in view
+     * @returns {number} - -1 if there are no rows
+     */
+    getFirstVisibleIndex() {
+        if (this.rows.length === 0) {
+            return -1;
+        }
+        return this.findRow(this.container.scrollTop - this.getSpacerTop());
+    }
+
+    /**
+     * Get the index of the row holding keyboard focus
+     * @returns {number} - -1 if no row has focus
+     */
+    getFocusedIndex() {
+        return this.focusKey === null ? -1 : this.indexOf(this.focusKey);
+    }
+
+    /**
+     * Scroll a row into view and render it
+     * @param {number} index - Row index
+     * @param {string} align - 'start', 'center', 'end' or 'nearest'
+     * @returns {HTMLElement|null} - The row's element
+     */
+    scrollToIndex(index, align = 'nearest') {
+        if (index < 0 || index >= this.rows.length) {
+            return null;
+        }
+
+        // Measuring the rows around the target moves it, so aim twice
+        for (let pass = 0; pass < 2; pass++) {
+            const top = this.getSpacerTop() + this.offsets[index];
+            const height = this.offsets[index + 1] - this.offsets[index];
+            const viewHeight = this.container.clientHeight;
+            const scrollTop = this.container.scrollTop;
+
+            let target = scrollTop;
+            if (align === 'start') {
+                target = top;
+            } else if (align === 'center') {
+                target = top - (viewHeight - height) / 2;
+            } else if (align === 'end') {
+                target = top + height - viewHeight;
+            } else if (top < scrollTop) {
+                target = top;
+            } else if (top + height > scrollTop + viewHeight) {
+                target = top + height - viewHeight;
+            }
+
+            this.container.scrollTop = Math.max(0, target);
+            this.update();
+        }
+        return this.getElement(index);
+    }
+
+    /**
+     * Scroll to the end of the list
+     */
+    scrollToEnd() {
+        this.scrollToIndex(this.rows.length - 1, 'end');
+    }
+
+    /**
+     * Measure the rendered rows again, e.g. after their content changed
+     */
+    remeasure() {
+        this.rendered.forEach((element, key) => this.heights.delete(key));
+        this.update();
+    }
+
+    /**
+     * Update on the next animation frame
+     */
+    scheduleUpdate() {
+        if (this.frame === null) {
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.update();
+            });
+        }
+    }
+
+    /**
+     * Forget the measured heights when the width changes, since text wraps differently
+     */
+    handleResize() {
+        const width = this.container.clientWidth;
+        if (width !== this.width) {
+            this.width = width;
+            this.heights.clear();
+            this.estimates = this.rows.map((row, index) => this.estimateHeight(row, index));
+            this.computeOffsets();
+        }
+        this.update();
+    }
+
+    /**
+     * Render the rows in view, measure them and remove the rest
+     */
+    update() {
+        if (this.rows.length === 0 || !this.spacer.isConnected) {
+            return;
+        }
+
+        for (let pass = 0; pass < MAX_MEASURE_PASSES; pass++) {
+            const [start, end] = this.getVisibleRange();
+            const wanted = new Set();
+            for (let index = start; index < end; index++) {
+                wanted.add(String(this.getKey(this.rows[index])));
+            }
+            if (this.focusKey !== null) {
+                wanted.add(this.focusKey);
+            }
+
+            this.rendered.forEach((element, key) => {
+                if (!wanted.has(key)) {
+                    this.removeElement(element);
+                    this.rendered.delete(key);
+                }
+            });
+
+            wanted.forEach(key => {
+                if (!this.rendered.has(key)) {
+                    const index = this.keyIndex.get(key);
+                    const element = this.renderRow(this.rows[index], index);
+                    element.classList.add('virtual-row');
+                    element.dataset.rowKey = key;
+                    this.spacer.appendChild(element);
+                    this.rendered.set(key, element);
+                    this.rowObserver?.observe(element);
+                }
+            });
+
+            // Keep the first visible row in place while rows above it change height
+            const anchor = this.findRow(this.container.scrollTop - this.getSpacerTop());
+            const anchorTop = this.offsets[anchor];
+
+            let changed = false;
+            this.rendered.forEach((element, key) => {
+                const height = element.offsetHeight;
+                if (height > 0 && this.heights.get(key) !== height) {
+                    this.heights.set(key, height);
+                    changed = true;
+                }
+            });
+
+            if (changed) {
+                this.computeOffsets();
+                const shift = this.offsets[anchor] - anchorTop;
+                if (shift !== 0 && this.container.scrollTop > 0) {
+                    this.container.scrollTop += shift;
+                }
+            }
+
+            this.rendered.forEach((element, key) => {
+                element.style.top = `${this.offsets[this.keyIndex.get(key)]}px`;
+            });
+
+            if (!changed) {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Get the rows to render
+     * @returns {Array<number>} - [start, end) row indices
+     */
+    getVisibleRange() {
+        const viewTop = this.container.scrollTop - this.getSpacerTop();
+        const viewBottom = viewTop + this.container.clientHeight;
+
+        const start = Math.max(0, this.findRow(viewTop) - this.overscan);
+        const end = Math.min(this.rows.length, this.findRow(viewBottom) + 1 + this.overscan);
+        return [start, end];
+    }
+
+    /**
+     * Find the row at a position in the list
+     * @param {number} position - Pixels from the top of the list
+     * @returns {number} - Row index
+     */
+    findRow(position) {
+        let low = 0;
+        let high = this.rows.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.offsets[middle] <= position) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Compute the top of every row and the height of the list
+     */
+    computeOffsets() {
+        const offsets = new Array(this.rows.length + 1);
+        offsets[0] = 0;
+        this.rows.forEach((row, index) => {
+            const height = this.heights.get(String(this.getKey(row))) ?? this.estimates[index];
+            offsets[index + 1] = offsets[index] + height;
+        });
+        this.offsets = offsets;
+        this.spacer.style.height = `${offsets[this.rows.length]}px`;
+    }
+
+    /**
+     * Remove a rendered row
+     * @param {HTMLElement} element
+     */
+    removeElement(element) {
+        this.rowObserver?.unobserve(element);
+        element.remove();
+    }
+
+    /**
+     * Get the distance from the top of the scrolled content to the list
+     * @returns {number}
+     */
+    getSpacerTop() {
+        return this.spacer.getBoundingClientRect().top - this.container.getBoundingClientRect().top + this.container.scrollTop;
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Sorting and grouping of the sidebar conversation list
+ * Has no DOM dependencies.
+ */
+
+import { getPlatformName } from '../format-registry.js';
+import { getMessageCount } from './facets.js';
+
+// Sort orders offered in the sidebar; dates and message counts put the largest first
+export const SORT_ORDERS = ['updated', 'created', 'title', 'messages', 'platform'];
+
+const titleCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Sort conversations
+ * Ties are broken by the last update, most recent first.
+ * @param {Array} conversations - Conversations or headers
+ * @param {string} sortBy - One of SORT_ORDERS
+ * @returns {Array} - A sorted copy
+ */
+export function sortConversations(conversations, sortBy) {
+    // Invalid dates sort last
+    const time = date => Number(date) || 0;
+    const byUpdated = (a, b) => time(b.updated) - time(a.updated);
+    const compare = {
+        updated: byUpdated,
+        created: (a, b) => time(b.created) - time(a.created) || byUpdated(a, b),
+        title: (a, b) => titleCollator.compare(a.title || '', b.title || '') || byUpdated(a, b),
+        messages: (a, b) => getMessageCount(b) - getMessageCount(a) || byUpdated(a, b),
+        platform: (a, b) => getPlatformName(a.format).localeCompare(getPlatformName(b.format)) ||
+            String(a.format).localeCompare(String(b.format)) || byUpdated(a, b)
+    }[sortBy] || byUpdated;
+
+    return [...conversations].sort(compare);
+}
+
+/**
+ * Split sorted conversations into the groups shown under headers
+ * Date orders are grouped like the chat apps do ("Today", "Previous 7 days",
+ * "March 2025"), the platform order by platform. Titles and message counts
+ * are not grouped.
+ * @param {Array} conversations - Conversations sorted with sortConversations()
+ * @param {string} sortBy - One of SORT_ORDERS
+ * @param {Date} now - Current time
+ * @returns {Array<{key: string, label: string, conversations: Array}>|null} - null if the order has no groups
+ */
+export function groupConversations(conversations, sortBy, now = new Date()) {
+    let getGroup;
+    if (sortBy === 'updated' || sortBy === 'created') {
+        getGroup = conv => getDateGroup(conv[sortBy], now);
+    } else if (sortBy === 'platform') {
+        getGroup = conv => ({ key: conv.format, label: getPlatformName(conv.format) });
+    } else {
+        return null;
+    }
+
+    const groups = [];
+    conversations.forEach(conv => {
+        const { key, label } = getGroup(conv);
+        const last = groups[groups.length - 1];
+        if (last && last.key === key) {
+            last.conversations.push(conv);
+        } else {
+            groups.push({ key, label, conversations: [conv] });
+        }
+    });
+    return groups;
+}
+
+/**
+ * Get the date group of a date, in local time
+ * @param {Date} date
+ * @param {Date} now - Current time
+ * @returns {{key: string, label: string}}
+ */
+function getDateGroup(date, now) {
+    if (!(date instanceof Date) || isNaN(date)) {
+        return { key: 'unknown', label: 'Unknown date' };
+    }
+
+    const daysAgo = days => new Date(now.getFullYear(), now.getMonth(), now.getDate() - days);
+    if (date >= daysAgo(0)) {
+        return { key: 'today', label: 'Today' };
+    }
+    if (date >= daysAgo(1)) {
+        return { key: 'yesterday', label: 'Yesterday' };
+    }
+    if (date >= daysAgo(7)) {
+        return { key: 'week', label: 'Previous 7 days' };
+    }
+    if (date >= daysAgo(30)) {
+        return { key: 'month', label: 'Previous 30 days' };
+    }
+    return {
+        key: `${date.getFullYear()}-${date.getMonth() + 1}`,
+        label: date.toLocaleDateString([], { month: 'long', year: 'numeric' })
+    };
+}
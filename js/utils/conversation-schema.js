@@ -0,0 +1,301 @@
+/**
+ * Schema validation and repair for normalized conversations
+ * Parsers produce conversations from untrusted exports; this stage checks them
+ * against the normalized shape, repairs what it can (missing dates, IDs, titles)
+ * and drops messages that can't be shown. Every change is reported so the
+ * import can list what happened.
+ */
+
+/**
+ * Field rules for normalized conversations and messages
+ * - type: 'string', 'date', 'object' or 'array'
+ * - required: the entry is dropped when the field is missing and can't be repaired
+ * - repair(value, context): returns a replacement value, or undefined if it can't
+ */
+export const CONVERSATION_SCHEMA = {
+    id: {
+        type: 'string',
+        required: true,
+        repair: (value, { conversation }) => isPresent(value) ? String(value) : generateId(conversation)
+    },
+    title: {
+        type: 'string',
+        repair: () => 'Untitled Conversation'
+    },
+    format: {
+        type: 'string',
+        required: true,
+        repair: (value, { format }) => format
+    },
+    messages: {
+        type: 'array',
+        required: true,
+        repair: () => []
+    },
+    summary: { type: 'string' },
+    currentId: { type: 'string' }
+};
+
+export const MESSAGE_SCHEMA = {
+    id: {
+        type: 'string',
+        required: true,
+        repair: (value, { conversation, index }) => isPresent(value) ? String(value) : `${conversation.id}-message-${index}`
+    },
+    role: {
+        type: 'string',
+        required: true
+    },
+    content: {
+        type: 'string',
+        repair: (value) => isPresent(value) ? String(value) : ''
+    },
+    parts: { type: 'array' },
+    metadata: {
+        type: 'object',
+        repair: () => ({})
+    }
+};
+
+/**
+ * Validate a normalized conversation, repairing it in place where possible
+ * @param {Object} conversation - Conversation produced by a parser
+ * @param {Object} context - Validation context
+ * @param {string} context.format - Detected format id
+ * @param {number} [context.index] - Position of the source record in the file
+ * @param {Date} [context.fileDate] - Modification date of the file, for conversations without dates
+ * @param {Function} context.report - Called with a diagnostic entry for every skip or repair
+ * @returns {Object|null} - The conversation, or null if it had to be skipped
+ */
+export function validateConversation(conversation, { format, index, fileDate, report }) {
+    if (!conversation || typeof conversation !== 'object') {
+        report({ action: 'skipped', index, reason: 'Parser returned no conversation' });
+        return null;
+    }
+
+    const describe = (entry) => ({
+        index,
+        conversationId: conversation.id !== undefined ? String(conversation.id) : undefined,
+        title: typeof conversation.title === 'string' ? conversation.title : undefined,
+        ...entry
+    });
+
+    if (!applySchema(conversation, CONVERSATION_SCHEMA, { conversation, format }, (entry) => report(describe(entry)))) {
+        return null;
+    }
+
+    validateMessages(conversation, (entry) => report(describe(entry)));
+    repairDates(conversation, fileDate, (entry) => report(describe(entry)));
+
+    return conversation;
+}
+
+/**
+ * Check an object against a schema, repairing or removing invalid fields
+ * @param {Object} target - Object to check
+ * @param {Object} schema - Field rules
+ * @param {Object} context - Passed to repair functions
+ * @param {Function} report - Diagnostic callback
+ * @returns {boolean} - false if a required field is invalid and couldn't be repaired
+ */
+function applySchema(target, schema, context, report) {
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = target[field];
+        if (matchesType(value, rule.type) && !(rule.required && value === '')) {
+            continue;
+        }
+
+        const missing = !isPresent(value);
+        if (missing && !rule.required && !rule.repair) {
+            continue;
+        }
+
+        const repaired = rule.repair ? rule.repair(value, context) : undefined;
+        if (repaired !== undefined && matchesType(repaired, rule.type) && !(rule.required && repaired === '')) {
+            target[field] = repaired;
+            report({ action: 'repaired', field, reason: `${missing ? 'Missing' : 'Invalid'} ${field}` });
+        } else if (rule.required) {
+            report({ action: 'skipped', field, reason: `${missing ? 'Missing' : 'Invalid'} ${field}` });
+            return false;
+        } else {
+            delete target[field];
+            report({ action: 'repaired', field, reason: `Removed invalid ${field}` });
+        }
+    }
+    return true;
+}
+
+/**
+ * Validate every message, dropping the ones that can't be shown
+ * Tree links are rewired around dropped messages so branches stay connected.
+ * @param {Object} conversation - Conversation being validated
+ * @param {Function} report - Diagnostic callback
+ */
+function validateMessages(conversation, report) {
+    const droppedParents = new Map();
+    const kept = [];
+
+    conversation.messages.forEach((message, index) => {
+        if (!message || typeof message !== 'object') {
+            report({ action: 'skipped', messageIndex: index, reason: 'Message is not an object' });
+            return;
+        }
+
+        const messageReport = (entry) => report({ messageId: message.id !== undefined ? String(message.id) : undefined, ...entry });
+        if (applySchema(message, MESSAGE_SCHEMA, { conversation, index }, messageReport)) {
+            kept.push(message);
+        } else if (message.id !== undefined) {
+            droppedParents.set(String(message.id), message.parentId);
+        }
+    });
+
+    if (kept.length === conversation.messages.length) {
+        return;
+    }
+    conversation.messages = kept;
+
+    if (!conversation.currentId) {
+        return;
+    }
+
+    // Re-link children of dropped messages to the nearest kept ancestor
+    const keptIds = new Set(kept.map(message => message.id));
+    const resolveParent = (id) => {
+        const seen = new Set();
+        while (id && droppedParents.has(id) && !seen.has(id)) {
+            seen.add(id);
+            id = droppedParents.get(id);
+        }
+        return keptIds.has(id) ? id : undefined;
+    };
+
+    const childrenByParent = new Map();
+    kept.forEach(message => {
+        message.parentId = resolveParent(message.parentId);
+        if (message.parentId) {
+            if (!childrenByParent.has(message.parentId)) {
+                childrenByParent.set(message.parentId, []);
+            }
+            childrenByParent.get(message.parentId).push(message.id);
+        }
+    });
+    kept.forEach(message => {
+        message.childrenIds = childrenByParent.get(message.id) || [];
+    });
+
+    if (!keptIds.has(conversation.currentId)) {
+        conversation.currentId = resolveParent(conversation.currentId) || kept[kept.length - 1]?.id;
+        report({ action: 'repaired', field: 'currentId', reason: 'Active branch ended at a skipped message' });
+    }
+}
+
+/**
+ * Fill in missing or invalid dates from the surrounding data
+ * Conversation dates come from the message timestamps, then from the file; message
+ * timestamps from the previous message or the conversation. Many exports (API logs,
+ * for one) have no dates at all, so filling them in isn't reported; only a conversation
+ * that ends up with the import time, which changes on every import, is.
+ * @param {Object} conversation - Conversation being validated
+ * @param {Date} [fileDate] - Modification date of the file the conversation came from
+ * @param {Function} report - Diagnostic callback
+ */
+function repairDates(conversation, fileDate, report) {
+    let earliest = Infinity;
+    let latest = -Infinity;
+    conversation.messages.forEach(message => {
+        if (isValidDate(message.timestamp)) {
+            earliest = Math.min(earliest, message.timestamp.getTime());
+            latest = Math.max(latest, message.timestamp.getTime());
+        }
+    });
+    const hasTimes = earliest !== Infinity;
+
+    if (!isValidDate(conversation.created)) {
+        // Never later than a valid update date
+        const updated = isValidDate(conversation.updated) ? conversation.updated.getTime() : Infinity;
+        const fallback = Math.min(hasTimes ? earliest : Infinity, updated);
+        if (fallback !== Infinity) {
+            conversation.created = new Date(fallback);
+        } else if (isValidDate(fileDate)) {
+            conversation.created = new Date(fileDate);
+        } else {
+            conversation.created = new Date();
+            report({ action: 'repaired', field: 'created', reason: 'No dates in the conversation or the file; using the import time' });
+        }
+    }
+
+    if (!isValidDate(conversation.updated)) {
+        conversation.updated = new Date(hasTimes ? Math.max(latest, conversation.created.getTime()) : conversation.created);
+    }
+
+    let previous = conversation.created;
+    conversation.messages.forEach(message => {
+        if (isValidDate(message.timestamp)) {
+            previous = message.timestamp;
+        } else {
+            message.timestamp = new Date(previous);
+        }
+    });
+}
+
+/**
+ * Check a value against a schema type
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'date':
+            return isValidDate(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return true;
+    }
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPresent(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+    return value instanceof Date && !isNaN(value.getTime());
+}
+
+/**
+ * Build a stable ID for a conversation that has none, so re-importing the same
+ * file doesn't create duplicates
+ * @param {Object} conversation
+ * @returns {string}
+ */
+function generateId(conversation) {
+    const messages = Array.isArray(conversation.messages) ? conversation.messages : [];
+    const seed = [conversation.title, ...messages.slice(0, 5).map(message => message?.content)].join('\u0000');
+    return `${conversation.format || 'conversation'}-${hashString(seed)}`;
+}
+
+/**
+ * Hash a string into a short, stable identifier (djb2)
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+}
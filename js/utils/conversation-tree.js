@@ -0,0 +1,95 @@
+/**
+ * Helpers for navigating branched conversation trees
+ * Messages link to each other through parentId/childrenIds; conversations
+ * without a currentId are treated as a single linear branch.
+ */
+
+const indexCache = new WeakMap();
+
+/**
+ * Get a map of message ID to message for a conversation
+ * @param {Object} conversation - Normalized conversation object
+ * @returns {Map<string, Object>}
+ */
+function getMessageIndex(conversation) {
+    let index = indexCache.get(conversation.messages);
+    if (!index) {
+        index = new Map(conversation.messages.map(msg => [msg.id, msg]));
+        indexCache.set(conversation.messages, index);
+    }
+    return index;
+}
+
+/**
+ * Check whether a conversation carries tree links
+ * @param {Object} conversation - Normalized conversation object
+ * @returns {boolean}
+ */
+export function isTree(conversation) {
+    return Boolean(conversation && conversation.currentId && conversation.messages);
+}
+
+/**
+ * Get the messages on the branch ending at the given leaf
+ * @param {Object} conversation - Normalized conversation object
+ * @param {string} leafId - Last message of the branch (defaults to currentId)
+ * @returns {Array} - Messages from root to leaf
+ */
+export function getActivePath(conversation, leafId = conversation.currentId) {
+    if (!isTree(conversation)) {
+        return conversation.messages || [];
+    }
+
+    const index = getMessageIndex(conversation);
+    let message = index.get(leafId) || index.get(conversation.currentId);
+    if (!message) {
+        return conversation.messages;
+    }
+
+    const path = [];
+    const visited = new Set();
+    while (message && !visited.has(message.id)) {
+        visited.add(message.id);
+        path.unshift(message);
+        message = message.parentId ? index.get(message.parentId) : null;
+    }
+    return path;
+}
+
+/**
+ * Follow the most recent children from a message down to a leaf
+ * @param {Object} conversation - Normalized conversation object
+ * @param {string} messageId - Message to start from
+ * @returns {string} - ID of the leaf message
+ */
+export function getBranchLeaf(conversation, messageId) {
+    const index = getMessageIndex(conversation);
+    let message = index.get(messageId);
+    const visited = new Set();
+
+    while (message && message.childrenIds?.length > 0 && !visited.has(message.id)) {
+        visited.add(message.id);
+        message = index.get(message.childrenIds[message.childrenIds.length - 1]);
+    }
+    return message ? message.id : messageId;
+}
+
+/**
+ * Get the IDs of a message and its siblings, in order
+ * @param {Object} conversation - Normalized conversation object
+ * @param {Object} message - Message object
+ * @returns {Array<string>}
+ */
+export function getSiblingIds(conversation, message) {
+    if (!isTree(conversation)) {
+        return [message.id];
+    }
+
+    if (message.parentId) {
+        const parent = getMessageIndex(conversation).get(message.parentId);
+        return parent?.childrenIds?.length ? parent.childrenIds : [message.id];
+    }
+
+    // Root messages are siblings of each other
+    return conversation.messages.filter(msg => !msg.parentId).map(msg => msg.id);
+}
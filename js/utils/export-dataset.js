@@ -0,0 +1,229 @@
+/**
+ * Dataset export for fine-tuning and evaluation
+ * Turns the active branch of each conversation into OpenAI fine-tuning JSONL,
+ * ShareGPT or Alpaca records, with options to filter and trim the messages and
+ * to split the conversations into train and validation sets.
+ */
+
+import { getActivePath } from './conversation-tree.js';
+import { hashString } from './conversation-schema.js';
+
+export const DATASET_FORMATS = {
+    'openai-jsonl': { name: 'OpenAI fine-tuning (JSONL)', extension: 'jsonl' },
+    sharegpt: { name: 'ShareGPT (JSON)', extension: 'json' },
+    alpaca: { name: 'Alpaca instruction pairs (JSON)', extension: 'json' }
+};
+
+// Roles OpenAI fine-tuning accepts without tool call IDs
+const OPENAI_ROLES = new Set(['system', 'user', 'assistant']);
+
+const SHAREGPT_ROLES = {
+    system: 'system',
+    user: 'human',
+    assistant: 'gpt',
+    tool: 'tool'
+};
+
+/**
+ * Default dataset options
+ * - roles: message roles to keep
+ * - dropSystem: leave out system messages
+ * - lastTurns: keep only the last N turns (a user message and its replies); 0 keeps all
+ * - platforms / models: keep only conversations from these formats / using these models; null keeps all
+ * - validationPercent: share of conversations put in the validation set
+ */
+export const DEFAULT_DATASET_OPTIONS = {
+    roles: ['system', 'user', 'assistant'],
+    dropSystem: false,
+    lastTurns: 0,
+    platforms: null,
+    models: null,
+    validationPercent: 0
+};
+
+/**
+ * Get the models used in a conversation
+ * @param {Object} conversation - Normalized conversation object
+ * @returns {Array<string>} - Model names; empty if none are recorded
+ */
+export function getConversationModels(conversation) {
+    return Array.from(new Set(conversation.messages.map(message => message.metadata?.model).filter(Boolean)));
+}
+
+/**
+ * Keep the conversations that match the platform and model filters
+ * Conversations without model information match the empty model name ('').
+ * @param {Array} conversations - Normalized conversations
+ * @param {Object} options - Dataset options
+ * @returns {Array}
+ */
+export function filterConversations(conversations, { platforms = null, models = null } = {}) {
+    return conversations.filter(conversation => {
+        if (platforms && !platforms.includes(conversation.format)) {
+            return false;
+        }
+        if (models) {
+            const used = getConversationModels(conversation);
+            return used.length === 0 ? models.includes('') : used.some(model => models.includes(model));
+        }
+        return true;
+    });
+}
+
+/**
+ * Get the messages of a conversation that go into the dataset
+ * @param {Object} conversation - Normalized conversation object
+ * @param {Object} options - Dataset options
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function getDatasetMessages(conversation, { roles = DEFAULT_DATASET_OPTIONS.roles, dropSystem = false, lastTurns = 0 } = {}) {
+    let messages = getActivePath(conversation).filter(message => message.content?.trim());
+
+    if (lastTurns > 0) {
+        const turnStarts = [];
+        messages.forEach((message, index) => {
+            if (message.role === 'user') {
+                turnStarts.push(index);
+            }
+        });
+        if (turnStarts.length > lastTurns) {
+            // Keep the leading system prompt with the trimmed turns
+            const start = turnStarts[turnStarts.length - lastTurns];
+            const leadingSystem = messages.slice(0, turnStarts[0]).filter(message => message.role === 'system');
+            messages = [...leadingSystem, ...messages.slice(start)];
+        }
+    }
+
+    return messages
+        .filter(message => roles.includes(message.role) && !(dropSystem && message.role === 'system'))
+        .map(message => ({ role: message.role, content: message.content.trim() }));
+}
+
+/**
+ * Convert conversations to dataset records
+ * Conversations left without an assistant reply are skipped.
+ * @param {Array} conversations - Normalized conversations
+ * @param {string} format - Key of DATASET_FORMATS
+ * @param {Object} options - Dataset options
+ * @returns {Array} - Records
+ */
+export function buildDatasetRecords(conversations, format, options = {}) {
+    const records = [];
+
+    conversations.forEach(conversation => {
+        const messages = getDatasetMessages(conversation, options);
+        if (!messages.some(message => message.role === 'assistant')) {
+            return;
+        }
+
+        switch (format) {
+            case 'openai-jsonl': {
+                const kept = messages.filter(message => OPENAI_ROLES.has(message.role));
+                records.push({ messages: kept });
+                break;
+            }
+            case 'sharegpt':
+                records.push({
+                    id: conversation.id,
+                    conversations: messages.map(message => ({ from: SHAREGPT_ROLES[message.role] || message.role, value: message.content }))
+                });
+                break;
+            case 'alpaca':
+                records.push(...toAlpacaPairs(messages));
+                break;
+            default:
+                throw new Error(`Unknown dataset format: ${format}`);
+        }
+    });
+
+    return records;
+}
+
+/**
+ * Serialize dataset records
+ * @param {Array} records - Records from buildDatasetRecords
+ * @param {string} format - Key of DATASET_FORMATS
+ * @returns {string}
+ */
+export function serializeDataset(records, format) {
+    if (DATASET_FORMATS[format]?.extension === 'jsonl') {
+        return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+    }
+    return JSON.stringify(records, null, 2);
+}
+
+/**
+ * Split conversations into train and validation sets
+ * The split depends only on the conversation IDs, so exporting the same
+ * selection again gives the same sets.
+ * @param {Array} conversations - Normalized conversations
+ * @param {number} validationPercent - Share of conversations for validation (0-100)
+ * @returns {{train: Array, validation: Array}}
+ */
+export function splitConversations(conversations, validationPercent) {
+    if (!validationPercent || conversations.length < 2) {
+        return { train: conversations, validation: [] };
+    }
+
+    const ranked = conversations
+        .map(conversation => ({ conversation, rank: parseInt(hashString(String(conversation.id)), 36) }))
+        .sort((a, b) => a.rank - b.rank);
+    const size = Math.min(conversations.length - 1, Math.max(1, Math.round(conversations.length * validationPercent / 100)));
+    const validationIds = new Set(ranked.slice(0, size).map(entry => entry.conversation.id));
+
+    return {
+        train: conversations.filter(conversation => !validationIds.has(conversation.id)),
+        validation: conversations.filter(conversation => validationIds.has(conversation.id))
+    };
+}
+
+/**
+ * Build the dataset files for a set of conversations
+ * @param {Array} conversations - Normalized conversations
+ * @param {string} format - Key of DATASET_FORMATS
+ * @param {Object} options - Dataset options
+ * @returns {{files: Array<{name: string, content: string, count: number}>, conversations: number}} - One
+ *     file, or a train and a validation file when splitting; the number of conversations used
+ */
+export function buildDataset(conversations, format, options = {}) {
+    const extension = DATASET_FORMATS[format].extension;
+    const selected = filterConversations(conversations, options);
+    const { train, validation } = splitConversations(selected, options.validationPercent);
+
+    const buildFile = (name, set) => {
+        const records = buildDatasetRecords(set, format, options);
+        return { name: `${name}.${extension}`, content: serializeDataset(records, format), count: records.length };
+    };
+
+    const files = validation.length > 0
+        ? [buildFile('train', train), buildFile('validation', validation)]
+        : [buildFile('dataset', train)];
+
+    return { files, conversations: selected.length };
+}
+
+/**
+ * Turn messages into Alpaca instruction/output pairs
+ * Each user message is paired with the assistant replies that follow it; the
+ * system prompt, if kept, is added to every pair.
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {Array<{instruction: string, input: string, output: string, system?: string}>}
+ */
+function toAlpacaPairs(messages) {
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const pairs = [];
+    let current = null;
+
+    messages.forEach(message => {
+        if (message.role === 'user') {
+            current = { instruction: message.content, input: '', output: '' };
+            pairs.push(current);
+        } else if (message.role === 'assistant' && current) {
+            current.output = current.output ? `${current.output}\n\n${message.content}` : message.content;
+        }
+    });
+
+    return pairs
+        .filter(pair => pair.output)
+        .map(pair => system ? { ...pair, system } : pair);
+}
@@ -0,0 +1,159 @@
+/**
+ * Standalone HTML export
+ * Renders a conversation with ChatView and wraps it in a single HTML file with
+ * the page's stylesheets and the conversation's images inlined, so it opens in
+ * any browser without network access. The print styles in css/styles.css come
+ * along, so printing the file gives clean pages.
+ */
+
+import { ChatView } from '../ui/chat-view.js';
+import { escapeHtml } from '../ui/markdown.js';
+import { getFormatBadge } from '../format-registry.js';
+
+// Blocks every request from the exported file; styles and images are inlined
+const CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; img-src data:";
+
+// Stylesheets of the page, fetched once
+let stylesPromise = null;
+
+/**
+ * Convert a conversation to a standalone HTML document
+ * @param {Object} conversation - Normalized conversation object
+ * @param {Object} options - Export options
+ * @param {Function} [options.resolveAsset] - Looks up images and files by asset ID, resolves to { url, type, name }
+ * @returns {Promise<string>} - HTML document
+ */
+export async function conversationToHtml(conversation, { resolveAsset } = {}) {
+    const pending = [];
+    const view = new ChatView(null);
+    view.setAssetResolver(id => {
+        const promise = resolveAsset ? resolveAsset(id).then(inlineAsset) : Promise.resolve(null);
+        pending.push(promise);
+        return promise;
+    });
+
+    const messagesElement = view.renderStatic(conversation);
+    await Promise.allSettled(pending);
+    // Let the asset elements swap in their resolved content
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await inlineImages(messagesElement);
+
+    const styles = await collectStyles();
+    const count = messagesElement.querySelectorAll('.message-wrapper').length;
+    const title = escapeHtml(conversation.title);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="Content-Security-Policy" content="${CONTENT_SECURITY_POLICY}">
+    <title>${title}</title>
+    <style>
+${styles}
+    </style>
+</head>
+<body class="conversation-export">
+    <main class="container py-4">
+        <header class="conversation-export-header mb-4 pb-3 border-bottom">
+            <h1 class="h3">${title}</h1>
+            <div class="text-muted small">
+                ${getFormatBadge(conversation.format)} • ${escapeHtml(formatDateRange(conversation))} • ${count} messages
+            </div>
+        </header>
+        ${messagesElement.outerHTML}
+        <footer class="conversation-export-footer text-muted small mt-4">Exported ${escapeHtml(new Date().toLocaleString())}</footer>
+    </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Replace an asset's object URL with a data URL
+ * @param {Object|null} asset - Resolved asset { url, type, name }
+ * @returns {Promise<Object|null>}
+ */
+async function inlineAsset(asset) {
+    if (!asset) {
+        return null;
+    }
+    const blob = await (await fetch(asset.url)).blob();
+    return { ...asset, url: await blobToDataUrl(blob) };
+}
+
+/**
+ * Inline images that still point at a URL, such as images linked from API logs
+ * Images that can't be fetched become links, so the file makes no requests
+ * @param {HTMLElement} element - Rendered messages
+ */
+async function inlineImages(element) {
+    const images = Array.from(element.querySelectorAll('img')).filter(image => !image.src.startsWith('data:'));
+
+    await Promise.all(images.map(async image => {
+        try {
+            const response = await fetch(image.src);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            image.src = await blobToDataUrl(await response.blob());
+        } catch {
+            const link = document.createElement('a');
+            link.href = image.src;
+            link.textContent = image.alt || image.src;
+            image.replaceWith(link);
+        }
+    }));
+}
+
+/**
+ * Fetch the text of the page's stylesheets
+ * Source map comments are removed so opening developer tools makes no requests either.
+ * @returns {Promise<string>}
+ */
+function collectStyles() {
+    if (!stylesPromise) {
+        const links = Array.from(document.querySelectorAll('link[rel="stylesheet"]'));
+        stylesPromise = Promise.all(links.map(async link => {
+            const response = await fetch(link.href);
+            if (!response.ok) {
+                throw new Error(`Could not load ${link.href}: HTTP ${response.status}`);
+            }
+            return response.text();
+        })).then(sheets => sheets
+            .join('\n')
+            .replace(/\/\*# sourceMappingURL=[^*]*\*\//g, '')
+            .replace(/<\/style/gi, '<\\/style')
+        ).catch(error => {
+            // Try again on the next export
+            stylesPromise = null;
+            throw error;
+        });
+    }
+    return stylesPromise;
+}
+
+/**
+ * Read a blob as a data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Describe when a conversation took place
+ * @param {Object} conversation - Normalized conversation object
+ * @returns {string}
+ */
+function formatDateRange(conversation) {
+    const created = conversation.created.toLocaleString();
+    const updated = conversation.updated.toLocaleString();
+    return created === updated ? created : `${created} – ${updated}`;
+}
@@ -0,0 +1,95 @@
+/**
+ * Markdown export for conversations
+ * Writes the active branch of a conversation as a Markdown document with YAML
+ * front matter, ready to paste into docs and wikis.
+ */
+
+import { getPlatformName } from '../format-registry.js';
+import { getActivePath } from './conversation-tree.js';
+import { getMessageText } from './message-text.js';
+
+const ROLE_HEADINGS = {
+    user: 'User',
+    assistant: 'Assistant',
+    system: 'System',
+    tool: 'Tool'
+};
+
+/**
+ * Convert a conversation to Markdown
+ * @param {Object} conversation - Normalized conversation object
+ * @param {Object} options - Export options
+ * @param {boolean} [options.timestamps] - Add the time of each message under its heading
+ * @returns {string} - Markdown document
+ */
+export function conversationToMarkdown(conversation, { timestamps = false } = {}) {
+    const messages = getActivePath(conversation).filter(message => getMessageText(message).trim());
+    const models = Array.from(new Set(messages.map(message => message.metadata?.model).filter(Boolean)));
+
+    const frontMatter = [
+        '---',
+        `title: ${yamlString(conversation.title)}`,
+        `platform: ${yamlString(getPlatformName(conversation.format))}`
+    ];
+    if (models.length === 1) {
+        frontMatter.push(`model: ${yamlString(models[0])}`);
+    } else if (models.length > 1) {
+        frontMatter.push('model:', ...models.map(model => `  - ${yamlString(model)}`));
+    }
+    frontMatter.push(
+        `created: ${conversation.created.toISOString()}`,
+        `updated: ${conversation.updated.toISOString()}`,
+        '---'
+    );
+
+    const body = messagesToMarkdown(messages, { timestamps });
+    return [frontMatter.join('\n'), `# ${conversation.title}`, body].filter(Boolean).join('\n\n') + '\n';
+}
+
+/**
+ * Convert messages to Markdown sections, one `## Role` heading per message
+ * Messages with typed parts are written from them, keeping code, artifacts and tool calls
+ * in fenced blocks. Used on its own for copying selected messages to the clipboard.
+ * @param {Array} messages - Messages in order
+ * @param {Object} options - Export options
+ * @param {boolean} [options.timestamps] - Add the time of each message under its heading
+ * @returns {string}
+ */
+export function messagesToMarkdown(messages, { timestamps = false } = {}) {
+    return messages
+        .map(message => ({ message, text: getMessageText(message).trim() }))
+        .filter(({ text }) => text)
+        .map(({ message, text }) => {
+            const heading = `## ${ROLE_HEADINGS[message.role] || capitalize(message.role)}`;
+            const time = timestamps ? `\n\n_${formatTimestamp(message.timestamp)}_` : '';
+            return `${heading}${time}\n\n${text}`;
+        })
+        .join('\n\n');
+}
+
+/**
+ * Quote a value as a YAML double-quoted string
+ * JSON string syntax is valid YAML, so titles with colons or quotes stay intact
+ * @param {string} value
+ * @returns {string}
+ */
+function yamlString(value) {
+    return JSON.stringify(String(value ?? ''));
+}
+
+/**
+ * Format a message time as "2024-01-15 10:30 UTC"
+ * @param {Date} timestamp
+ * @returns {string}
+ */
+function formatTimestamp(timestamp) {
+    return `${timestamp.toISOString().replace('T', ' ').substring(0, 16)} UTC`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function capitalize(text) {
+    return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+}
@@ -1,43 +1,159 @@
 /**
  * Export utility for conversations
- * Handles exporting conversations in the normalized format
+ * Handles exporting conversations in the normalized JSON format, as Markdown, as standalone HTML
+ * and as fine-tuning datasets
  */
 
+import { conversationToMarkdown } from './export-markdown.js';
+import { conversationToHtml } from './export-html.js';
+import { buildDataset, DATASET_FORMATS } from './export-dataset.js';
+
 /**
  * Prepare conversation data for export
  * Converts Date objects to ISO strings for JSON serialization
  * @param {Object|Array} conversations - Single conversation or array of conversations
+ * @param {Function|null} resolveLabels - (conversationId) => { tags, folder }, the user's tags and folder path
  * @returns {Array} - Array of conversations ready for JSON export
  */
-function prepareForExport(conversations) {
+function prepareForExport(conversations, resolveLabels) {
     const convArray = Array.isArray(conversations) ? conversations : [conversations];
 
-    return convArray.map(conv => ({
-        id: conv.id,
-        title: conv.title,
-        created: conv.created.toISOString(),
-        updated: conv.updated.toISOString(),
-        format: conv.format,
-        summary: conv.summary,
-        messages: conv.messages.map(msg => ({
-            id: msg.id,
-            role: msg.role,
-            content: msg.content,
-            timestamp: msg.timestamp.toISOString(),
-            metadata: msg.metadata
-        }))
-    }));
+    return convArray.map(conv => {
+        const labels = resolveLabels ? resolveLabels(conv.id) : { tags: [], folder: [] };
+        return {
+            id: conv.id,
+            title: conv.title,
+            created: conv.created.toISOString(),
+            updated: conv.updated.toISOString(),
+            format: conv.format,
+            summary: conv.summary,
+            currentId: conv.currentId,
+            derivedFrom: conv.derivedFrom,
+            // Left out when empty
+            tags: labels.tags.length > 0 ? labels.tags : undefined,
+            folder: labels.folder.length > 0 ? labels.folder : undefined,
+            messages: conv.messages.map(msg => ({
+                id: msg.id,
+                role: msg.role,
+                content: msg.content,
+                parts: msg.parts,
+                timestamp: msg.timestamp.toISOString(),
+                metadata: msg.metadata,
+                parentId: msg.parentId,
+                childrenIds: msg.childrenIds
+            }))
+        };
+    });
 }
 
 /**
  * Export conversations as JSON file
  * @param {Object|Array} conversations - Single conversation or array of conversations
  * @param {string} filename - Optional filename (defaults to conversations.json)
+ * @param {Function|null} resolveLabels - (conversationId) => { tags, folder }, to include the user's
+ *     tags and folder path
  */
-export function exportConversations(conversations, filename = 'conversations.json') {
-    const data = prepareForExport(conversations);
+export function exportConversations(conversations, filename = 'conversations.json', resolveLabels = null) {
+    const data = prepareForExport(conversations, resolveLabels);
     const json = JSON.stringify(data, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
+    downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+}
+
+/**
+ * Export conversations as Markdown
+ * A single conversation downloads as a .md file; several are bundled in a ZIP
+ * with one .md file per conversation.
+ * @param {Object|Array} conversations - Single conversation or array of conversations
+ * @param {Object} options - Markdown options, see conversationToMarkdown
+ * @returns {Promise<void>}
+ */
+export async function exportMarkdown(conversations, options = {}) {
+    await exportDocuments(conversations, 'md', 'text/markdown', conv => conversationToMarkdown(conv, options));
+}
+
+/**
+ * Export conversations as standalone HTML files
+ * Styles and images are inlined, so the files open without network access.
+ * Several conversations are bundled in a ZIP with one .html file per conversation.
+ * @param {Object|Array} conversations - Single conversation or array of conversations
+ * @param {Object} options - HTML options, see conversationToHtml
+ * @returns {Promise<void>}
+ */
+export async function exportHtml(conversations, options = {}) {
+    await exportDocuments(conversations, 'html', 'text/html', conv => conversationToHtml(conv, options));
+}
+
+/**
+ * Export conversations as a fine-tuning dataset
+ * Downloads one file, or a ZIP with train and validation files when
+ * options.validationPercent is set.
+ * @param {Object|Array} conversations - Single conversation or array of conversations
+ * @param {string} format - 'openai-jsonl', 'sharegpt' or 'alpaca'
+ * @param {Object} options - Dataset options, see DEFAULT_DATASET_OPTIONS
+ * @returns {Promise<{records: number, conversations: number}>} - Records written and conversations used
+ */
+export async function exportDataset(conversations, format, options = {}) {
+    const convArray = Array.isArray(conversations) ? conversations : [conversations];
+    const extension = DATASET_FORMATS[format].extension;
+    const type = extension === 'jsonl' ? 'application/jsonl' : 'application/json';
+
+    const { files, conversations: used } = buildDataset(convArray, format, options);
+    const records = files.reduce((total, file) => total + file.count, 0);
+    if (records === 0) {
+        throw new Error('No messages match the dataset options');
+    }
+
+    if (files.length === 1) {
+        downloadBlob(new Blob([files[0].content], { type }), generateFilename(convArray, extension));
+    } else {
+        const zip = new JSZip();
+        files.forEach(file => zip.file(file.name, file.content));
+        const blob = await zip.generateAsync({ type: 'blob' });
+        downloadBlob(blob, generateFilename(convArray, 'zip'));
+    }
+
+    return { records, conversations: used };
+}
+
+/**
+ * Download one document per conversation, zipping them when there are several
+ * @param {Object|Array} conversations - Single conversation or array of conversations
+ * @param {string} extension - File extension without the dot
+ * @param {string} type - MIME type of a single document
+ * @param {Function} render - (conversation) => document text, or a promise of it
+ * @returns {Promise<void>}
+ */
+async function exportDocuments(conversations, extension, type, render) {
+    const convArray = Array.isArray(conversations) ? conversations : [conversations];
+
+    if (convArray.length === 1) {
+        const text = await render(convArray[0]);
+        downloadBlob(new Blob([text], { type }), generateFilename(convArray, extension));
+        return;
+    }
+
+    const zip = new JSZip();
+    const usedNames = new Set();
+    for (const conv of convArray) {
+        const base = sanitizeTitle(conv.title) || 'conversation';
+        let name = `${base}.${extension}`;
+        for (let i = 2; usedNames.has(name); i++) {
+            name = `${base}-${i}.${extension}`;
+        }
+        usedNames.add(name);
+        zip.file(name, await render(conv), { date: conv.updated });
+    }
+
+    const blob = await zip.generateAsync({ type: 'blob' });
+    downloadBlob(blob, generateFilename(convArray, 'zip'));
+}
+
+/**
+ * Trigger a browser download of a blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Download file name
+ */
+function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
@@ -51,23 +167,32 @@ export function exportConversations(conversations, filename = 'conversations.jso
 /**
  * Generate a filename based on conversation(s) metadata
  * @param {Object|Array} conversations - Single conversation or array of conversations
+ * @param {string} extension - File extension without the dot (defaults to json)
  * @returns {string} - Generated filename
  */
-export function generateFilename(conversations) {
+export function generateFilename(conversations, extension = 'json') {
     const convArray = Array.isArray(conversations) ? conversations : [conversations];
 
     if (convArray.length === 1) {
         // Single conversation: use title (sanitized)
-        const sanitized = convArray[0].title
-            .replace(/[^a-z0-9]/gi, '-')
-            .replace(/-+/g, '-')
-            .replace(/^-|-$/g, '')
-            .toLowerCase()
-            .substring(0, 50);
-        return `${sanitized}.json`;
+        return `${sanitizeTitle(convArray[0].title) || 'conversation'}.${extension}`;
     } else {
         // Multiple conversations: use timestamp
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
-        return `conversations-${timestamp}.json`;
+        return `conversations-${timestamp}.${extension}`;
     }
 }
+
+/**
+ * Turn a conversation title into a file name
+ * @param {string} title - Conversation title
+ * @returns {string} - Lowercase name of letters, digits and dashes, at most 50 characters
+ */
+function sanitizeTitle(title) {
+    return String(title || '')
+        .replace(/[^a-z0-9]/gi, '-')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '')
+        .toLowerCase()
+        .substring(0, 50);
+}
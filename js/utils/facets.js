@@ -0,0 +1,227 @@
+/**
+ * Sidebar facets
+ * Narrow the conversation list by platform, model, created and updated dates,
+ * message count and code blocks, and count how many conversations each facet
+ * value leaves. Has no DOM dependencies.
+ */
+
+import { getActivePath } from './conversation-tree.js';
+
+// Fenced code block in markdown content
+const CODE_FENCE_PATTERN = /^\s*(```|~~~)/m;
+
+/**
+ * Create filters that let every conversation through
+ * Dates are local days ('2025-01-31') and both ends of a range are included.
+ * @returns {Object}
+ */
+export function createFacetFilters() {
+    return {
+        platforms: [],
+        models: [],
+        createdFrom: '',
+        createdTo: '',
+        updatedFrom: '',
+        updatedTo: '',
+        minMessages: null,
+        maxMessages: null,
+        hasCode: false
+    };
+}
+
+/**
+ * Read filters that were stored by an earlier session
+ * Unknown keys and values of the wrong type are dropped.
+ * @param {Object|null} stored - Stored filters
+ * @returns {Object}
+ */
+export function normalizeFacetFilters(stored) {
+    const filters = createFacetFilters();
+    if (!stored || typeof stored !== 'object') {
+        return filters;
+    }
+
+    Object.keys(filters).forEach(key => {
+        const value = stored[key];
+        if (Array.isArray(filters[key])) {
+            filters[key] = Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+        } else if (typeof filters[key] === 'string') {
+            filters[key] = /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : '';
+        } else if (typeof filters[key] === 'boolean') {
+            filters[key] = value === true;
+        } else {
+            filters[key] = Number.isInteger(value) && value >= 0 ? value : null;
+        }
+    });
+    return filters;
+}
+
+/**
+ * Count the facets that are in use
+ * @param {Object} filters - Facet filters
+ * @returns {number}
+ */
+export function countActiveFacets(filters) {
+    return [
+        filters.platforms.length > 0,
+        filters.models.length > 0,
+        filters.createdFrom || filters.createdTo,
+        filters.updatedFrom || filters.updatedTo,
+        filters.minMessages !== null || filters.maxMessages !== null,
+        filters.hasCode
+    ].filter(Boolean).length;
+}
+
+/**
+ * Check whether messages contain code
+ * @param {Array} messages - Normalized messages
+ * @returns {boolean} - Whether any message has a fenced code block or a code part
+ */
+export function containsCode(messages) {
+    return (messages || []).some(message =>
+        CODE_FENCE_PATTERN.test(message.content || '') ||
+        (message.parts || []).some(part => part.type === 'code'));
+}
+
+/**
+ * Get the facet values that need a conversation's messages
+ * @param {Object} conversation - Normalized conversation with its messages
+ * @returns {{models: Array<string>, hasCode: boolean}}
+ */
+export function getFacetInfo(conversation) {
+    const messages = conversation.messages || [];
+    return {
+        models: Array.from(new Set(messages.map(message => message.metadata?.model).filter(Boolean))),
+        hasCode: containsCode(messages)
+    };
+}
+
+/**
+ * Get the number of messages listed for a conversation
+ * @param {Object} conversation - Conversation, or a header loaded from storage
+ * @returns {number} - Messages on the active branch
+ */
+export function getMessageCount(conversation) {
+    return conversation.messages ? getActivePath(conversation).length : conversation.messageCount || 0;
+}
+
+/**
+ * Check whether a conversation passes the facet filters
+ * Values within a facet are alternatives; the facets must all match.
+ * @param {Object} conversation - Conversation or header
+ * @param {Object} filters - Facet filters
+ * @param {Object|null} info - Models and code blocks from getFacetInfo(), or null if unknown;
+ *     unknown conversations don't pass model and code filters
+ * @param {string} [ignore] - Facet to leave out ('platforms', 'models', 'created', 'updated',
+ *     'messages' or 'hasCode'), for counting that facet's values
+ * @returns {boolean}
+ */
+export function matchesFacets(conversation, filters, info, ignore = null) {
+    if (ignore !== 'platforms' && filters.platforms.length > 0 &&
+        !filters.platforms.includes(conversation.format)) {
+        return false;
+    }
+    if (ignore !== 'models' && filters.models.length > 0 &&
+        !(info && info.models.some(model => filters.models.includes(model)))) {
+        return false;
+    }
+    if (ignore !== 'created' && !inDayRange(conversation.created, filters.createdFrom, filters.createdTo)) {
+        return false;
+    }
+    if (ignore !== 'updated' && !inDayRange(conversation.updated, filters.updatedFrom, filters.updatedTo)) {
+        return false;
+    }
+    if (ignore !== 'messages' && (filters.minMessages !== null || filters.maxMessages !== null)) {
+        const count = getMessageCount(conversation);
+        if ((filters.minMessages !== null && count < filters.minMessages) ||
+            (filters.maxMessages !== null && count > filters.maxMessages)) {
+            return false;
+        }
+    }
+    if (ignore !== 'hasCode' && filters.hasCode && !info?.hasCode) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Count the conversations behind each facet value
+ * A value's count is how many conversations would be listed with it chosen,
+ * given the other facets. Ranges report the days and message counts found
+ * among the conversations the other facets leave.
+ * @param {Array} conversations - Conversations to count, e.g. the search results
+ * @param {Object} filters - Facet filters
+ * @param {Function} resolveInfo - (conversation) => getFacetInfo() result or null if unknown
+ * @returns {{total: number, platforms: Map<string, number>, models: Map<string, number>, hasCode: number,
+ *     created: Array<string>|null, updated: Array<string>|null, messages: Array<number>|null}}
+ */
+export function countFacets(conversations, filters, resolveInfo) {
+    const counts = {
+        total: 0,
+        platforms: new Map(),
+        models: new Map(),
+        hasCode: 0,
+        created: null,
+        updated: null,
+        messages: null
+    };
+    const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    const extend = (range, value) => range ? [range[0] < value ? range[0] : value, range[1] > value ? range[1] : value] : [value, value];
+
+    conversations.forEach(conversation => {
+        const info = resolveInfo(conversation);
+        const matches = ignore => matchesFacets(conversation, filters, info, ignore);
+
+        if (matches()) {
+            counts.total++;
+        }
+        if (matches('platforms')) {
+            increment(counts.platforms, conversation.format);
+        }
+        if (info && matches('models')) {
+            info.models.forEach(model => increment(counts.models, model));
+        }
+        if (info?.hasCode && matches('hasCode')) {
+            counts.hasCode++;
+        }
+        if (matches('created') && toDayKey(conversation.created)) {
+            counts.created = extend(counts.created, toDayKey(conversation.created));
+        }
+        if (matches('updated') && toDayKey(conversation.updated)) {
+            counts.updated = extend(counts.updated, toDayKey(conversation.updated));
+        }
+        if (matches('messages')) {
+            counts.messages = extend(counts.messages, getMessageCount(conversation));
+        }
+    });
+
+    return counts;
+}
+
+/**
+ * Check whether a date falls in a range of local days
+ * @param {Date} date
+ * @param {string} from - First day ('2025-01-31'), or '' for no start
+ * @param {string} to - Last day, or '' for no end
+ * @returns {boolean}
+ */
+function inDayRange(date, from, to) {
+    if (!from && !to) {
+        return true;
+    }
+    const day = toDayKey(date);
+    return Boolean(day) && (!from || day >= from) && (!to || day <= to);
+}
+
+/**
+ * Get the local day of a date as '2025-01-31'
+ * @param {Date} date
+ * @returns {string} - '' for an invalid date
+ */
+function toDayKey(date) {
+    if (!(date instanceof Date) || isNaN(date)) {
+        return '';
+    }
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
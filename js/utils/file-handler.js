@@ -1,8 +1,14 @@
 /**
- * File handler for drag & drop and zip file extraction
+ * File handler for drag & drop, URL loading and import progress
+ * Files are read and parsed in a Web Worker; conversations are announced in
+ * batches as they arrive.
  */
 
-import { parseConversations } from '../parsers.js';
+import { importFile } from './import-reader.js';
+import { getFormatModules } from '../format-registry.js';
+import { ImportProgress } from '../ui/import-progress.js';
+import { DiagnosticsPanel } from '../ui/diagnostics-panel.js';
+import { escapeHtml } from '../ui/markdown.js';
 
 export class FileHandler {
     constructor() {
@@ -11,18 +17,39 @@ export class FileHandler {
         this.uploadBtn = document.getElementById('upload-btn');
         this.urlInput = document.getElementById('url-input');
         this.urlLoadBtn = document.getElementById('url-load-btn');
+        this.progress = new ImportProgress(document.getElementById('import-progress'));
+        this.diagnostics = new DiagnosticsPanel(
+            document.getElementById('diagnostics-modal'),
+            document.getElementById('diagnostics-btn')
+        );
+        this.activeImport = null;
+        this.onImportFinishedCallback = null;
         this.setupEventListeners();
     }
 
+    /**
+     * Register the handler that completes or rolls back an import
+     * It receives { source, fromUrl, completed } and returns (or resolves to) the
+     * import summary: { added, updated, unchanged }.
+     * @param {Function} callback - Finish handler
+     */
+    onImportFinished(callback) {
+        this.onImportFinishedCallback = callback;
+    }
+
     setupEventListeners() {
         // Prevent default drag behaviors on entire document
         ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
             document.body.addEventListener(eventName, this.preventDefaults, false);
         });
 
-        // Show overlay when dragging over document
+        // Show overlay when dragging files over document; conversations dragged to a folder don't count
         ['dragenter', 'dragover'].forEach(eventName => {
-            document.body.addEventListener(eventName, () => this.showOverlay(), false);
+            document.body.addEventListener(eventName, (e) => {
+                if (e.dataTransfer?.types.includes('Files')) {
+                    this.showOverlay();
+                }
+            }, false);
         });
 
         // Hide overlay when leaving or dropping
@@ -50,9 +77,9 @@ export class FileHandler {
         // Handle file input change
         if (this.fileInput) {
             this.fileInput.addEventListener('change', (e) => {
-                const files = e.target.files;
+                const files = Array.from(e.target.files);
                 if (files.length > 0) {
-                    this.handleFileSelect(files[0]);
+                    this.handleFileSelect(files);
                     // Reset input so same file can be selected again
                     this.fileInput.value = '';
                 }
@@ -90,69 +117,368 @@ export class FileHandler {
     }
 
     async handleDrop(e) {
-        const files = e.dataTransfer.files;
+        const files = await this.getDroppedFiles(e.dataTransfer);
 
         if (files.length === 0) {
             return;
         }
 
-        await this.processFile(files[0]);
+        await this.processFiles(files);
     }
 
-    async handleFileSelect(file) {
-        await this.processFile(file);
+    async handleFileSelect(files) {
+        await this.processFiles(files);
     }
 
-    async processFile(file) {
-        try {
-            if (file.name.endsWith('.json')) {
-                await this.handleJSONFile(file);
-            } else if (file.name.endsWith('.zip')) {
-                await this.handleZipFile(file);
+    /**
+     * Collect the dropped files, including every supported file inside dropped folders
+     * @param {DataTransfer} dataTransfer - Drop event data
+     * @returns {Promise<Array<File>>}
+     */
+    async getDroppedFiles(dataTransfer) {
+        // Entries must be read before the drop event handler returns
+        const entries = Array.from(dataTransfer.items || [])
+            .filter(item => item.kind === 'file')
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files);
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            if (entry.isDirectory) {
+                const nested = await this.readDirectoryEntry(entry);
+                files.push(...nested.filter(file => this.getFileType(file.name)));
             } else {
-                this.showError('Unsupported file type. Please select a .json or .zip file.');
+                files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
             }
+        }
+        return files;
+    }
+
+    /**
+     * Recursively read every file in a dropped directory
+     * @param {FileSystemDirectoryEntry} directory - Directory entry
+     * @returns {Promise<Array<File>>}
+     */
+    async readDirectoryEntry(directory) {
+        const reader = directory.createReader();
+        const files = [];
+
+        // readEntries returns results in chunks until it returns an empty list
+        let entries;
+        do {
+            entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const entry of entries) {
+                if (entry.isDirectory) {
+                    files.push(...await this.readDirectoryEntry(entry));
+                } else {
+                    files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+                }
+            }
+        } while (entries.length > 0);
+
+        return files;
+    }
+
+    /**
+     * Import several files one after another and report them in one summary
+     * Cancelling an import skips the remaining files.
+     * @param {Array<File>} files - Files to import
+     */
+    async processFiles(files) {
+        const results = [];
+
+        for (const file of files) {
+            if (results.some(result => result.cancelled)) {
+                results.push({ name: file.name, cancelled: true });
+                continue;
+            }
+            results.push(await this.processFile(file));
+        }
+
+        this.diagnostics.setResults(results);
+        this.showSummary(results);
+    }
+
+    /**
+     * Import a single file
+     * @param {File} file - File to import
+     * @returns {Promise<{name: string, count?: number, summary?: Object, diagnostics?: Array, error?: string, cancelled?: boolean}>}
+     */
+    async processFile(file) {
+        const type = this.getFileType(file.name);
+        if (!type) {
+            return { name: file.name, error: 'Unsupported file type. Please select a .json, .jsonl or .zip file.' };
+        }
+
+        try {
+            const result = await this.importBlob(file, file.name, type);
+            return result === null ? { name: file.name, cancelled: true } : { name: file.name, ...result };
         } catch (error) {
-            this.showError(`Error processing file: ${error.message}`);
+            return { name: file.name, error: error.message };
         }
     }
 
-    async handleJSONFile(file) {
-        const text = await file.text();
-        const data = JSON.parse(text);
-        const conversations = parseConversations(data);
+    /**
+     * Show one toast summarizing the imported files
+     * @param {Array} results - Results from processFile
+     */
+    showSummary(results) {
+        if (results.length === 1) {
+            const [result] = results;
+            if (result.cancelled) {
+                this.showToast('Import cancelled', 'secondary');
+            } else if (result.error) {
+                this.showError(`Error processing file: ${escapeHtml(result.error)}`);
+            } else {
+                this.showResultToast(`Imported ${escapeHtml(result.name)}: ${this.formatSummary(result.summary)}`, 'success');
+            }
+            return;
+        }
 
-        // Emit custom event with parsed conversations
-        const event = new CustomEvent('conversations-loaded', {
-            detail: { conversations, source: file.name }
+        const loaded = results.filter(result => result.summary);
+        const total = { added: 0, updated: 0, unchanged: 0 };
+        loaded.forEach(result => {
+            Object.keys(total).forEach(key => {
+                total[key] += result.summary[key];
+            });
         });
-        document.dispatchEvent(event);
 
-        this.showSuccess(`Loaded ${conversations.length} conversation(s) from ${file.name}`);
+        const items = results.map(result => {
+            let status;
+            if (result.cancelled) {
+                status = 'cancelled';
+            } else if (result.error) {
+                status = `failed: ${escapeHtml(result.error)}`;
+            } else {
+                status = this.formatSummary(result.summary);
+            }
+            return `<li><strong>${escapeHtml(result.name)}</strong>: ${status}</li>`;
+        }).join('');
+
+        let type = 'success';
+        if (loaded.length === 0) {
+            type = 'danger';
+        } else if (loaded.length < results.length) {
+            type = 'warning';
+        }
+
+        this.showResultToast(
+            `Imported ${loaded.length} of ${results.length} files: ${this.formatSummary(total)}<ul class="import-summary">${items}</ul>`,
+            type
+        );
+    }
+
+    /**
+     * Describe how many conversations an import added, updated and left unchanged
+     * @param {{added: number, updated: number, unchanged: number}} summary
+     * @returns {string}
+     */
+    formatSummary({ added, updated, unchanged }) {
+        return `${added} added, ${updated} updated, ${unchanged} unchanged`;
+    }
+
+    /**
+     * Show an import result toast, linking to the import report when records were skipped or repaired
+     * @param {string} message - Toast HTML
+     * @param {string} type - Bootstrap color
+     */
+    showResultToast(message, type) {
+        if (!this.diagnostics.hasIssues()) {
+            this.showToast(message, type);
+            return;
+        }
+
+        const { skipped, repaired } = this.diagnostics.getCounts();
+        const toast = this.showToast(
+            `${message}<div class="mt-1">${skipped} skipped, ${repaired} repaired. ` +
+            '<button type="button" class="btn btn-link btn-sm p-0 align-baseline text-reset show-report-btn">View report</button></div>',
+            type === 'success' ? 'warning' : type
+        );
+        toast.querySelector('.show-report-btn').addEventListener('click', () => this.diagnostics.show());
     }
 
-    async handleZipFile(file) {
-        const arrayBuffer = await file.arrayBuffer();
-        const zip = await JSZip.loadAsync(arrayBuffer);
+    /**
+     * Get the import type from a file name
+     * @param {string} name - File name
+     * @returns {string|null} - 'json', 'jsonl', 'zip', or null if unsupported
+     */
+    getFileType(name) {
+        const lower = name.toLowerCase();
+        if (lower.endsWith('.jsonl')) {
+            return 'jsonl';
+        }
+        if (lower.endsWith('.json')) {
+            return 'json';
+        }
+        if (lower.endsWith('.zip')) {
+            return 'zip';
+        }
+        return null;
+    }
 
-        // Look for conversations.json
-        const conversationsFile = zip.file('conversations.json');
+    /**
+     * Import a file, announcing its conversations in batches
+     * Emits 'import-started' and 'conversations-loaded' for every batch, then calls the
+     * onImportFinished handler, which should only persist the import if it completed.
+     * @param {Blob} blob - File contents
+     * @param {string} source - File name shown to the user
+     * @param {string} type - 'json', 'jsonl' or 'zip'
+     * @param {boolean} fromUrl - Whether the file was loaded from a URL (not persisted)
+     * @returns {Promise<{count: number, summary: Object, diagnostics: Array}|null>} - Number of
+     *     conversations read, how many were added, updated or unchanged, and the records skipped
+     *     or repaired; null if cancelled
+     */
+    async importBlob(blob, source, type, fromUrl = false) {
+        if (this.activeImport) {
+            throw new Error('Another import is still in progress');
+        }
 
-        if (!conversationsFile) {
-            throw new Error('conversations.json not found in ZIP file');
+        this.dispatch('import-started', { source, fromUrl });
+        this.progress.show(source, () => this.cancelImport());
+
+        let count = 0;
+        const diagnostics = [];
+        const callbacks = {
+            onProgress: (progress) => this.progress.update(progress),
+            onBatch: ({ conversations, assets, searchRecords, diagnostics: batchDiagnostics = [] }) => {
+                count += conversations.length;
+                diagnostics.push(...batchDiagnostics);
+                this.dispatch('conversations-loaded', { conversations, assets, searchRecords, source, fromUrl });
+            }
+        };
+
+        try {
+            const { cancelled } = typeof Worker === 'undefined'
+                ? await this.importOnMainThread(blob, type, callbacks)
+                : await this.importInWorker(blob, type, callbacks);
+
+            const summary = await this.finishImport({ source, fromUrl, completed: !cancelled });
+            return cancelled ? null : { count, summary, diagnostics };
+        } catch (error) {
+            await this.finishImport({ source, fromUrl, completed: false });
+            throw error;
+        } finally {
+            this.activeImport = null;
+            this.progress.hide();
         }
+    }
+
+    /**
+     * Run an import in the import worker
+     * Falls back to the main thread if the worker can't be started
+     * @param {Blob} blob - File contents
+     * @param {string} type - 'json', 'jsonl' or 'zip'
+     * @param {Object} callbacks - { onProgress, onBatch }
+     * @returns {Promise<{cancelled: boolean}>}
+     */
+    importInWorker(blob, type, callbacks) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(new URL('../workers/import-worker.js', import.meta.url), { type: 'module' });
+            } catch (error) {
+                console.warn('Import worker unavailable, importing on the main thread:', error);
+                resolve(this.importOnMainThread(blob, type, callbacks));
+                return;
+            }
+
+            let started = false;
+            const stop = () => worker.terminate();
+
+            this.activeImport = {
+                cancel: () => {
+                    stop();
+                    resolve({ cancelled: true });
+                }
+            };
+
+            worker.addEventListener('message', (event) => {
+                const message = event.data;
+                started = true;
+
+                switch (message.type) {
+                    case 'progress':
+                        callbacks.onProgress(message);
+                        break;
+                    case 'batch':
+                        callbacks.onBatch(message);
+                        break;
+                    case 'done':
+                        stop();
+                        resolve({ cancelled: false });
+                        break;
+                    case 'error':
+                        stop();
+                        reject(new Error(message.message));
+                        break;
+                }
+            });
+
+            worker.addEventListener('error', (event) => {
+                stop();
+                if (!started) {
+                    // The worker script failed to load (e.g. module workers unsupported)
+                    console.warn('Import worker failed to start, importing on the main thread:', event.message);
+                    resolve(this.importOnMainThread(blob, type, callbacks));
+                } else {
+                    reject(new Error(event.message || 'Import worker failed'));
+                }
+            });
 
-        const text = await conversationsFile.async('text');
-        const data = JSON.parse(text);
-        const conversations = parseConversations(data);
+            worker.postMessage({ blob, type, formatModules: getFormatModules() });
+        });
+    }
 
-        // Emit custom event with parsed conversations
-        const event = new CustomEvent('conversations-loaded', {
-            detail: { conversations, source: file.name }
+    /**
+     * Run an import on the main thread
+     * @param {Blob} blob - File contents
+     * @param {string} type - 'json', 'jsonl' or 'zip'
+     * @param {Object} callbacks - { onProgress, onBatch }
+     * @returns {Promise<{cancelled: boolean}>}
+     */
+    async importOnMainThread(blob, type, callbacks) {
+        const controller = new AbortController();
+        this.activeImport = { cancel: () => controller.abort() };
+
+        const { cancelled } = await importFile(blob, {
+            type,
+            zipLibrary: JSZip,
+            signal: controller.signal,
+            ...callbacks
         });
-        document.dispatchEvent(event);
+        return { cancelled };
+    }
 
-        this.showSuccess(`Loaded ${conversations.length} conversation(s) from ${file.name}`);
+    /**
+     * Cancel the import in progress
+     */
+    cancelImport() {
+        if (this.activeImport) {
+            this.activeImport.cancel();
+        }
+    }
+
+    /**
+     * Let the finish handler save or roll back the import
+     * @param {Object} detail - { source, fromUrl, completed }
+     * @returns {Promise<{added: number, updated: number, unchanged: number}>}
+     */
+    async finishImport(detail) {
+        const summary = this.onImportFinishedCallback ? await this.onImportFinishedCallback(detail) : null;
+        return summary || { added: 0, updated: 0, unchanged: 0 };
+    }
+
+    /**
+     * Dispatch an import event on the document
+     * @param {string} name - Event name
+     * @param {Object} detail - Event detail
+     */
+    dispatch(name, detail) {
+        document.dispatchEvent(new CustomEvent(name, { detail }));
     }
 
     showError(message) {
@@ -169,7 +495,7 @@ export class FileHandler {
         if (!toastContainer) {
             toastContainer = document.createElement('div');
             toastContainer.id = 'toast-container';
-            toastContainer.className = 'toast-container position-fixed top-0 end-0 p-3';
+            toastContainer.className = 'toast-container position-fixed top-0 end-0 p-3 d-print-none';
             toastContainer.style.zIndex = '9999';
             document.body.appendChild(toastContainer);
         }
@@ -202,6 +528,8 @@ export class FileHandler {
         toast.addEventListener('hidden.bs.toast', () => {
             toast.remove();
         });
+
+        return toast;
     }
 
     async handleUrlLoad() {
@@ -228,7 +556,10 @@ export class FileHandler {
             // Determine file type from URL or content-type
             let fileName = url.split('/').pop() || 'download';
 
-            if (contentType?.includes('application/json') || url.endsWith('.json')) {
+            if (contentType?.includes('application/jsonl') || contentType?.includes('ndjson') || url.endsWith('.jsonl')) {
+                fileName = fileName.endsWith('.jsonl') ? fileName : 'conversations.jsonl';
+                await this.processUrlFile(blob, fileName, 'jsonl');
+            } else if (contentType?.includes('application/json') || url.endsWith('.json')) {
                 fileName = fileName.endsWith('.json') ? fileName : 'conversations.json';
                 await this.processUrlFile(blob, fileName, 'json');
             } else if (contentType?.includes('application/zip') || url.endsWith('.zip')) {
@@ -241,7 +572,7 @@ export class FileHandler {
                     JSON.parse(text);
                     await this.processUrlFile(blob, 'conversations.json', 'json');
                 } catch {
-                    throw new Error('Unable to determine file type. URL must point to a .json or .zip file.');
+                    throw new Error('Unable to determine file type. URL must point to a .json, .jsonl or .zip file.');
                 }
             }
         } catch (error) {
@@ -251,48 +582,12 @@ export class FileHandler {
 
     async processUrlFile(blob, fileName, type) {
         try {
-            if (type === 'json') {
-                const text = await blob.text();
-                const data = JSON.parse(text);
-                const conversations = parseConversations(data);
-
-                // Emit custom event with parsed conversations and fromUrl flag
-                const event = new CustomEvent('conversations-loaded', {
-                    detail: {
-                        conversations,
-                        source: fileName,
-                        fromUrl: true
-                    }
-                });
-                document.dispatchEvent(event);
-
-                this.showSuccess(`Loaded ${conversations.length} conversation(s) from URL`);
-            } else if (type === 'zip') {
-                const arrayBuffer = await blob.arrayBuffer();
-                const zip = await JSZip.loadAsync(arrayBuffer);
-
-                // Look for conversations.json
-                const conversationsFile = zip.file('conversations.json');
-
-                if (!conversationsFile) {
-                    throw new Error('conversations.json not found in ZIP file');
-                }
-
-                const text = await conversationsFile.async('text');
-                const data = JSON.parse(text);
-                const conversations = parseConversations(data);
-
-                // Emit custom event with parsed conversations and fromUrl flag
-                const event = new CustomEvent('conversations-loaded', {
-                    detail: {
-                        conversations,
-                        source: fileName,
-                        fromUrl: true
-                    }
-                });
-                document.dispatchEvent(event);
-
-                this.showSuccess(`Loaded ${conversations.length} conversation(s) from URL`);
+            const result = await this.importBlob(blob, fileName, type, true);
+            if (result === null) {
+                this.showToast('Import cancelled', 'secondary');
+            } else {
+                this.diagnostics.setResults([{ name: fileName, ...result }]);
+                this.showResultToast(`Loaded ${result.summary.added} conversation(s) from URL`, 'success');
             }
         } catch (error) {
             throw new Error(`Error processing file: ${error.message}`);
@@ -0,0 +1,212 @@
+/**
+ * Reads export files (JSON, JSONL or ZIP) into normalized conversations
+ * Has no DOM dependencies so it can run inside the import worker as well as
+ * on the main thread.
+ */
+
+import { parseConversationsInBatches, parseGeminiActivityHtml } from '../parsers.js';
+import { buildSearchRecord } from './search-index.js';
+
+// Conversations sent to the UI at a time
+const BATCH_SIZE = 250;
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    csv: 'text/csv',
+    json: 'application/json'
+};
+
+/**
+ * Parse JSON Lines text (one JSON record per line) into an array
+ * @param {string} text - JSONL text
+ * @returns {Array}
+ */
+export function parseJSONLines(text) {
+    const records = [];
+    text.split('\n').forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+        }
+    });
+    return records;
+}
+
+/**
+ * Read an export file and deliver its conversations in batches
+ * @param {Blob} blob - File contents
+ * @param {Object} options - Import options
+ * @param {string} options.type - 'json', 'jsonl' or 'zip'
+ * @param {Object} options.zipLibrary - JSZip constructor, required for ZIP files
+ * @param {AbortSignal} [options.signal] - Stops the import between batches
+ * @param {Function} [options.onProgress] - Called with { stage, loaded, total }
+ * @param {Function} [options.onBatch] - Called with { conversations, assets, searchRecords, diagnostics }
+ * @returns {Promise<{count: number, cancelled: boolean}>}
+ */
+export async function importFile(blob, { type, zipLibrary, signal, onProgress = () => {}, onBatch = () => {} }) {
+    let data;
+    let zip = null;
+    // Stands in for conversations that carry no dates of their own; unknown for fetched files
+    let fileDate = blob.lastModified ? new Date(blob.lastModified) : undefined;
+
+    onProgress({ stage: 'reading' });
+
+    if (type === 'zip') {
+        zip = await zipLibrary.loadAsync(await blob.arrayBuffer());
+        const contents = await readZipData(zip, onProgress);
+        data = contents.data;
+        fileDate = contents.date || fileDate;
+    } else {
+        const text = await blob.text();
+        onProgress({ stage: 'parsing' });
+        data = type === 'jsonl' ? parseJSONLines(text) : JSON.parse(text);
+    }
+
+    const archiveEntries = zip ? indexArchiveEntries(zip) : null;
+    const seenAssets = new Set();
+    let count = 0;
+
+    for (const batch of parseConversationsInBatches(data, BATCH_SIZE, { fileDate })) {
+        if (signal?.aborted) {
+            return { count, cancelled: true };
+        }
+
+        const assets = zip ? await extractAssets(archiveEntries, batch.conversations, seenAssets) : [];
+        count += batch.conversations.length;
+
+        // Indexed here so the worker, not the UI thread, does the tokenizing
+        const searchRecords = batch.conversations.map(buildSearchRecord);
+
+        onBatch({ conversations: batch.conversations, assets, searchRecords, diagnostics: batch.diagnostics });
+        onProgress({ stage: 'converting', loaded: batch.processed, total: batch.total });
+
+        // Let the UI (or a cancel message) in between batches
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return { count, cancelled: Boolean(signal?.aborted) };
+}
+
+/**
+ * Find the conversations file in a ZIP archive and parse it
+ * Looks for conversations.json at any depth, then for a Gemini Takeout activity file
+ * @param {JSZip} zip - Loaded archive
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<{data: Array|Object, date: Date}>} - Raw conversation data and the
+ *     modification date of the file it was read from
+ */
+async function readZipData(zip, onProgress) {
+    const paths = Object.keys(zip.files).filter(path => !zip.files[path].dir);
+
+    const conversationsPath = paths.find(path => path === 'conversations.json') ||
+        paths.find(path => path.endsWith('/conversations.json'));
+    const geminiPath = paths.find(path => /(^|\/)(Gemini Apps|Bard)\/MyActivity\.json$/i.test(path)) ||
+        paths.find(path => /(^|\/)(Gemini Apps|Bard)\/MyActivity\.html$/i.test(path));
+
+    const path = conversationsPath || geminiPath;
+    if (!path) {
+        throw new Error('conversations.json or Gemini activity file not found in ZIP file');
+    }
+
+    const entry = zip.file(path);
+    const text = await entry.async('text', metadata => {
+        onProgress({ stage: 'reading', loaded: metadata.percent, total: 100 });
+    });
+    onProgress({ stage: 'parsing' });
+
+    if (path === geminiPath && path.toLowerCase().endsWith('.html')) {
+        return { data: parseGeminiActivityHtml(text), date: entry.date };
+    }
+    return { data: JSON.parse(text), date: entry.date };
+}
+
+/**
+ * Index the files in a ZIP archive by the asset IDs their names can stand for
+ * A file named "file-abc123-photo.png" is found by its full name, by its name without
+ * the extension and by every prefix that ends before a "-", "_" or ".", such as
+ * "file-abc123". Prefixes shared by several files are left out, so a short or generic
+ * ID never picks one of them at random.
+ * @param {JSZip} zip - Loaded archive
+ * @returns {{names: Map<string, Object>, prefixes: Map<string, Object|null>}} - Full name or name
+ *     without extension, and prefix, to archive entry; null for prefixes of several files
+ */
+function indexArchiveEntries(zip) {
+    const names = new Map();
+    const prefixes = new Map();
+
+    Object.values(zip.files).filter(entry => !entry.dir).forEach(entry => {
+        const basename = entry.name.split('/').pop();
+        const stem = basename.replace(/\.[^.]*$/, '');
+        [basename, stem].forEach(name => {
+            if (name && !names.has(name)) {
+                names.set(name, entry);
+            }
+        });
+        for (const delimiter of basename.matchAll(/[-_.]/g)) {
+            const prefix = basename.slice(0, delimiter.index);
+            if (prefix) {
+                prefixes.set(prefix, prefixes.has(prefix) && prefixes.get(prefix) !== entry ? null : entry);
+            }
+        }
+    });
+
+    return { names, prefixes };
+}
+
+/**
+ * Extract the images and files referenced by conversations from a ZIP archive
+ * Archive files are matched by asset ID, either their whole name or a name that
+ * continues the ID after a delimiter (e.g. "file-abc123-photo.png"), then by file name.
+ * @param {{names: Map, prefixes: Map}} archiveEntries - Result of indexArchiveEntries
+ * @param {Array} conversations - Normalized conversations
+ * @param {Set} seen - Asset IDs already extracted by earlier batches
+ * @returns {Promise<Array>} - Array of { id, conversationIds, name, type, blob }
+ */
+async function extractAssets(archiveEntries, conversations, seen) {
+    const { names, prefixes } = archiveEntries;
+    const assets = [];
+
+    for (const conversation of conversations) {
+        for (const message of conversation.messages) {
+            for (const part of message.parts || []) {
+                if (!part.assetId || seen.has(part.assetId)) {
+                    continue;
+                }
+
+                const entry = names.get(part.assetId) || prefixes.get(part.assetId) ||
+                    (part.name ? names.get(part.name) : null);
+                if (!entry) {
+                    continue;
+                }
+
+                const basename = entry.name.split('/').pop();
+                const extension = basename.split('.').pop().toLowerCase();
+                const type = part.mimeType || MIME_TYPES[extension] || 'application/octet-stream';
+                const data = await entry.async('blob');
+
+                seen.add(part.assetId);
+                assets.push({
+                    id: part.assetId,
+                    // Other conversations that show it are added when they are saved
+                    conversationIds: [conversation.id],
+                    name: part.name || basename,
+                    type,
+                    blob: new Blob([data], { type })
+                });
+            }
+        }
+    }
+
+    return assets;
+}
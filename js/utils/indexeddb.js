@@ -1,11 +1,25 @@
 /**
  * IndexedDB wrapper for persisting conversations
  * Provides much larger storage capacity than localStorage (typically 100MB+)
+ *
+ * Conversations are stored as a header (everything but the messages) plus one
+ * record per message, so the sidebar can load the headers alone and saving a
+ * conversation only rewrites that conversation.
  */
 
+import { getActivePath } from './conversation-tree.js';
+import { isEmptyLabel } from './organization.js';
+
 const DB_NAME = 'llm-conversations-db';
-const DB_VERSION = 1;
-const STORE_NAME = 'conversations';
+const DB_VERSION = 6;
+const HEADER_STORE_NAME = 'headers';
+const MESSAGE_STORE_NAME = 'messages';
+const ASSET_STORE_NAME = 'assets';
+const SEARCH_STORE_NAME = 'searchIndex';
+const LABEL_STORE_NAME = 'labels';
+const FOLDER_STORE_NAME = 'folders';
+// Version 1 and 2 stored whole conversations in this store
+const LEGACY_STORE_NAME = 'conversations';
 
 class IndexedDBWrapper {
     constructor() {
@@ -37,13 +51,45 @@ class IndexedDBWrapper {
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
 
-                // Create object store if it doesn't exist
-                if (!db.objectStoreNames.contains(STORE_NAME)) {
-                    const objectStore = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-                    // Create indexes for efficient querying
-                    objectStore.createIndex('created', 'created', { unique: false });
-                    objectStore.createIndex('updated', 'updated', { unique: false });
-                    objectStore.createIndex('title', 'title', { unique: false });
+                // Version 2: images and files extracted from export archives
+                if (!db.objectStoreNames.contains(ASSET_STORE_NAME)) {
+                    const assetStore = db.createObjectStore(ASSET_STORE_NAME, { keyPath: 'id' });
+                    assetStore.createIndex('conversationId', 'conversationId', { unique: false });
+                }
+
+                // Version 3: conversation headers and messages in separate stores
+                if (!db.objectStoreNames.contains(HEADER_STORE_NAME)) {
+                    const headerStore = db.createObjectStore(HEADER_STORE_NAME, { keyPath: 'id' });
+                    headerStore.createIndex('created', 'created', { unique: false });
+                    headerStore.createIndex('updated', 'updated', { unique: false });
+                    headerStore.createIndex('title', 'title', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(MESSAGE_STORE_NAME)) {
+                    // Keyed by position so a conversation's messages load in order
+                    db.createObjectStore(MESSAGE_STORE_NAME, { keyPath: ['conversationId', 'position'] });
+                }
+                if (db.objectStoreNames.contains(LEGACY_STORE_NAME)) {
+                    this._migrateLegacyStore(db, event.target.transaction);
+                }
+
+                // Version 4: search records, one per conversation. Conversations saved
+                // before this are indexed the first time the search index loads.
+                if (!db.objectStoreNames.contains(SEARCH_STORE_NAME)) {
+                    db.createObjectStore(SEARCH_STORE_NAME, { keyPath: 'conversationId' });
+                }
+
+                // Version 5: user tags and folders, kept apart from the imported data
+                if (!db.objectStoreNames.contains(LABEL_STORE_NAME)) {
+                    db.createObjectStore(LABEL_STORE_NAME, { keyPath: 'conversationId' });
+                }
+                if (!db.objectStoreNames.contains(FOLDER_STORE_NAME)) {
+                    db.createObjectStore(FOLDER_STORE_NAME, { keyPath: 'id' });
+                }
+
+                // Version 6: assets list every conversation that shows them, not just the first
+                const assetStore = event.target.transaction.objectStore(ASSET_STORE_NAME);
+                if (assetStore.indexNames.contains('conversationId')) {
+                    this._migrateAssetReferences(assetStore);
                 }
             };
         });
@@ -52,8 +98,10 @@ class IndexedDBWrapper {
     }
 
     /**
-     * Save all conversations
-     * @param {Array} conversations - Array of conversation objects
+     * Add or replace conversations
+     * Only the given conversations are written; others are left alone. Stored assets that
+     * no conversation refers to any more are deleted.
+     * @param {Array} conversations - Array of conversation objects with their messages
      * @returns {Promise<boolean>}
      */
     async saveConversations(conversations) {
@@ -61,20 +109,19 @@ class IndexedDBWrapper {
             await this.init();
 
             return new Promise((resolve, reject) => {
-                const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-                const objectStore = transaction.objectStore(STORE_NAME);
+                const transaction = this.db.transaction([HEADER_STORE_NAME, MESSAGE_STORE_NAME, ASSET_STORE_NAME], 'readwrite');
+                const headerStore = transaction.objectStore(HEADER_STORE_NAME);
+                const messageStore = transaction.objectStore(MESSAGE_STORE_NAME);
+                const assetStore = transaction.objectStore(ASSET_STORE_NAME);
 
                 transaction.oncomplete = () => resolve(true);
                 transaction.onerror = () => reject(transaction.error);
                 transaction.onabort = () => reject(new Error('Transaction aborted'));
 
-                // Clear existing conversations
-                objectStore.clear();
-
-                // Add all conversations
                 for (const conversation of conversations) {
-                    objectStore.add(conversation);
+                    this._putConversation(headerStore, messageStore, conversation);
                 }
+                this._updateAssetReferences(assetStore, conversations);
             });
         } catch (error) {
             console.error('Error saving conversations to IndexedDB:', error);
@@ -83,26 +130,23 @@ class IndexedDBWrapper {
     }
 
     /**
-     * Load all conversations
+     * Load the headers of all conversations, without their messages
+     * Each header has a `messageCount` (messages on the active branch) instead.
      * @returns {Promise<Array>}
      */
-    async loadConversations() {
+    async loadConversationHeaders() {
         try {
             await this.init();
 
-            const transaction = this.db.transaction([STORE_NAME], 'readonly');
-            const objectStore = transaction.objectStore(STORE_NAME);
-            const conversations = await this._promisifyRequest(objectStore.getAll());
+            const transaction = this.db.transaction([HEADER_STORE_NAME], 'readonly');
+            const objectStore = transaction.objectStore(HEADER_STORE_NAME);
+            const headers = await this._promisifyRequest(objectStore.getAll());
 
             // Re-parse date strings back to Date objects
-            return conversations.map(conv => ({
-                ...conv,
-                created: new Date(conv.created),
-                updated: new Date(conv.updated),
-                messages: conv.messages.map(msg => ({
-                    ...msg,
-                    timestamp: new Date(msg.timestamp)
-                }))
+            return headers.map(header => ({
+                ...header,
+                created: new Date(header.created),
+                updated: new Date(header.updated)
             }));
         } catch (error) {
             console.error('Error loading conversations from IndexedDB:', error);
@@ -111,7 +155,224 @@ class IndexedDBWrapper {
     }
 
     /**
-     * Clear all conversations
+     * Load the messages of one conversation
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Array>} - Messages in their stored order
+     */
+    async loadMessages(conversationId) {
+        try {
+            await this.init();
+
+            const transaction = this.db.transaction([MESSAGE_STORE_NAME], 'readonly');
+            const objectStore = transaction.objectStore(MESSAGE_STORE_NAME);
+            const records = await this._promisifyRequest(objectStore.getAll(this._messageRange(conversationId)));
+
+            return records.map(record => {
+                const message = { ...record, timestamp: new Date(record.timestamp) };
+                delete message.conversationId;
+                delete message.position;
+                return message;
+            });
+        } catch (error) {
+            console.error('Error loading messages from IndexedDB:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save assets (images and files), replacing any with the same ID
+     * The conversations a stored asset already belongs to are kept.
+     * @param {Array} assets - Array of { id, conversationIds, name, type, blob }
+     * @returns {Promise<boolean>}
+     */
+    async saveAssets(assets) {
+        try {
+            await this.init();
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([ASSET_STORE_NAME], 'readwrite');
+                const objectStore = transaction.objectStore(ASSET_STORE_NAME);
+
+                transaction.oncomplete = () => resolve(true);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(new Error('Transaction aborted'));
+
+                for (const asset of assets) {
+                    objectStore.get(asset.id).onsuccess = (event) => {
+                        const stored = event.target.result;
+                        const conversationIds = Array.from(new Set([...(stored?.conversationIds || []), ...asset.conversationIds]));
+                        objectStore.put({ ...asset, conversationIds });
+                    };
+                }
+            });
+        } catch (error) {
+            console.error('Error saving assets to IndexedDB:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load a single asset
+     * @param {string} id - Asset ID
+     * @returns {Promise<Object|null>}
+     */
+    async loadAsset(id) {
+        try {
+            await this.init();
+
+            const transaction = this.db.transaction([ASSET_STORE_NAME], 'readonly');
+            const objectStore = transaction.objectStore(ASSET_STORE_NAME);
+            return (await this._promisifyRequest(objectStore.get(id))) || null;
+        } catch (error) {
+            console.error('Error loading asset from IndexedDB:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save search records, replacing those of the same conversations
+     * @param {Array} records - Records from buildSearchRecord
+     * @returns {Promise<boolean>}
+     */
+    async saveSearchRecords(records) {
+        try {
+            await this.init();
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([SEARCH_STORE_NAME], 'readwrite');
+                const objectStore = transaction.objectStore(SEARCH_STORE_NAME);
+
+                transaction.oncomplete = () => resolve(true);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(new Error('Transaction aborted'));
+
+                for (const record of records) {
+                    objectStore.put(record);
+                }
+            });
+        } catch (error) {
+            console.error('Error saving search records to IndexedDB:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load all search records
+     * @returns {Promise<Array>}
+     */
+    async loadSearchRecords() {
+        try {
+            await this.init();
+
+            const transaction = this.db.transaction([SEARCH_STORE_NAME], 'readonly');
+            const objectStore = transaction.objectStore(SEARCH_STORE_NAME);
+            return await this._promisifyRequest(objectStore.getAll());
+        } catch (error) {
+            console.error('Error loading search records from IndexedDB:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save labels, replacing those of the same conversations
+     * Labels without tags or folder are deleted.
+     * @param {Array} labels - Array of { conversationId, tags, folderId }
+     * @returns {Promise<boolean>}
+     */
+    async saveLabels(labels) {
+        try {
+            await this.init();
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([LABEL_STORE_NAME], 'readwrite');
+                const objectStore = transaction.objectStore(LABEL_STORE_NAME);
+
+                transaction.oncomplete = () => resolve(true);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(new Error('Transaction aborted'));
+
+                for (const label of labels) {
+                    if (isEmptyLabel(label)) {
+                        objectStore.delete(label.conversationId);
+                    } else {
+                        objectStore.put(label);
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Error saving labels to IndexedDB:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load all labels
+     * @returns {Promise<Array>}
+     */
+    async loadLabels() {
+        try {
+            await this.init();
+
+            const transaction = this.db.transaction([LABEL_STORE_NAME], 'readonly');
+            const objectStore = transaction.objectStore(LABEL_STORE_NAME);
+            return await this._promisifyRequest(objectStore.getAll());
+        } catch (error) {
+            console.error('Error loading labels from IndexedDB:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Add or replace folders and delete others
+     * @param {Array} folders - Folders to write
+     * @param {Array<string>} deletedIds - Folders to delete
+     * @returns {Promise<boolean>}
+     */
+    async saveFolders(folders, deletedIds = []) {
+        try {
+            await this.init();
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([FOLDER_STORE_NAME], 'readwrite');
+                const objectStore = transaction.objectStore(FOLDER_STORE_NAME);
+
+                transaction.oncomplete = () => resolve(true);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(new Error('Transaction aborted'));
+
+                for (const id of deletedIds) {
+                    objectStore.delete(id);
+                }
+                for (const folder of folders) {
+                    objectStore.put(folder);
+                }
+            });
+        } catch (error) {
+            console.error('Error saving folders to IndexedDB:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load all folders
+     * @returns {Promise<Array>}
+     */
+    async loadFolders() {
+        try {
+            await this.init();
+
+            const transaction = this.db.transaction([FOLDER_STORE_NAME], 'readonly');
+            const objectStore = transaction.objectStore(FOLDER_STORE_NAME);
+            return await this._promisifyRequest(objectStore.getAll());
+        } catch (error) {
+            console.error('Error loading folders from IndexedDB:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Clear all conversations with their assets and search records
+     * Tags and folders are kept, so conversations imported again get them back.
      * @returns {Promise<void>}
      */
     async clearConversations() {
@@ -119,14 +380,19 @@ class IndexedDBWrapper {
             await this.init();
 
             return new Promise((resolve, reject) => {
-                const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-                const objectStore = transaction.objectStore(STORE_NAME);
+                const transaction = this.db.transaction(
+                    [HEADER_STORE_NAME, MESSAGE_STORE_NAME, ASSET_STORE_NAME, SEARCH_STORE_NAME],
+                    'readwrite'
+                );
 
                 transaction.oncomplete = () => resolve();
                 transaction.onerror = () => reject(transaction.error);
                 transaction.onabort = () => reject(new Error('Transaction aborted'));
 
-                objectStore.clear();
+                transaction.objectStore(HEADER_STORE_NAME).clear();
+                transaction.objectStore(MESSAGE_STORE_NAME).clear();
+                transaction.objectStore(ASSET_STORE_NAME).clear();
+                transaction.objectStore(SEARCH_STORE_NAME).clear();
             });
         } catch (error) {
             console.error('Error clearing conversations from IndexedDB:', error);
@@ -142,20 +408,156 @@ class IndexedDBWrapper {
     }
 
     /**
-     * Get approximate size of stored data
+     * Get approximate size of stored conversations
+     * Adds up the sizes recorded in the headers when conversations are saved.
      * @returns {Promise<number>} Size in bytes
      */
     async getStorageSize() {
         try {
-            const conversations = await this.loadConversations();
-            const data = JSON.stringify(conversations);
-            return new Blob([data]).size;
+            const headers = await this.loadConversationHeaders();
+            return headers.reduce((total, header) => total + (header.size || 0), 0);
         } catch (error) {
             console.error('Error calculating storage size:', error);
             return 0;
         }
     }
 
+    /**
+     * Write a conversation's header and messages, replacing any stored version
+     * @private
+     * @param {IDBObjectStore} headerStore
+     * @param {IDBObjectStore} messageStore
+     * @param {Object} conversation - Conversation with its messages
+     */
+    _putConversation(headerStore, messageStore, conversation) {
+        const { messages = [], ...header } = conversation;
+
+        messageStore.delete(this._messageRange(conversation.id));
+        messages.forEach((message, position) => {
+            messageStore.put({ ...message, conversationId: conversation.id, position });
+        });
+
+        headerStore.put({
+            ...header,
+            messageCount: getActivePath(conversation).length,
+            // Approximate, used by getStorageSize
+            size: JSON.stringify(conversation).length
+        });
+    }
+
+    /**
+     * Record which stored assets the saved conversations refer to
+     * Assets can be shown by several conversations, e.g. the same upload in two chats.
+     * One that no conversation refers to any more is deleted, so the images and files
+     * of a replaced or merged conversation don't pile up. The whole batch is worked out
+     * before any asset is written, so conversations sharing an asset don't overwrite
+     * each other's references.
+     * @private
+     * @param {IDBObjectStore} assetStore
+     * @param {Array} conversations - Conversations with their messages
+     */
+    _updateAssetReferences(assetStore, conversations) {
+        // Asset ID -> conversations to add to and remove from its references
+        const changes = new Map();
+        const change = (id) => {
+            if (!changes.has(id)) {
+                changes.set(id, { add: new Set(), remove: new Set() });
+            }
+            return changes.get(id);
+        };
+
+        let pending = conversations.length;
+        const writeChanges = () => {
+            changes.forEach(({ add, remove }, id) => {
+                assetStore.get(id).onsuccess = (event) => {
+                    const asset = event.target.result;
+                    if (!asset) {
+                        return;
+                    }
+                    const kept = asset.conversationIds.filter(other => !remove.has(other));
+                    const conversationIds = [...new Set([...kept, ...add])];
+                    if (conversationIds.length === 0) {
+                        assetStore.delete(id);
+                    } else if (conversationIds.length !== asset.conversationIds.length
+                        || conversationIds.some(other => !asset.conversationIds.includes(other))) {
+                        assetStore.put({ ...asset, conversationIds });
+                    }
+                };
+            });
+        };
+
+        for (const conversation of conversations) {
+            const used = new Set((conversation.messages || []).flatMap(message =>
+                (message.parts || []).map(part => part.assetId).filter(Boolean)));
+            used.forEach(id => change(id).add.add(conversation.id));
+
+            // Key cursors walk the asset IDs without reading the blobs
+            assetStore.index('conversationIds').openKeyCursor(IDBKeyRange.only(conversation.id)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    if (!used.has(cursor.primaryKey)) {
+                        change(cursor.primaryKey).remove.add(conversation.id);
+                    }
+                    cursor.continue();
+                } else if (--pending === 0) {
+                    writeChanges();
+                }
+            };
+        }
+    }
+
+    /**
+     * Turn the single conversationId of version 2 assets into a conversationIds list
+     * Runs inside the upgrade transaction.
+     * @private
+     * @param {IDBObjectStore} assetStore
+     */
+    _migrateAssetReferences(assetStore) {
+        assetStore.deleteIndex('conversationId');
+        assetStore.createIndex('conversationIds', 'conversationIds', { unique: false, multiEntry: true });
+
+        assetStore.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                const { conversationId, ...asset } = cursor.value;
+                cursor.update({ ...asset, conversationIds: conversationId ? [conversationId] : [] });
+                cursor.continue();
+            }
+        };
+    }
+
+    /**
+     * Move conversations from the version 2 store into the header and message stores
+     * Runs inside the upgrade transaction, so a failure leaves the old database untouched.
+     * @private
+     * @param {IDBDatabase} db
+     * @param {IDBTransaction} transaction - Version change transaction
+     */
+    _migrateLegacyStore(db, transaction) {
+        const headerStore = transaction.objectStore(HEADER_STORE_NAME);
+        const messageStore = transaction.objectStore(MESSAGE_STORE_NAME);
+
+        transaction.objectStore(LEGACY_STORE_NAME).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                this._putConversation(headerStore, messageStore, cursor.value);
+                cursor.continue();
+            } else {
+                db.deleteObjectStore(LEGACY_STORE_NAME);
+            }
+        };
+    }
+
+    /**
+     * Key range covering every message of a conversation
+     * @private
+     * @param {string} conversationId
+     * @returns {IDBKeyRange}
+     */
+    _messageRange(conversationId) {
+        return IDBKeyRange.bound([conversationId, 0], [conversationId, Infinity]);
+    }
+
     /**
      * Helper to promisify IndexedDB requests
      * @private
@@ -0,0 +1,156 @@
+/**
+ * Merging re-imported conversations into the ones already loaded
+ */
+
+import { isTree } from './conversation-tree.js';
+
+// Conversation fields taken from the import when it is newer; the format always stays,
+// since detection can read the same chat differently from one file to the next
+const SOURCE_FIELDS = ['title', 'summary', 'currentId'];
+
+/**
+ * Combine an existing conversation with an imported copy of it
+ * Never modifies either argument.
+ * @param {Object} existing - Conversation already loaded
+ * @param {Object} incoming - Imported conversation with the same ID
+ * @param {string} strategy - 'merge', 'replace' or 'keep'
+ * @returns {{conversation: Object, status: string}} - status is 'updated' or 'unchanged'
+ */
+export function resolveConversation(existing, incoming, strategy = 'merge') {
+    switch (strategy) {
+        case 'keep':
+            return { conversation: existing, status: 'unchanged' };
+        case 'replace':
+            return isSameVersion(existing, incoming)
+                ? { conversation: existing, status: 'unchanged' }
+                : { conversation: { ...incoming, format: existing.format }, status: 'updated' };
+        default:
+            return mergeConversation(existing, incoming);
+    }
+}
+
+/**
+ * Merge an imported conversation into an existing one
+ * Messages are matched by ID: new ones are appended and, when the import is newer
+ * (by `updated`), changed ones take the imported content. Fields that only exist
+ * locally are preserved on both the conversation and its messages.
+ * @param {Object} existing - Conversation already loaded
+ * @param {Object} incoming - Imported conversation with the same ID
+ * @returns {{conversation: Object, status: string}}
+ */
+export function mergeConversation(existing, incoming) {
+    const incomingNewer = getTime(incoming.updated) > getTime(existing.updated);
+    const incomingById = new Map(incoming.messages.map(message => [message.id, message]));
+    const existingIds = new Set(existing.messages.map(message => message.id));
+    let changed = false;
+
+    const messages = existing.messages.map(message => {
+        const update = incomingById.get(message.id);
+        if (!update) {
+            return message;
+        }
+
+        const childrenIds = mergeIds(message.childrenIds, update.childrenIds);
+        const childrenChanged = (childrenIds?.length || 0) !== (message.childrenIds?.length || 0);
+
+        if (incomingNewer && messageDiffers(message, update)) {
+            changed = true;
+            return { ...message, ...update, childrenIds };
+        }
+        if (childrenChanged) {
+            changed = true;
+            return { ...message, childrenIds };
+        }
+        return message;
+    });
+
+    const added = incoming.messages.filter(message => !existingIds.has(message.id));
+    if (added.length > 0) {
+        changed = true;
+        messages.push(...added);
+    }
+
+    const merged = { ...existing, messages };
+
+    if (incomingNewer) {
+        SOURCE_FIELDS.forEach(field => {
+            if (incoming[field] !== undefined && incoming[field] !== existing[field]) {
+                merged[field] = incoming[field];
+                changed = true;
+            }
+        });
+        merged.updated = incoming.updated;
+    }
+
+    // Linear conversations are shown in array order, so keep them chronological
+    if (added.length > 0 && !isTree(merged)) {
+        merged.messages = sortByTimestamp(merged.messages);
+    }
+
+    return changed ? { conversation: merged, status: 'updated' } : { conversation: existing, status: 'unchanged' };
+}
+
+/**
+ * Check whether two copies of a conversation look identical
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameVersion(a, b) {
+    return a.title === b.title &&
+        getTime(a.updated) === getTime(b.updated) &&
+        a.currentId === b.currentId &&
+        a.messages.length === b.messages.length;
+}
+
+/**
+ * Check whether an imported message differs from the stored one
+ * @param {Object} message - Stored message
+ * @param {Object} update - Imported message
+ * @returns {boolean}
+ */
+function messageDiffers(message, update) {
+    return message.content !== update.content ||
+        message.role !== update.role ||
+        JSON.stringify(message.parts || null) !== JSON.stringify(update.parts || null);
+}
+
+/**
+ * Union two ID lists, keeping the order of the first
+ * @param {Array|undefined} first
+ * @param {Array|undefined} second
+ * @returns {Array|undefined}
+ */
+function mergeIds(first, second) {
+    if (!second) {
+        return first;
+    }
+    const ids = [...(first || [])];
+    second.forEach(id => {
+        if (!ids.includes(id)) {
+            ids.push(id);
+        }
+    });
+    return ids;
+}
+
+/**
+ * Sort messages by timestamp, keeping the existing order for ties
+ * @param {Array} messages
+ * @returns {Array}
+ */
+function sortByTimestamp(messages) {
+    return messages
+        .map((message, index) => ({ message, index }))
+        .sort((a, b) => (getTime(a.message.timestamp) - getTime(b.message.timestamp)) || (a.index - b.index))
+        .map(entry => entry.message);
+}
+
+/**
+ * @param {Date|string|undefined} date
+ * @returns {number}
+ */
+function getTime(date) {
+    const time = date ? new Date(date).getTime() : NaN;
+    return isNaN(time) ? 0 : time;
+}
@@ -0,0 +1,35 @@
+/**
+ * Conversations derived from a selection of messages
+ * A derived conversation is a linear copy of some messages of another
+ * conversation, with a `derivedFrom` link back to its source.
+ */
+
+import { hashString } from './conversation-schema.js';
+
+/**
+ * Create a conversation from selected messages
+ * The ID depends on the source and the selected message IDs, so saving the
+ * same selection twice updates the earlier copy instead of adding another.
+ * @param {Object} conversation - Source conversation
+ * @param {Array} messages - Selected messages, in display order
+ * @returns {Object} - Normalized conversation with `derivedFrom: {conversationId, title, messageIds}`
+ */
+export function createDerivedConversation(conversation, messages) {
+    const messageIds = messages.map(message => message.id);
+    const now = new Date();
+
+    return {
+        id: `${conversation.id}-excerpt-${hashString(messageIds.join('\n'))}`,
+        title: `${conversation.title} (excerpt)`,
+        created: now,
+        updated: now,
+        format: conversation.format,
+        derivedFrom: {
+            conversationId: conversation.id,
+            title: conversation.title,
+            messageIds
+        },
+        // Branch links are dropped: the excerpt is one linear path
+        messages: messages.map(({ parentId, childrenIds, ...message }) => ({ ...message }))
+    };
+}
@@ -0,0 +1,78 @@
+/**
+ * Plain markdown text of messages
+ * Turns typed message parts into the markdown used for search, facets and
+ * text exports. Has no DOM dependencies.
+ */
+
+// Fence language for artifact MIME types without a language of their own
+const ARTIFACT_LANGUAGES = {
+    'text/html': 'html',
+    'text/markdown': 'markdown',
+    'image/svg+xml': 'svg',
+    'application/vnd.ant.react': 'jsx',
+    'application/vnd.ant.mermaid': 'mermaid'
+};
+
+/**
+ * Build the plain markdown text of a message from its parts
+ * Code, artifacts and tool inputs become fenced blocks.
+ * @param {Array} parts - Typed parts
+ * @returns {string}
+ */
+export function partsToText(parts) {
+    return parts.map(part => {
+        switch (part.type) {
+            case 'text':
+            case 'browsing':
+                return part.text;
+            case 'code': {
+                const code = fence(part.code, part.language);
+                return part.output ? code + '\n\n' + fence(part.output) : code;
+            }
+            case 'execution_output':
+                return fence(part.text);
+            case 'artifact': {
+                const language = part.language || ARTIFACT_LANGUAGES[part.artifactType] || '';
+                const code = fence(part.content, language);
+                return part.title ? `**${part.title}**\n\n${code}` : code;
+            }
+            case 'tool_use':
+                return `**Tool: ${part.name || 'unknown'}**\n\n${fence(JSON.stringify(part.input ?? {}, null, 2), 'json')}`;
+            case 'quote':
+                return part.text.split('\n').map(line => `> ${line}`).join('\n') + (part.url ? `\n>\n> — ${part.url}` : '');
+            case 'tool_result':
+                return part.content;
+            case 'file':
+                return part.name ? `[${part.name}]` : '';
+            default:
+                return '';
+        }
+    }).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Get the markdown text of a message
+ * Messages with parts are written from them, so tool calls and artifacts are included
+ * even for conversations stored before their content carried them.
+ * @param {Object} message - Normalized message
+ * @returns {string}
+ */
+export function getMessageText(message) {
+    return Array.isArray(message.parts) && message.parts.length > 0
+        ? partsToText(message.parts)
+        : message.content || '';
+}
+
+/**
+ * Wrap text in a fenced code block
+ * The fence is longer than any backtick run in the text, so embedded fences stay inside.
+ * @param {string} text
+ * @param {string} language
+ * @returns {string}
+ */
+function fence(text, language = '') {
+    const code = String(text ?? '');
+    const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const marker = '`'.repeat(Math.max(3, longest + 1));
+    return `${marker}${language || ''}\n${code}\n${marker}`;
+}
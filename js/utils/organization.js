@@ -0,0 +1,193 @@
+/**
+ * User tags and folders
+ * Tags and folders are the user's own organization of the library. They are
+ * stored apart from the imported conversations, as one label record per
+ * conversation ({ conversationId, tags, folderId }) and one record per folder
+ * ({ id, name, parentId, created }), so importing a conversation again keeps
+ * them. Has no DOM dependencies.
+ */
+
+/**
+ * Clean up a tag typed by the user
+ * Tags are lowercase and can't contain spaces, commas or quotes, so they can be searched with tag:.
+ * @param {string} tag
+ * @returns {string} - '' if nothing is left
+ */
+export function normalizeTag(tag) {
+    return String(tag || '')
+        .toLowerCase()
+        .trim()
+        .replace(/^#/, '')
+        .replace(/"/g, '')
+        .replace(/[\s,]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Clean up a list of tags, dropping empty ones and duplicates
+ * @param {Array|string} tags - Tags, or text with tags separated by commas or spaces
+ * @returns {Array<string>}
+ */
+export function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(/[\s,]+/);
+    return Array.from(new Set(list.filter(tag => typeof tag === 'string').map(normalizeTag).filter(Boolean)));
+}
+
+/**
+ * Create a label record
+ * @param {string} conversationId
+ * @param {Array<string>} tags
+ * @param {string|null} folderId
+ * @returns {{conversationId: string, tags: Array<string>, folderId: string|null}}
+ */
+export function createLabel(conversationId, tags = [], folderId = null) {
+    return { conversationId, tags, folderId };
+}
+
+/**
+ * Check whether a label still holds anything
+ * @param {Object} label - Label record
+ * @returns {boolean}
+ */
+export function isEmptyLabel(label) {
+    return label.tags.length === 0 && !label.folderId;
+}
+
+/**
+ * Create a folder
+ * @param {string} name - Folder name
+ * @param {string|null} parentId - Parent folder, or null for the top level
+ * @returns {{id: string, name: string, parentId: string|null, created: Date}}
+ */
+export function createFolder(name, parentId = null) {
+    return {
+        id: `folder-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: String(name).trim(),
+        parentId,
+        created: new Date()
+    };
+}
+
+/**
+ * Get a folder with every folder below it
+ * @param {Array} folders - All folders
+ * @param {string} folderId
+ * @returns {Set<string>} - IDs, including folderId
+ */
+export function getFolderDescendants(folders, folderId) {
+    const ids = new Set([folderId]);
+    let added = true;
+    while (added) {
+        added = false;
+        folders.forEach(folder => {
+            if (folder.parentId && ids.has(folder.parentId) && !ids.has(folder.id)) {
+                ids.add(folder.id);
+                added = true;
+            }
+        });
+    }
+    return ids;
+}
+
+/**
+ * Get the names of a folder and its parents
+ * @param {Array} folders - All folders
+ * @param {string|null} folderId
+ * @returns {Array<string>} - From the top level down, e.g. ['Work', 'Client A']; empty for no folder
+ */
+export function getFolderPath(folders, folderId) {
+    const byId = new Map(folders.map(folder => [folder.id, folder]));
+    const path = [];
+    const seen = new Set();
+    let folder = byId.get(folderId);
+    // A broken parent chain can't loop forever
+    while (folder && !seen.has(folder.id)) {
+        seen.add(folder.id);
+        path.unshift(folder.name);
+        folder = byId.get(folder.parentId);
+    }
+    return path;
+}
+
+/**
+ * Find the folder at a path
+ * @param {Array} folders - All folders
+ * @param {Array<string>} path - Folder names from the top level down
+ * @returns {{folderId: string|null, missing: Array<string>}} - Deepest existing folder on the path,
+ *     and the names below it that don't exist yet
+ */
+export function findFolderPath(folders, path) {
+    let folderId = null;
+    for (let depth = 0; depth < path.length; depth++) {
+        const folder = folders.find(candidate =>
+            candidate.parentId === folderId && candidate.name === path[depth]);
+        if (!folder) {
+            return { folderId, missing: path.slice(depth) };
+        }
+        folderId = folder.id;
+    }
+    return { folderId, missing: [] };
+}
+
+/**
+ * Read a folder path from an export
+ * @param {*} path - Folder names from the top level down
+ * @returns {Array<string>} - Valid, trimmed names; empty if the path is unusable
+ */
+export function normalizeFolderPath(path) {
+    if (!Array.isArray(path)) {
+        return [];
+    }
+    const names = path.map(name => typeof name === 'string' ? name.trim() : '');
+    return names.every(Boolean) ? names : [];
+}
+
+/**
+ * Order folders for display as a tree
+ * Folders are sorted by name under their parent. Folders whose parent is gone
+ * are shown at the top level.
+ * @param {Array} folders - All folders
+ * @returns {Array<{folder: Object, depth: number, hasChildren: boolean}>} - Depth-first order
+ */
+export function flattenFolderTree(folders) {
+    const ids = new Set(folders.map(folder => folder.id));
+    const children = new Map();
+    folders.forEach(folder => {
+        const parentId = ids.has(folder.parentId) ? folder.parentId : null;
+        if (!children.has(parentId)) {
+            children.set(parentId, []);
+        }
+        children.get(parentId).push(folder);
+    });
+
+    const nodes = [];
+    const visited = new Set();
+    const visit = (parentId, depth) => {
+        (children.get(parentId) || [])
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }))
+            .forEach(folder => {
+                if (visited.has(folder.id)) {
+                    return;
+                }
+                visited.add(folder.id);
+                nodes.push({ folder, depth, hasChildren: children.has(folder.id) });
+                visit(folder.id, depth + 1);
+            });
+    };
+    visit(null, 0);
+    return nodes;
+}
+
+/**
+ * Count the tags used by conversations
+ * @param {Array} conversations - Conversations or headers
+ * @param {Function} getTags - (conversationId) => tags
+ * @returns {Map<string, number>} - Tag to conversation count, most used first
+ */
+export function countTags(conversations, getTags) {
+    const counts = new Map();
+    conversations.forEach(conv => {
+        getTags(conv.id).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return new Map(Array.from(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+}
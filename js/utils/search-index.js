@@ -0,0 +1,416 @@
+/**
+ * Full-text search index
+ * An inverted index over conversation titles and messages, ranked with BM25.
+ * Each conversation is indexed from a search record ({conversationId, version,
+ * models, hasCode, docs}) that is built once - in the import worker - and stored in
+ * IndexedDB, so the index is never rebuilt from the messages. Has no DOM
+ * dependencies.
+ */
+
+import { getFacetInfo } from './facets.js';
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Title matches rank above the same match in a message
+const TITLE_BOOST = 2;
+// Words that only start with a query word count for less than exact matches
+const PREFIX_WEIGHT = 0.5;
+// Most words a query word expands to as a prefix
+const MAX_PREFIX_EXPANSIONS = 50;
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 64;
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+// Parts of camelCase, PascalCase and ACRONYMCase identifiers
+const IDENTIFIER_PART_PATTERN = /\p{Lu}+(?!\p{Ll})|\p{Lu}?\p{Ll}+|\p{N}+/gu;
+
+// messageId of the document that holds the conversation title
+export const TITLE_DOC_ID = '';
+
+// Records built by an older version are rebuilt when the index loads
+export const SEARCH_RECORD_VERSION = 3;
+
+/**
+ * Split text into lowercase search terms
+ * Code identifiers are indexed whole and by their parts, so `getUserName`
+ * and `get_user_name` are found by "getusername", "user" or "name".
+ * @param {string} text
+ * @returns {Array<string>} - Terms in order, with repeats
+ */
+export function tokenize(text) {
+    const tokens = [];
+    forEachToken(text, token => tokens.push(token));
+    return tokens;
+}
+
+/**
+ * Call a function for every search term in a text, with where it starts
+ * Uses the same rules as tokenize(), so highlights land where the index matched.
+ * @param {string} text
+ * @param {Function} callback - (token, start) => void, with the token lowercased and
+ *     start its index in the text
+ */
+export function forEachToken(text, callback) {
+    for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+        const word = match[0];
+        addToken(callback, word.toLowerCase(), match.index);
+
+        const parts = [];
+        let offset = match.index;
+        word.split('_').forEach(piece => {
+            for (const part of piece.matchAll(IDENTIFIER_PART_PATTERN)) {
+                parts.push([part[0], offset + part.index]);
+            }
+            offset += piece.length + 1;
+        });
+        if (parts.length > 1) {
+            parts.forEach(([part, start]) => addToken(callback, part.toLowerCase(), start));
+        }
+    }
+}
+
+/**
+ * Get the words of a search query
+ * @param {string} query
+ * @returns {Array<string>} - Unique lowercase words
+ */
+export function getQueryTerms(query) {
+    const terms = Array.from(String(query || '').toLowerCase().matchAll(WORD_PATTERN), ([word]) => word)
+        .filter(word => word.length <= MAX_TOKEN_LENGTH);
+    return Array.from(new Set(terms));
+}
+
+/**
+ * Build the search record of a conversation
+ * The record has one document for the title and one per message with text,
+ * plus the models that wrote the messages and whether they contain code.
+ * @param {Object} conversation - Normalized conversation with its messages
+ * @returns {{conversationId: string, version: number, models: Array<string>, hasCode: boolean,
+ *     docs: Array<{messageId: string, role: string|null, length: number, terms: Object}>}}
+ */
+export function buildSearchRecord(conversation) {
+    const messages = conversation.messages || [];
+    const docs = [createDoc(TITLE_DOC_ID, null, conversation.title)];
+    messages.forEach(message => {
+        if (message.content?.trim()) {
+            docs.push(createDoc(message.id, message.role, message.content));
+        }
+    });
+
+    const { models, hasCode } = getFacetInfo(conversation);
+    return {
+        conversationId: conversation.id,
+        version: SEARCH_RECORD_VERSION,
+        models,
+        hasCode,
+        docs: docs.filter(doc => doc.length > 0)
+    };
+}
+
+/**
+ * Cut a snippet around the first match in a text
+ * @param {string} text - Message text
+ * @param {Function} locate - (text) => index of the first match, or -1; called with
+ *     the text's whitespace collapsed
+ * @param {number} maxLength - Snippet length in characters
+ * @returns {string} - Plain text, with "…" where it was cut
+ */
+export function buildSnippet(text, locate, maxLength = 140) {
+    const flat = String(text || '').replace(/\s+/g, ' ').trim();
+    const match = Math.max(0, locate(flat));
+
+    let start = Math.max(0, match - Math.floor(maxLength / 3));
+    if (start > 0) {
+        // Start at a word boundary
+        const space = flat.indexOf(' ', start);
+        start = space >= 0 && space < match ? space + 1 : start;
+    }
+    const end = Math.min(flat.length, start + maxLength);
+
+    return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+}
+
+export class SearchIndex {
+    constructor() {
+        // term -> Map(docId -> term frequency)
+        this.postings = new Map();
+        // docId -> { conversationId, messageId, role, length, terms }
+        this.docs = new Map();
+        // conversationId -> docIds
+        this.conversationDocs = new Map();
+        // conversationId -> models
+        this.conversationModels = new Map();
+        // Conversations with code blocks
+        this.codeConversations = new Set();
+        this.nextDocId = 0;
+        this.totalLength = 0;
+        // Sorted terms for prefix lookups, rebuilt after changes
+        this.sortedTerms = null;
+    }
+
+    /**
+     * Check whether a conversation is indexed
+     * @param {string} conversationId
+     * @returns {boolean}
+     */
+    has(conversationId) {
+        return this.conversationDocs.has(conversationId);
+    }
+
+    /**
+     * Get the models that wrote a conversation's messages
+     * @param {string} conversationId
+     * @returns {Array<string>}
+     */
+    getModels(conversationId) {
+        return this.conversationModels.get(conversationId) || [];
+    }
+
+    /**
+     * Check whether a conversation's messages contain code
+     * @param {string} conversationId
+     * @returns {boolean}
+     */
+    hasCode(conversationId) {
+        return this.codeConversations.has(conversationId);
+    }
+
+    /**
+     * Add search records, replacing earlier records of the same conversations
+     * @param {Array} records - Records from buildSearchRecord
+     */
+    addRecords(records) {
+        records.forEach(record => {
+            this.removeConversations([record.conversationId]);
+
+            const docIds = record.docs.map(doc => {
+                const docId = this.nextDocId++;
+                const terms = Object.keys(doc.terms);
+                this.docs.set(docId, {
+                    conversationId: record.conversationId,
+                    messageId: doc.messageId,
+                    role: doc.role,
+                    length: doc.length,
+                    terms
+                });
+                this.totalLength += doc.length;
+
+                terms.forEach(term => {
+                    if (!this.postings.has(term)) {
+                        this.postings.set(term, new Map());
+                        this.sortedTerms = null;
+                    }
+                    this.postings.get(term).set(docId, doc.terms[term]);
+                });
+                return docId;
+            });
+
+            this.conversationDocs.set(record.conversationId, docIds);
+            this.conversationModels.set(record.conversationId, record.models || []);
+            if (record.hasCode) {
+                this.codeConversations.add(record.conversationId);
+            }
+        });
+    }
+
+    /**
+     * Remove conversations from the index
+     * @param {Array<string>} conversationIds
+     */
+    removeConversations(conversationIds) {
+        conversationIds.forEach(conversationId => {
+            (this.conversationDocs.get(conversationId) || []).forEach(docId => {
+                const doc = this.docs.get(docId);
+                doc.terms.forEach(term => {
+                    const postings = this.postings.get(term);
+                    postings.delete(docId);
+                    if (postings.size === 0) {
+                        this.postings.delete(term);
+                        this.sortedTerms = null;
+                    }
+                });
+                this.totalLength -= doc.length;
+                this.docs.delete(docId);
+            });
+            this.conversationDocs.delete(conversationId);
+            this.conversationModels.delete(conversationId);
+            this.codeConversations.delete(conversationId);
+        });
+    }
+
+    /**
+     * Find the conversations matching every word of a query
+     * All words must appear in the same document (the title or one message).
+     * Each word also matches longer words it starts with, so results update
+     * while typing.
+     * @param {Array<string>} queryTerms - Lowercase words, see getQueryTerms()
+     * @param {Object} options - Search options
+     * @param {boolean} [options.titleOnly] - Only search titles
+     * @param {Function} [options.acceptRole] - (role) => boolean, which messages to search;
+     *     titles are skipped when given
+     * @returns {Array<{conversationId: string, messageId: string, score: number, terms: Array<string>}>} - Best
+     *     match per conversation, highest score first; messageId is TITLE_DOC_ID for title matches
+     */
+    search(queryTerms, { titleOnly = false, acceptRole = null } = {}) {
+        if (queryTerms.length === 0 || this.docs.size === 0) {
+            return [];
+        }
+
+        const averageLength = this.totalLength / this.docs.size;
+        let candidates = null;
+
+        // Score every query word separately, then keep documents that match all of them
+        const wordScores = queryTerms.map(queryTerm => {
+            const scores = new Map();
+            const matched = new Map();
+
+            this.expandTerm(queryTerm).forEach(term => {
+                const postings = this.postings.get(term);
+                const weight = term === queryTerm ? 1 : PREFIX_WEIGHT;
+                const idf = Math.log(1 + (this.docs.size - postings.size + 0.5) / (postings.size + 0.5));
+
+                postings.forEach((frequency, docId) => {
+                    const length = this.docs.get(docId).length;
+                    const score = weight * idf * (frequency * (K1 + 1)) /
+                        (frequency + K1 * (1 - B + B * length / averageLength));
+                    if (score > (scores.get(docId) || 0)) {
+                        scores.set(docId, score);
+                        matched.set(docId, term);
+                    }
+                });
+            });
+
+            return { scores, matched };
+        });
+
+        wordScores.forEach(({ scores }) => {
+            candidates = candidates === null
+                ? new Set(scores.keys())
+                : new Set([...candidates].filter(docId => scores.has(docId)));
+        });
+
+        // Keep the best document of each conversation
+        const best = new Map();
+        candidates.forEach(docId => {
+            const doc = this.docs.get(docId);
+            if (!this.acceptsDoc(doc, titleOnly, acceptRole)) {
+                return;
+            }
+            const boost = doc.messageId === TITLE_DOC_ID ? TITLE_BOOST : 1;
+            const score = boost * wordScores.reduce((total, { scores }) => total + scores.get(docId), 0);
+
+            const current = best.get(doc.conversationId);
+            if (!current || score > current.score) {
+                best.set(doc.conversationId, {
+                    conversationId: doc.conversationId,
+                    messageId: doc.messageId,
+                    score,
+                    terms: wordScores.map(({ matched }) => matched.get(docId))
+                });
+            }
+        });
+
+        return Array.from(best.values()).sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Find the conversations containing a word anywhere
+     * Used to exclude words from a search, so every prefix match counts.
+     * @param {string} queryTerm - Lowercase word
+     * @param {Object} options - { titleOnly }, see search()
+     * @returns {Set<string>} - Conversation IDs
+     */
+    findConversations(queryTerm, { titleOnly = false } = {}) {
+        const conversationIds = new Set();
+        this.expandTerm(queryTerm, Infinity).forEach(term => {
+            this.postings.get(term).forEach((frequency, docId) => {
+                const doc = this.docs.get(docId);
+                if (this.acceptsDoc(doc, titleOnly, null)) {
+                    conversationIds.add(doc.conversationId);
+                }
+            });
+        });
+        return conversationIds;
+    }
+
+    /**
+     * Check whether a document is searched with the given options
+     * @param {Object} doc - Indexed document
+     * @param {boolean} titleOnly - Only search titles
+     * @param {Function|null} acceptRole - Message role filter; titles are skipped when given
+     * @returns {boolean}
+     */
+    acceptsDoc(doc, titleOnly, acceptRole) {
+        const isTitle = doc.messageId === TITLE_DOC_ID;
+        if (titleOnly) {
+            return isTitle;
+        }
+        return acceptRole ? !isTitle && acceptRole(doc.role) : true;
+    }
+
+    /**
+     * Get the indexed terms a query word matches: itself and the words it starts
+     * @param {string} queryTerm
+     * @param {number} limit - Most terms to return; the shortest are kept
+     * @returns {Array<string>}
+     */
+    expandTerm(queryTerm, limit = MAX_PREFIX_EXPANSIONS) {
+        if (!this.sortedTerms) {
+            this.sortedTerms = Array.from(this.postings.keys()).sort();
+        }
+
+        // Binary search for the first term >= queryTerm
+        let low = 0;
+        let high = this.sortedTerms.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.sortedTerms[middle] < queryTerm) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        const terms = [];
+        for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(queryTerm); i++) {
+            terms.push(this.sortedTerms[i]);
+        }
+
+        // Prefer the closest words when a short prefix matches many
+        return terms.length > limit
+            ? terms.sort((a, b) => a.length - b.length).slice(0, limit)
+            : terms;
+    }
+}
+
+/**
+ * Create the document of a title or message
+ * @param {string} messageId - Message ID, or TITLE_DOC_ID
+ * @param {string|null} role - Message role, null for the title
+ * @param {string} text
+ * @returns {{messageId: string, role: string|null, length: number, terms: Object}} - terms maps each
+ *     term to its frequency
+ */
+function createDoc(messageId, role, text) {
+    const tokens = tokenize(text);
+    const terms = {};
+    tokens.forEach(token => {
+        terms[token] = (terms[token] || 0) + 1;
+    });
+    return { messageId, role, length: tokens.length, terms };
+}
+
+/**
+ * Pass on a token if it has a useful length
+ * @param {Function} callback - (token, start) => void
+ * @param {string} token
+ * @param {number} start - Index of the token in the text
+ */
+function addToken(callback, token, start) {
+    if (token.length >= MIN_TOKEN_LENGTH && token.length <= MAX_TOKEN_LENGTH) {
+        callback(token, start);
+    }
+}
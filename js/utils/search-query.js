@@ -0,0 +1,632 @@
+/**
+ * Search query language
+ * Parses the search box into groups of terms and matches them against
+ * conversations. Shared by the sidebar (which conversations match) and the
+ * chat view (what to highlight), so both agree on what matched.
+ *
+ * Syntax: words, "quoted phrases", /regex/ (with optional i, m, s or u flags),
+ * -excluded terms, OR between groups of terms, and the filters role:, model:,
+ * platform:, tag:, before:, after: and in:title. Terms within a group must all
+ * match; a conversation matches when any group does.
+ */
+
+import { getPlatformName } from '../format-registry.js';
+import { getQueryTerms, tokenize, forEachToken, TITLE_DOC_ID } from './search-index.js';
+import { normalizeTag } from './organization.js';
+
+export const SEARCH_ROLES = ['system', 'user', 'assistant', 'tool'];
+
+const FILTER_FIELDS = ['role', 'model', 'platform', 'tag', 'before', 'after', 'in'];
+const REGEX_FLAGS = /^[imsu]*$/;
+const DATE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+
+/**
+ * Parse a search query
+ * Invalid terms are reported in `errors` and left out, so the rest of the query still works.
+ * @param {string} input - Text of the search box
+ * @returns {{groups: Array<Object>, errors: Array<{message: string, start: number, end: number}>}} - Groups
+ *     of terms joined by OR; see createGroup() for their fields
+ */
+export function parseSearchQuery(input) {
+    const text = String(input || '');
+    const errors = [];
+    const groups = [createGroup()];
+    let previousWasOr = true;
+    let lastOr = null;
+
+    const addError = (message, token) => errors.push({ message, start: token.start, end: token.end });
+
+    lexQuery(text).forEach(token => {
+        const group = groups[groups.length - 1];
+
+        if (token.type === 'or') {
+            if (previousWasOr) {
+                addError('OR needs a search term on both sides', token);
+            } else {
+                groups.push(createGroup());
+            }
+            previousWasOr = true;
+            lastOr = token;
+            return;
+        }
+        previousWasOr = false;
+
+        if (token.error) {
+            addError(token.error, token);
+            return;
+        }
+
+        switch (token.type) {
+            case 'phrase': {
+                const words = getQueryTerms(token.value);
+                if (words.length > 0) {
+                    (token.negated ? group.excluded : group.included).push({ type: 'phrase', value: token.value, words });
+                }
+                break;
+            }
+            case 'regex':
+                (token.negated ? group.excluded : group.included).push({ type: 'regex', regex: token.regex });
+                break;
+            case 'word': {
+                const words = getQueryTerms(token.value);
+                words.forEach(word => {
+                    (token.negated ? group.excluded : group.included).push({ type: 'word', value: word, words: [word] });
+                });
+                break;
+            }
+            case 'filter': {
+                const error = applyFilter(group, token);
+                if (error) {
+                    addError(error, token);
+                }
+                break;
+            }
+        }
+    });
+
+    if (previousWasOr && lastOr && groups.length > 1) {
+        addError('OR needs a search term on both sides', lastOr);
+    }
+
+    return { groups: groups.filter(group => !isEmptyGroup(group)), errors };
+}
+
+/**
+ * Check whether a parsed query has anything to search for
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {boolean}
+ */
+export function hasSearchTerms(parsed) {
+    return parsed.groups.length > 0;
+}
+
+/**
+ * Check whether a group can only be checked against the messages themselves
+ * Words and filters are answered by the search index; phrases, regular
+ * expressions, excluded phrases and role filters without words are not.
+ * @param {Object} group - Query group
+ * @returns {boolean}
+ */
+export function needsMessages(group) {
+    return group.included.some(term => term.type !== 'word') ||
+        group.excluded.some(term => term.type !== 'word') ||
+        (getIndexWords(group).length === 0 && hasRoleFilter(group));
+}
+
+/**
+ * Get the words of a group the search index can look up
+ * @param {Object} group - Query group
+ * @returns {Array<string>}
+ */
+export function getIndexWords(group) {
+    return Array.from(new Set(group.included.flatMap(term => term.words || [])));
+}
+
+/**
+ * Get the words whose conversations a group excludes
+ * @param {Object} group - Query group
+ * @returns {Array<string>}
+ */
+export function getExcludedWords(group) {
+    return group.excluded.filter(term => term.type === 'word').map(term => term.value);
+}
+
+/**
+ * Build the role test of a group
+ * @param {Object} group - Query group
+ * @returns {Function|null} - (role) => boolean, or null when the group has no role filter
+ */
+export function getRoleFilter(group) {
+    if (!hasRoleFilter(group)) {
+        return null;
+    }
+    return role => (group.roles.length === 0 || group.roles.includes(role)) && !group.excludedRoles.includes(role);
+}
+
+/**
+ * Find the conversations that may match a group, using the search index
+ * Candidates of groups that needsMessages() still have to be checked with matchGroup().
+ * @param {Object} group - Query group
+ * @param {SearchIndex} index - Search index
+ * @param {Array} conversations - Conversations or headers to search
+ * @param {Function} [getTags] - (conversationId) => the conversation's tags
+ * @returns {Array<{conversationId: string, messageId: string, score: number}>} - Unordered
+ */
+export function findCandidates(group, index, conversations, getTags = () => []) {
+    const byId = new Map(conversations.map(conv => [conv.id, conv]));
+    const words = getIndexWords(group);
+    const candidates = words.length > 0
+        ? index.search(words, { titleOnly: group.titleOnly, acceptRole: getRoleFilter(group) })
+        // Filters alone match every conversation
+        : conversations.map(conv => ({ conversationId: conv.id, messageId: TITLE_DOC_ID, score: 0 }));
+
+    const excluded = new Set();
+    getExcludedWords(group).forEach(word => {
+        index.findConversations(word, { titleOnly: group.titleOnly }).forEach(id => excluded.add(id));
+    });
+
+    return candidates.filter(candidate => {
+        const conversation = byId.get(candidate.conversationId);
+        return conversation && !excluded.has(conversation.id) &&
+            matchesFilters(group, conversation, index.getModels(conversation.id), getTags(conversation.id));
+    });
+}
+
+/**
+ * Check the filters of a group that only need the conversation header
+ * @param {Object} group - Query group
+ * @param {Object} conversation - Conversation or header
+ * @param {Array<string>|null} models - Models of the conversation, or null if unknown
+ * @param {Array<string>} [tags] - Tags of the conversation
+ * @returns {boolean}
+ */
+export function matchesFilters(group, conversation, models, tags = []) {
+    if (group.after && conversation.updated < group.after) {
+        return false;
+    }
+    if (group.before && conversation.updated >= group.before) {
+        return false;
+    }
+
+    const platformIds = [conversation.format, getPlatformName(conversation.format)]
+        .map(id => String(id || '').toLowerCase().replace(/\s+/g, ''));
+    const isPlatform = value => platformIds.includes(value);
+    if (group.platforms.length > 0 && !group.platforms.some(isPlatform)) {
+        return false;
+    }
+    if (group.excludedPlatforms.some(isPlatform)) {
+        return false;
+    }
+
+    if (group.tags.length > 0 && !group.tags.some(tag => tags.includes(tag))) {
+        return false;
+    }
+    if (group.excludedTags.some(tag => tags.includes(tag))) {
+        return false;
+    }
+
+    if (group.models.length > 0 || group.excludedModels.length > 0) {
+        if (!models) {
+            return false;
+        }
+        const usesModel = value => models.some(model => model.toLowerCase().startsWith(value));
+        if (group.models.length > 0 && !group.models.some(usesModel)) {
+            return false;
+        }
+        if (group.excludedModels.some(usesModel)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Match a group against a conversation
+ * Without messages (a header) only the title and the header filters are checked.
+ * @param {Object} group - Query group
+ * @param {Object} conversation - Conversation or header
+ * @param {string|null} preferredId - Document to report if it matches, e.g. the index's best match
+ * @param {Array<string>} [tags] - Tags of the conversation
+ * @returns {string|null} - ID of the matching message, TITLE_DOC_ID for the title, or null if
+ *     the conversation doesn't match
+ */
+export function matchGroup(group, conversation, preferredId = null, tags = []) {
+    const messages = conversation.messages || null;
+    const models = messages
+        ? Array.from(new Set(messages.map(message => message.metadata?.model).filter(Boolean)))
+        : null;
+    if (!matchesFilters(group, conversation, models, tags)) {
+        return null;
+    }
+
+    const docs = [{ id: TITLE_DOC_ID, role: null, text: conversation.title || '' }];
+    if (messages && !group.titleOnly) {
+        messages.forEach(message => {
+            if (message.content?.trim()) {
+                docs.push({ id: message.id, role: message.role, text: message.content });
+            }
+        });
+    }
+
+    if (group.excluded.some(term => docs.some(doc => matchesTerm(term, doc.text)))) {
+        return null;
+    }
+
+    const acceptRole = getRoleFilter(group);
+    const candidates = docs.filter(doc => acceptRole && !group.titleOnly
+        ? doc.id !== TITLE_DOC_ID && acceptRole(doc.role)
+        : true);
+    const preferred = candidates.find(doc => doc.id === preferredId);
+    const ordered = preferred ? [preferred, ...candidates] : candidates;
+
+    const match = ordered.find(doc => group.included.every(term => matchesTerm(term, doc.text)));
+    return match ? match.id : null;
+}
+
+/**
+ * Find the parts of a text that a query highlights
+ * Only groups that search this kind of text count, so the chat view doesn't
+ * highlight messages for an in:title query, or other roles for a role: query.
+ * @param {string} text - Text to search
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @param {Object} context - Where the text comes from
+ * @param {boolean} [context.title] - The text is a conversation title
+ * @param {string} [context.role] - Role of the message the text comes from
+ * @returns {Array<Array<number>>} - Sorted, non-overlapping [start, end] ranges
+ */
+export function findMatchRanges(text, parsed, { title = false, role = null } = {}) {
+    const ranges = [];
+
+    parsed.groups.forEach(group => {
+        const acceptRole = getRoleFilter(group);
+        if (title ? acceptRole && !group.titleOnly : group.titleOnly || (acceptRole && !acceptRole(role))) {
+            return;
+        }
+        group.included.forEach(term => {
+            if (term.type === 'word') {
+                collectWordRanges(term.value, text, ranges);
+            } else {
+                collectRanges(getTermPattern(term), text, ranges);
+            }
+        });
+    });
+
+    return mergeRanges(ranges);
+}
+
+/**
+ * Lowercase text for whole-phrase comparison
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Check whether a term matches a text
+ * Words match the start of a word in the text, like in the search index.
+ * @param {Object} term - Query term
+ * @param {string} text
+ * @returns {boolean}
+ */
+function matchesTerm(term, text) {
+    switch (term.type) {
+        case 'word':
+            return tokenize(text).some(token => token.startsWith(term.value));
+        case 'phrase':
+            return normalizeText(text).includes(normalizeText(term.value).trim());
+        case 'regex':
+            term.regex.lastIndex = 0;
+            return term.regex.test(text);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Get a global regular expression that finds a phrase or regex term in text
+ * @param {Object} term - Query term
+ * @returns {RegExp}
+ */
+function getTermPattern(term) {
+    if (term.type === 'regex') {
+        return new RegExp(term.regex.source, term.regex.flags.includes('g') ? term.regex.flags : `${term.regex.flags}g`);
+    }
+    const source = term.value.trim().split(/\s+/).map(escapeRegex).join('\\s+');
+    return new RegExp(source, 'giu');
+}
+
+/**
+ * Add the ranges where a word term matches
+ * Like the search index, a word only matches at the start of a token, including the
+ * parts of code identifiers, so "cat" finds "catalog" and "getCatName" but not "concatenate".
+ * @param {string} word - Lowercase query word
+ * @param {string} text
+ * @param {Array} ranges - Receives [start, end] pairs
+ */
+function collectWordRanges(word, text, ranges) {
+    const pattern = new RegExp(escapeRegex(word), 'iuy');
+    forEachToken(text, (token, start) => {
+        if (token.startsWith(word)) {
+            pattern.lastIndex = start;
+            const match = pattern.exec(text);
+            ranges.push([start, start + (match ? match[0].length : word.length)]);
+        }
+    });
+}
+
+/**
+ * Add the ranges of every match of a pattern
+ * @param {RegExp} pattern - Global regular expression
+ * @param {string} text
+ * @param {Array} ranges - Receives [start, end] pairs
+ */
+function collectRanges(pattern, text, ranges) {
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            // Don't loop forever on patterns that match the empty string
+            pattern.lastIndex++;
+            continue;
+        }
+        ranges.push([match.index, match.index + match[0].length]);
+    }
+}
+
+/**
+ * Sort ranges and merge the ones that overlap
+ * @param {Array<Array<number>>} ranges
+ * @returns {Array<Array<number>>}
+ */
+function mergeRanges(ranges) {
+    const merged = [];
+    ranges.sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} text - Query text
+ * @returns {Array<Object>} - Tokens: { type: 'word'|'phrase'|'regex'|'filter'|'or', value, negated,
+ *     start, end, error? }
+ */
+function lexQuery(text) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < text.length) {
+        if (/\s/.test(text[index])) {
+            index++;
+            continue;
+        }
+
+        const start = index;
+        const negated = text[index] === '-' && index + 1 < text.length && !/\s/.test(text[index + 1]);
+        if (negated) {
+            index++;
+        }
+
+        if (text[index] === '"') {
+            const close = text.indexOf('"', index + 1);
+            const end = close === -1 ? text.length : close + 1;
+            tokens.push({
+                type: 'phrase',
+                value: text.slice(index + 1, close === -1 ? text.length : close),
+                negated,
+                start,
+                end,
+                error: close === -1 ? 'Missing closing quote' : null
+            });
+            index = end;
+            continue;
+        }
+
+        const regex = text[index] === '/' ? readRegex(text, index) : null;
+        if (regex) {
+            tokens.push({ ...regex, type: 'regex', negated, start });
+            index = regex.end;
+            continue;
+        }
+
+        let end = index;
+        while (end < text.length && !/\s/.test(text[end])) {
+            end++;
+        }
+        const word = text.slice(index, end);
+        index = end;
+
+        if (word === 'OR' && !negated) {
+            tokens.push({ type: 'or', start, end });
+            continue;
+        }
+
+        const colon = word.indexOf(':');
+        const field = colon > 0 ? word.slice(0, colon).toLowerCase() : null;
+        if (field && FILTER_FIELDS.includes(field)) {
+            tokens.push({ type: 'filter', field, value: word.slice(colon + 1), negated, start, end });
+        } else {
+            tokens.push({ type: 'word', value: word, negated, start, end });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Read a /regex/flags token
+ * Slashes that don't close with valid flags followed by a space (such as
+ * paths like /usr/bin) are read as words instead.
+ * @param {string} text - Query text
+ * @param {number} index - Position of the opening slash
+ * @returns {Object|null} - { regex, end, error? }, or null if this isn't a regular expression
+ */
+function readRegex(text, index) {
+    let close = -1;
+    for (let i = index + 1; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '/') {
+            close = i;
+            break;
+        }
+    }
+    if (close === -1 || close === index + 1) {
+        return null;
+    }
+
+    let end = close + 1;
+    while (end < text.length && !/\s/.test(text[end])) {
+        end++;
+    }
+    const flags = text.slice(close + 1, end);
+    if (!REGEX_FLAGS.test(flags)) {
+        return null;
+    }
+
+    try {
+        return { regex: new RegExp(text.slice(index + 1, close), flags), end };
+    } catch (error) {
+        return { regex: null, end, error: `Invalid regular expression: ${error.message}` };
+    }
+}
+
+/**
+ * Apply a field filter to a group
+ * @param {Object} group - Query group
+ * @param {Object} token - Filter token
+ * @returns {string|null} - Error message, or null
+ */
+function applyFilter(group, token) {
+    const { field, negated } = token;
+    const values = token.value.toLowerCase().split(',').filter(Boolean);
+    if (values.length === 0) {
+        return `${field}: needs a value`;
+    }
+
+    switch (field) {
+        case 'role': {
+            const unknown = values.find(value => !SEARCH_ROLES.includes(value));
+            if (unknown) {
+                return `Unknown role "${unknown}"; use ${SEARCH_ROLES.join(', ')}`;
+            }
+            (negated ? group.excludedRoles : group.roles).push(...values);
+            return null;
+        }
+        case 'model':
+            (negated ? group.excludedModels : group.models).push(...values);
+            return null;
+        case 'platform':
+            (negated ? group.excludedPlatforms : group.platforms).push(...values.map(value => value.replace(/\s+/g, '')));
+            return null;
+        case 'tag':
+            (negated ? group.excludedTags : group.tags).push(...values.map(normalizeTag).filter(Boolean));
+            return null;
+        case 'before':
+        case 'after': {
+            if (negated) {
+                return `${field}: can't be excluded; use ${field === 'before' ? 'after' : 'before'}: instead`;
+            }
+            const date = parseDate(values[0]);
+            if (!date) {
+                return `${field}: needs a date like 2025-01-31, 2025-01 or 2025`;
+            }
+            group[field] = date;
+            return null;
+        }
+        case 'in':
+            if (values[0] !== 'title' || negated) {
+                return 'Only in:title is supported';
+            }
+            group.titleOnly = true;
+            return null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parse a filter date in local time
+ * before: excludes the given day, month or year; after: includes it.
+ * @param {string} value - YYYY, YYYY-MM or YYYY-MM-DD
+ * @returns {Date|null} - Start of the period, or null if invalid
+ */
+function parseDate(value) {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) {
+        return null;
+    }
+
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : 0;
+    const day = match[3] ? Number(match[3]) : 1;
+    const date = new Date(year, month, day);
+
+    // Reject dates that roll over, such as 2025-02-30
+    if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Create an empty query group
+ * @returns {Object} - included and excluded terms ({type: 'word'|'phrase'|'regex', ...}), role, model,
+ *     platform and tag filters, before and after dates, and whether only titles are searched
+ */
+function createGroup() {
+    return {
+        included: [],
+        excluded: [],
+        roles: [],
+        excludedRoles: [],
+        models: [],
+        excludedModels: [],
+        platforms: [],
+        excludedPlatforms: [],
+        tags: [],
+        excludedTags: [],
+        before: null,
+        after: null,
+        titleOnly: false
+    };
+}
+
+/**
+ * Check whether a group has no terms or filters
+ * @param {Object} group - Query group
+ * @returns {boolean}
+ */
+function isEmptyGroup(group) {
+    return group.included.length === 0 && group.excluded.length === 0 && !hasRoleFilter(group) &&
+        group.models.length === 0 && group.excludedModels.length === 0 &&
+        group.platforms.length === 0 && group.excludedPlatforms.length === 0 &&
+        group.tags.length === 0 && group.excludedTags.length === 0 &&
+        !group.before && !group.after && !group.titleOnly;
+}
+
+/**
+ * Check whether a group filters messages by role
+ * @param {Object} group - Query group
+ * @returns {boolean}
+ */
+function hasRoleFilter(group) {
+    return group.roles.length > 0 || group.excludedRoles.length > 0;
+}
+
+/**
+ * Escape special regex characters
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
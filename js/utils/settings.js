@@ -0,0 +1,79 @@
+/**
+ * User settings persisted in localStorage
+ */
+
+const SETTINGS_KEY = 'llm-conversations-settings';
+
+const DEFAULTS = {
+    // How re-imported conversations that already exist are handled: 'merge', 'replace' or 'keep'
+    importStrategy: 'merge',
+    // Base URLs of self-hosted instances, used for "Continue conversation" links
+    openWebUIUrl: '',
+    libreChatUrl: '',
+    // Last export format ('json', 'markdown', 'html' or 'dataset') and its options
+    exportFormat: 'json',
+    exportTimestamps: false,
+    // Last dataset export format and options, see export-dataset.js
+    datasetFormat: 'openai-jsonl',
+    datasetRoles: ['user', 'assistant'],
+    datasetDropSystem: false,
+    datasetLastTurns: 0,
+    datasetValidationPercent: 0,
+    // Sidebar filter panel, see createFacetFilters() in facets.js
+    sidebarFilters: null,
+    // Sidebar sort order, see SORT_ORDERS in conversation-list.js
+    sidebarSort: 'updated'
+};
+
+export class Settings {
+    /**
+     * Get a setting, falling back to its default
+     * @param {string} key - Setting name
+     * @returns {*}
+     */
+    static get(key) {
+        const settings = this._load();
+        return key in settings ? settings[key] : DEFAULTS[key];
+    }
+
+    /**
+     * Get all settings, including defaults for unset ones
+     * @returns {Object}
+     */
+    static getAll() {
+        return { ...DEFAULTS, ...this._load() };
+    }
+
+    /**
+     * Change a setting
+     * @param {string} key - Setting name
+     * @param {*} value - New value
+     */
+    static set(key, value) {
+        const settings = this._load();
+        settings[key] = value;
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        } catch (error) {
+            console.error('Error saving settings:', error);
+        }
+    }
+
+    /**
+     * Read the stored settings
+     * @private
+     */
+    static _load() {
+        // Not available in the import worker
+        if (typeof localStorage === 'undefined') {
+            return {};
+        }
+        try {
+            const data = localStorage.getItem(SETTINGS_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            return {};
+        }
+    }
+}
@@ -9,8 +9,10 @@ const STORAGE_KEY = 'llm-conversations';
 
 export class Storage {
     /**
-     * Save conversations to IndexedDB
-     * @param {Array} conversations - Array of conversation objects
+     * Add or replace conversations in IndexedDB
+     * Conversations that aren't passed in are left as they are. Stored assets that a
+     * saved conversation no longer refers to are deleted.
+     * @param {Array} conversations - Array of conversation objects with their messages
      * @returns {Promise<boolean>}
      */
     static async saveConversations(conversations) {
@@ -18,11 +20,13 @@ export class Storage {
     }
 
     /**
-     * Load conversations from IndexedDB
-     * @returns {Promise<Array>} - Array of conversation objects, or empty array if none found
+     * Load the conversation headers from IndexedDB
+     * Headers have no `messages`; load them with loadMessages() when needed.
+     * Conversations migrated from localStorage are returned with their messages.
+     * @returns {Promise<Array>} - Array of conversation headers, or empty array if none found
      */
-    static async loadConversations() {
-        const conversations = await indexedDBStorage.loadConversations();
+    static async loadConversationHeaders() {
+        const conversations = await indexedDBStorage.loadConversationHeaders();
 
         // If IndexedDB is empty, try migrating from localStorage
         if (conversations.length === 0) {
@@ -39,6 +43,15 @@ export class Storage {
         return conversations;
     }
 
+    /**
+     * Load the messages of a conversation from IndexedDB
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Array>}
+     */
+    static async loadMessages(conversationId) {
+        return await indexedDBStorage.loadMessages(conversationId);
+    }
+
     /**
      * Load conversations from localStorage (migration helper)
      * @private
@@ -70,8 +83,79 @@ export class Storage {
         }
     }
 
+    /**
+     * Save images and files extracted from an export archive
+     * @param {Array} assets - Array of { id, conversationIds, name, type, blob }
+     * @returns {Promise<boolean>}
+     */
+    static async saveAssets(assets) {
+        return await indexedDBStorage.saveAssets(assets);
+    }
+
+    /**
+     * Load a single asset by ID
+     * @param {string} id - Asset ID
+     * @returns {Promise<Object|null>}
+     */
+    static async loadAsset(id) {
+        return await indexedDBStorage.loadAsset(id);
+    }
+
+    /**
+     * Save the search records of conversations
+     * @param {Array} records - Records from buildSearchRecord
+     * @returns {Promise<boolean>}
+     */
+    static async saveSearchRecords(records) {
+        return await indexedDBStorage.saveSearchRecords(records);
+    }
+
+    /**
+     * Load all stored search records
+     * @returns {Promise<Array>}
+     */
+    static async loadSearchRecords() {
+        return await indexedDBStorage.loadSearchRecords();
+    }
+
+    /**
+     * Save the tags and folders of conversations
+     * @param {Array} labels - Array of { conversationId, tags, folderId }; empty ones are deleted
+     * @returns {Promise<boolean>}
+     */
+    static async saveLabels(labels) {
+        return await indexedDBStorage.saveLabels(labels);
+    }
+
+    /**
+     * Load the tags and folders of all conversations
+     * @returns {Promise<Array>}
+     */
+    static async loadLabels() {
+        return await indexedDBStorage.loadLabels();
+    }
+
+    /**
+     * Save folders and delete removed ones
+     * @param {Array} folders - Array of { id, name, parentId, created }
+     * @param {Array<string>} deletedIds - IDs of removed folders
+     * @returns {Promise<boolean>}
+     */
+    static async saveFolders(folders, deletedIds = []) {
+        return await indexedDBStorage.saveFolders(folders, deletedIds);
+    }
+
+    /**
+     * Load all folders
+     * @returns {Promise<Array>}
+     */
+    static async loadFolders() {
+        return await indexedDBStorage.loadFolders();
+    }
+
     /**
      * Clear all conversations from storage
+     * Tags and folders are kept.
      * @returns {Promise<void>}
      */
     static async clearConversations() {
@@ -0,0 +1,34 @@
+/**
+ * Import worker
+ * Reads, parses and normalizes export files off the main thread and posts the
+ * conversations back in batches.
+ *
+ * Messages received: { blob, type, formatModules }
+ * Messages posted:   { type: 'progress', stage, loaded, total }
+ *                    { type: 'batch', conversations, assets, searchRecords }
+ *                    { type: 'done', count }
+ *                    { type: 'error', message }
+ */
+
+import JSZip from 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm';
+import { importFile } from '../utils/import-reader.js';
+
+self.addEventListener('message', async (event) => {
+    const { blob, type, formatModules = [] } = event.data;
+
+    try {
+        // Formats registered by other scripts provide a module that registers them here too
+        await Promise.all(formatModules.map(url => import(url)));
+
+        const { count } = await importFile(blob, {
+            type,
+            zipLibrary: JSZip,
+            onProgress: (progress) => self.postMessage({ type: 'progress', ...progress }),
+            onBatch: (batch) => self.postMessage({ type: 'batch', ...batch })
+        });
+
+        self.postMessage({ type: 'done', count });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});